@@ -2,5 +2,5 @@ const docket = require(`docket-parser`);
 
 docket.title(`EZ Objects v13.0.3`);
 docket.linkClass(`text-success`);
-docket.parseFiles([`index.js`]);
+docket.parseFiles([`index.js`, `memory-database.js`]);
 docket.generateDocs(`docs`);
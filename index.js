@@ -13,12 +13,43 @@ const constants = require(`./constants`);
 const crypto = require(`crypto`);
 const escape = require(`htmlspecialchars`);
 const fs = require(`fs`);
+const MemoryDatabase = require(`./memory-database`);
 const moment = require(`moment`);
 const path = require(`path`);
 
 /** Create object to hold our created EZ objects */
 module.exports.objects = {};
 
+/** Create object to hold the configurations of our created EZ objects */
+const configs = {};
+
+/** Global defaults for property configurations that don't provide their own, see ezobjects.setDefaults() */
+const defaults = { exact: false, timezone: `local` };
+
+/**
+ * @signature ezobjects.setDefaults(options)
+ * @param options Object Defaults to change, keyed by name
+ * @description A function for changing the global defaults used by property configurations that don't provide
+ * their own, which only affects classes created afterwards.
+ */
+const setDefaults = (options) => {
+  /** If options is not plain object, throw error */
+  if ( typeof options != `object` || options === null || options.constructor.name != `Object` )
+    throw new Error(`ezobjects.setDefaults(): Invalid options argument, must be plain object.`);
+
+  /** If any default is unknown or of the wrong type, throw error */
+  Object.keys(options).forEach((name) => {
+    if ( !Object.keys(defaults).includes(name) )
+      throw new Error(`ezobjects.setDefaults(): Unknown default '${name}', must be one of ${Object.keys(defaults).join(`, `)}.`);
+    else if ( typeof options[name] != typeof defaults[name] )
+      throw new Error(`ezobjects.setDefaults(): Invalid default '${name}', must be ${typeof defaults[name]}.`);
+    else if ( name == `timezone` && !validTimezone(options[name]) )
+      throw new Error(`ezobjects.setDefaults(): Invalid default 'timezone', must be 'local' or an IANA timezone name like 'UTC' or 'America/Chicago'.`);
+  });
+
+  Object.assign(defaults, options);
+};
+
 /**
  * @signature ezobjects.instanceOf(obj, constructorName)
  * @param obj Object Any object created from an EZ Objects created class
@@ -59,10 +90,16 @@ const setTransform = (x, property) => {
 
   if ( x === null && !property.allowNull )
     throw new TypeError(`${property.className}.${property.name}(): Null value ${xDescription} passed to '${property.type}' setter that doesn't allow nulls.`);
+  else if ( x !== null && property.ezobjectType.dateOnly && typeof dateOnlyValue(x, property.timezone) == `undefined` )
+    throw new TypeError(`${property.className}.${property.name}(): Non-date value ${xDescription} passed to date-only '${property.type}' setter, must be Date or string like 'YYYY-MM-DD'.`);
   else if ( x !== null && property.ezobjectType.jsType == `number` && isNaN(x) )
     throw new TypeError(`${property.className}.${property.name}(): Non-numeric value ${xDescription} passed to '${property.type}' setter.`);
-  else if ( x !== null && property.ezobjectType.jsType == `string` && typeof x !== `string` && typeof x !== `number` )
+  else if ( x !== null && property.ezobjectType.jsType == `string` && !property.ezobjectType.dateOnly && typeof x !== `string` && typeof x !== `number` )
     throw new TypeError(`${property.className}.${property.name}(): Non-string/Non-number value ${xDescription} passed to '${property.type}' setter.`);
+  else if ( x !== null && property.ezobjectType.type == `enum` && !property.values.includes(x.toString()) )
+    throw new TypeError(`${property.className}.${property.name}(): Value '${x}' passed to '${property.type}' setter is not one of its values.`);
+  else if ( x !== null && property.ezobjectType.type == `uuid` && ( typeof x !== `string` || !uuidPattern.test(x) ) )
+    throw new TypeError(`${property.className}.${property.name}(): Non-UUID value ${xDescription} passed to '${property.type}' setter.`);
   else if ( x !== null && property.ezobjectType.jsType == `boolean` && typeof x !== `boolean` )
     throw new TypeError(`${property.className}.${property.name}(): Non-boolean value ${xDescription} passed to '${property.type}' setter.`);
   else if ( x !== null && property.ezobjectType.jsType == `function` && typeof x !== `function` )
@@ -75,17 +112,29 @@ const setTransform = (x, property) => {
     throw new TypeError(`${property.className}.${property.name}(): Non-Set value ${xDescription} passed to '${property.type}' setter.`);
   else if ( x !== null && property.ezobjectType.jsType == `Object` && ( typeof x !== `object` || x.constructor.name != `Object` ) )
     throw new TypeError(`${property.className}.${property.name}(): Non-Object value ${xDescription} passed to '${property.type}' setter.`);
+  else if ( x !== null && property.ezobjectType.jsType == `bigint` && typeof exactValue(x, property) == `undefined` )
+    throw new TypeError(`${property.className}.${property.name}(): Non-integer or out of range value ${xDescription} passed to '${property.type}' setter.`);
+  else if ( x !== null && property.ezobjectType.jsType == `decimal` && typeof exactValue(x, property) == `undefined` )
+    throw new TypeError(`${property.className}.${property.name}(): Non-numeric, out of range, or too precise value ${xDescription} passed to '${property.type}' setter.`);
+  else if ( x !== null && property.ezobjectType.jsType == `json` && [`function`, `symbol`, `bigint`].includes(typeof x) )
+    throw new TypeError(`${property.className}.${property.name}(): Non-JSON value ${xDescription} passed to '${property.type}' setter.`);
   else if ( x !== null && property.ezobjectType.jsType == `object` && ( typeof x !== `object` || ( typeof property.type == `string` && x.constructor.name != property.originalType && ( typeof x._constructorName != `string` || x._constructorName != property.originalType ) ) || ( typeof property.instanceOf === `string` && !x._isAddonObject && !instanceOf(x, property.originalInstanceOf) ) ) )
     throw new TypeError(`${property.className}.${property.name}(): Invalid value ${xDescription} passed to '${typeof property.originalType === `string` ? property.originalType : property.originalInstanceOf}' setter.`);
   
   if ( property.type == `varchar` )
     return x === null ? null : x.toString().substr(0, property.length);
+  else if ( property.ezobjectType.jsType == `bigint` || property.ezobjectType.jsType == `decimal` )
+    return x === null ? null : exactValue(x, property);
   else if ( property.ezobjectType.hasDecimals )
     return x === null ? null : parseFloat(x);
   else if ( property.ezobjectType.jsType == `number` )
     return x === null ? null : parseInt(x);
   else if ( property.ezobjectType.jsType == `boolean` )
     return x === null ? null : (x ? true : false);
+  else if ( property.ezobjectType.type == `uuid` )
+    return x === null ? null : x.toLowerCase();
+  else if ( property.ezobjectType.dateOnly )
+    return x === null ? null : dateOnlyValue(x, property.timezone);
   else if ( property.ezobjectType.jsType == `string` )
     return x === null ? null : x.toString();
   else if ( property.ezobjectType.jsType == `Date` && typeof x == `string` )
@@ -115,27 +164,45 @@ const setArrayTransform = (x, property) => {
   
   let arr = [];
     
-  if ( property.arrayOf.ezobjectType.jsType == `number` && x && x.some(y => isNaN(y) && y !== null) )
+  if ( property.arrayOf.ezobjectType.dateOnly && x && x.some(y => y !== null && typeof dateOnlyValue(y, property.arrayOf.timezone) == `undefined`) )
+    throw new TypeError(`${property.className}.${property.name}(): Non-date value passed as element of date-only Array[${property.arrayOf.type}] setter, must be Date or string like 'YYYY-MM-DD'.`);
+  else if ( property.arrayOf.ezobjectType.jsType == `number` && x && x.some(y => isNaN(y) && y !== null) )
     throw new TypeError(`${property.className}.${property.name}(): Non-numeric value passed as element of Array[${property.arrayOf.type}] setter.`);
-  else if ( property.arrayOf.ezobjectType.jsType == `string` && x && x.some(y => typeof y !== `string` && y !== `number` && y !== null) )
+  else if ( property.arrayOf.ezobjectType.jsType == `string` && !property.arrayOf.ezobjectType.dateOnly && x && x.some(y => typeof y !== `string` && y !== `number` && y !== null) )
     throw new TypeError(`${property.className}.${property.name}(): Non-string value passed as element of Array[${property.arrayOf.type}] setter.`);
+  else if ( property.arrayOf.ezobjectType.jsType == `bigint` && x && x.some(y => y !== null && typeof exactValue(y, property.arrayOf) == `undefined`) )
+    throw new TypeError(`${property.className}.${property.name}(): Non-integer or out of range value passed as element of Array[${property.arrayOf.type}] setter.`);
+  else if ( property.arrayOf.ezobjectType.jsType == `decimal` && x && x.some(y => y !== null && typeof exactValue(y, property.arrayOf) == `undefined`) )
+    throw new TypeError(`${property.className}.${property.name}(): Non-numeric, out of range, or too precise value passed as element of Array[${property.arrayOf.type}] setter.`);
+  else if ( property.arrayOf.ezobjectType.type == `enum` && x && x.some(y => y !== null && !property.arrayOf.values.includes(y.toString())) )
+    throw new TypeError(`${property.className}.${property.name}(): Value that is not one of its values passed as element of Array[${property.arrayOf.type}] setter.`);
+  else if ( property.arrayOf.ezobjectType.type == `uuid` && x && x.some(y => y !== null && ( typeof y !== `string` || !uuidPattern.test(y) )) )
+    throw new TypeError(`${property.className}.${property.name}(): Non-UUID value passed as element of Array[${property.arrayOf.type}] setter.`);
   else if ( property.arrayOf.ezobjectType.jsType == `boolean` && x && x.some(y => typeof y !== `boolean` && y !== null) )
     throw new TypeError(`${property.className}.${property.name}(): Non-boolean value passed as element of Array[${property.arrayOf.type}] setter.`);
   else if ( property.arrayOf.ezobjectType.jsType == `function` && x && x.some(y => typeof y !== `function` && y !== null) )
     throw new TypeError(`${property.className}.${property.name}(): Non-function value passed as element of Array[${property.arrayOf.type}] setter.`);
-  else if ( property.arrayOf.ezobjectType.jsType == `Date` && x && x.some(y => ( typeof y !== `object` || y.constructor.name != `Date` ) && y !== null && ( typeof y != `string` || !y.match(/^[0-9\-T:Z.]+$/) )) )
+  else if ( property.arrayOf.ezobjectType.jsType == `Date` && x && x.some(y => y !== null && ( typeof y !== `object` || y.constructor.name != `Date` ) && ( typeof y != `string` || !y.match(/^[0-9\-T:Z.]+$/) )) )
     throw new TypeError(`${property.className}.${property.name}(): Non-Date value passed as element of Array[${property.arrayOf.type}] setter.`);
-  else if ( property.arrayOf.ezobjectType.jsType == `Buffer` && x && x.some(y => ( typeof y !== `object` || y.constructor.name != `Buffer` ) && y !== null) )
+  else if ( property.arrayOf.ezobjectType.jsType == `Buffer` && x && x.some(y => y !== null && ( typeof y !== `object` || y.constructor.name != `Buffer` )) )
     throw new TypeError(`${property.className}.${property.name}(): Non-Buffer value passed as element of Array[${property.arrayOf.type}] setter.`);
-  else if ( property.arrayOf.ezobjectType.jsType == `Set` && x && x.some(y => ( typeof y !== `object` || y.constructor.name != `Set` ) && y !== null) )
+  else if ( property.arrayOf.ezobjectType.jsType == `Set` && x && x.some(y => y !== null && ( typeof y !== `object` || y.constructor.name != `Set` )) )
     throw new TypeError(`${property.className}.${property.name}(): Non-Set value passed as element of Array[${property.arrayOf.type}] setter.`);
-  else if ( property.arrayOf.ezobjectType.jsType == `Object` && x && x.some(y => ( typeof y !== `object` || y.constructor.name != `Object` ) && y !== null) )
+  else if ( property.arrayOf.ezobjectType.jsType == `Object` && x && x.some(y => y !== null && ( typeof y !== `object` || y.constructor.name != `Object` )) )
     throw new TypeError(`${property.className}.${property.name}(): Non-Object value passed as element of Array[${property.arrayOf.type}] setter.`);
   else if ( property.arrayOf.ezobjectType.jsType == `object` && x && x.some(y => y !== null && (typeof y !== `object` || ( typeof property.arrayOf.originalType == `string` && y.constructor.name != property.arrayOf.originalType && ( typeof y._constructorName !== `string` || y._constructorName != property.arrayOf.originalType ) ) || ( typeof property.arrayOf.instanceOf === `string` && !y._isAddonObject && !instanceOf(y, property.arrayOf.originalInstanceOf) ) ) ) )
     throw new TypeError(`${property.className}.${property.name}(): Invalid value passed as element of Array[${typeof property.arrayOf.originalType === `string` ? property.arrayOf.originalType : property.arrayOf.originalInstanceOf}] setter.`);
 
-  if ( property.arrayOf.type == `varchar` )
+  if ( property.arrayOf.ezobjectType.custom )
+    arr = x.map(y => y === null ? null : property.arrayOf.ezobjectType.setTransform(y, arrayElement(property)));
+  else if ( property.arrayOf.type == `varchar` )
     arr = x.map(y => y === null ? null : y.substr(0, property.arrayOf.length));
+  else if ( property.arrayOf.type == `uuid` )
+    arr = x.map(y => y === null ? null : y.toLowerCase());
+  else if ( property.arrayOf.ezobjectType.dateOnly )
+    arr = x.map(y => y === null ? null : dateOnlyValue(y, property.arrayOf.timezone));
+  else if ( property.arrayOf.ezobjectType.jsType == `bigint` || property.arrayOf.ezobjectType.jsType == `decimal` )
+    arr = x.map(y => y === null ? null : exactValue(y, property.arrayOf));
   else if ( property.arrayOf.ezobjectType.hasDecimals )
     arr = x.map(y => y === null ? null : parseFloat(y));
   else if ( property.arrayOf.ezobjectType.jsType == `number` )
@@ -146,7 +213,7 @@ const setArrayTransform = (x, property) => {
     arr = x.map(y => y === null ? null : y.toString());
   else if ( property.arrayOf.ezobjectType.jsType == `Date` )
     arr = x.map(y => { if ( y === null ) return null; else if ( typeof y == `string` ) return new Date(y); else return y; });
-  else if ( property.arrayOf.ezobjectType.jsType == `object` && typeof x == `object` && x && x.constructor.name == `Array` && typeof x.every(y => x === null || ( typeof y == `object` && y && y.constructor.name == `Object` && typeof y._constructorName == `string` ) ) )
+  else if ( property.arrayOf.ezobjectType.jsType == `object` && typeof x == `object` && x && x.constructor.name == `Array` && x.every(y => y === null || ( typeof y == `object` && y && y.constructor.name == `Object` && typeof y._constructorName == `string` ) ) )
     arr = x.map(y => y === null ? null : new module.exports.objects[y._constructorName](y));
   else
     arr = x.map(y => y === null ? null : y);
@@ -173,6 +240,262 @@ const setArrayTransform = (x, property) => {
   return x === null ? null : arr;
 };
 
+/** 
+ * @signature jsonStringify(x)
+ * @param x mixed Value to encode
+ * @return string JSON text
+ * @description Encode a value as JSON, tagging any Dates, Buffers, Sets, and BigInts in it so jsonParse() can restore them.
+ */
+const jsonStringify = (x) => {
+  return JSON.stringify(x, function (key, value) {
+    /** Dates and Buffers have toJSON() methods, so check the original value rather than the one passed in */
+    const original = this[key];
+
+    if ( original instanceof Date )
+      return { $type: `Date`, value: isNaN(original.getTime()) ? null : original.toISOString() };
+    else if ( original instanceof Buffer )
+      return { $type: `Buffer`, value: original.toString(`base64`) };
+    else if ( original instanceof Set )
+      return { $type: `Set`, value: Array.from(original.values()) };
+    else if ( typeof value == `bigint` )
+      return { $type: `BigInt`, value: value.toString() };
+
+    return value;
+  });
+};
+
+/** 
+ * @signature jsonParse(x)
+ * @param x string JSON text
+ * @return mixed Decoded value
+ * @description Decode JSON encoded by jsonStringify(), restoring any tagged Dates, Buffers, Sets, and BigInts.
+ */
+const jsonParse = (x) => {
+  return JSON.parse(x, (key, value) => {
+    if ( value === null || typeof value != `object` || typeof value.$type != `string` || Object.keys(value).length != 2 || !Object.keys(value).includes(`value`) )
+      return value;
+    else if ( value.$type == `Date` )
+      return new Date(value.value === null ? NaN : value.value);
+    else if ( value.$type == `Buffer` )
+      return Buffer.from(value.value, `base64`);
+    else if ( value.$type == `Set` )
+      return new Set(value.value);
+    else if ( value.$type == `BigInt` )
+      return BigInt(value.value);
+
+    return value;
+  });
+};
+
+/** Canonical string form of a UUID */
+const uuidPattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/** 
+ * @signature formatUuid(x)
+ * @param x Buffer|string UUID as 16 bytes or as a string
+ * @return string UUID in lower-case canonical string form
+ * @description Format a UUID loaded from a `BINARY(16)` or `CHAR(36)` column as a string.
+ */
+const formatUuid = (x) => {
+  if ( typeof x == `string` )
+    return x.toLowerCase();
+
+  const hex = Buffer.from(x).toString(`hex`);
+
+  return `${hex.substr(0, 8)}-${hex.substr(8, 4)}-${hex.substr(12, 4)}-${hex.substr(16, 4)}-${hex.substr(20, 12)}`;
+};
+
+/** 
+ * @signature generateUuid(version)
+ * @param version number UUID version, 4 for random or 7 for time ordered
+ * @return string New UUID
+ * @description Generate a random UUID, where version 7 UUIDs begin with the current time in milliseconds so they 
+ * are inserted in roughly increasing order, which keeps primary key indexes compact.
+ */
+const generateUuid = (version) => {
+  const bytes = crypto.randomBytes(16);
+
+  if ( version == 7 )
+    bytes.writeUIntBE(Date.now(), 0, 6);
+
+  /** Set version and RFC 4122 variant bits */
+  bytes[6] = ( bytes[6] & 0x0f ) | ( version << 4 );
+  bytes[8] = ( bytes[8] & 0x3f ) | 0x80;
+
+  return formatUuid(bytes);
+};
+
+/** Largest values of signed and unsigned MySQL `BIGINT` columns */
+const bigintMax = { signed: BigInt(`9223372036854775807`), unsigned: BigInt(`18446744073709551615`) };
+
+/** 
+ * @signature exactValue(x, property)
+ * @param x mixed BigInt, number, or numeric string
+ * @param property Object Property configuration, or `arrayOf` configuration for array elements
+ * @return bigint|string|undefined Exact value, or undefined if `x` doesn't fit the property's MySQL column
+ * @description Convert a value for an exact `bigint`, `decimal`, or `numeric` property without passing it through a 
+ * floating point number, as a BigInt for `bigint`, or as a string with exactly `decimals` decimal places for the others. 
+ * Like MySQL, `decimal` and `numeric` columns default to a length of 10 and 0 decimals.
+ */
+const exactValue = (x, property) => {
+  let text;
+
+  /** Numbers are only exact if they're safe integers, or if they're stored with decimals */
+  if ( typeof x == `bigint` )
+    text = x.toString();
+  else if ( typeof x == `number` && ( property.ezobjectType.jsType == `bigint` ? Number.isSafeInteger(x) : isFinite(x) ) )
+    text = x.toString();
+  else if ( typeof x == `string` )
+    text = x.trim();
+
+  const match = typeof text == `string` ? text.match(/^([-+]?)([0-9]*)(?:\.([0-9]*))?$/) : null;
+
+  /** If not a plain decimal number, it's not exact */
+  if ( !match || match[2] + ( match[3] || `` ) == `` )
+    return;
+
+  const digits = match[2].replace(/^0+/, ``);
+  const fraction = ( match[3] || `` ).replace(/0+$/, ``);
+  const negative = match[1] == `-` && ( digits + fraction ).length > 0;
+
+  if ( property.ezobjectType.jsType == `bigint` ) {
+    if ( fraction.length > 0 )
+      return;
+
+    const value = BigInt(`${negative ? `-` : ``}${digits || `0`}`);
+
+    /** Check value is within the range of the column */
+    if ( property.unsigned ? value < BigInt(0) || value > bigintMax.unsigned : value < -bigintMax.signed - BigInt(1) || value > bigintMax.signed )
+      return;
+
+    return value;
+  }
+
+  const length = isNaN(parseInt(property.length)) ? 10 : parseInt(property.length);
+  const decimals = isNaN(parseInt(property.decimals)) ? 0 : parseInt(property.decimals);
+
+  /** Check value has no more integer digits or decimal places than the column, and isn't negative if unsigned */
+  if ( digits.length > length - decimals || fraction.length > decimals || ( negative && property.unsigned ) )
+    return;
+
+  return `${negative ? `-` : ``}${digits || `0`}${decimals > 0 ? `.${fraction.padEnd(decimals, `0`)}` : ``}`;
+};
+
+/** Cached formats used to find the wall clock time in each timezone */
+const timezoneFormats = {};
+
+/** 
+ * @signature validTimezone(timezone)
+ * @param timezone string Timezone name
+ * @return boolean Whether `timezone` is `local` or an IANA timezone name like `UTC` or `America/Chicago`
+ * @description Check whether a timezone can be used to store dates and times.
+ */
+const validTimezone = (timezone) => {
+  if ( typeof timezone != `string` )
+    return false;
+  else if ( timezone == `local` )
+    return true;
+
+  try {
+    new Intl.DateTimeFormat(`en-US`, { timeZone: timezone });
+
+    return true;
+  } catch ( err ) {
+    return false;
+  }
+};
+
+/** 
+ * @signature wallClock(date, timezone)
+ * @param date Date
+ * @param timezone string Timezone name, or `local` for the Node process's timezone
+ * @return Array Year, month (starting at 0), day, hours, minutes, seconds, and milliseconds shown by a clock in 
+ * `timezone` at the time `date`
+ * @description Get the wall clock time of a date in a timezone.
+ */
+const wallClock = (date, timezone) => {
+  if ( timezone == `local` )
+    return [date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds()];
+
+  if ( !timezoneFormats[timezone] )
+    timezoneFormats[timezone] = new Intl.DateTimeFormat(`en-US`, { timeZone: timezone, hourCycle: `h23`, year: `numeric`, month: `numeric`, day: `numeric`, hour: `numeric`, minute: `numeric`, second: `numeric` });
+
+  const parts = {};
+
+  timezoneFormats[timezone].formatToParts(date).forEach((part) => {
+    parts[part.type] = parseInt(part.value);
+  });
+
+  return [parts.year, parts.month - 1, parts.day, parts.hour % 24, parts.minute, parts.second, date.getUTCMilliseconds()];
+};
+
+/** 
+ * @signature fromWallClock(time, timezone)
+ * @param time Array Year, month (starting at 0), day, hours, minutes, seconds, and milliseconds
+ * @param timezone string Timezone name, or `local` for the Node process's timezone
+ * @return Date The date at which a clock in `timezone` shows `time`
+ * @description Get the date of a wall clock time in a timezone, the inverse of wallClock().
+ */
+const fromWallClock = (time, timezone) => {
+  if ( timezone == `local` )
+    return new Date(time[0], time[1], time[2], time[3], time[4], time[5], time[6]);
+
+  const utc = Date.UTC(time[0], time[1], time[2], time[3], time[4], time[5], time[6]);
+  const offset = x => Date.UTC.apply(null, wallClock(new Date(x), timezone)) - x;
+
+  /** Use the timezone's offset at the guessed date, which may differ from its offset at `utc` around daylight saving time changes */
+  return new Date(utc - offset(utc - offset(utc)));
+};
+
+/** 
+ * @signature formatDate(date, timezone, format)
+ * @param date Date
+ * @param timezone string Timezone name, or `local` for the Node process's timezone
+ * @param format string Moment format
+ * @return string Wall clock time of `date` in `timezone` in the given format
+ * @description Format a date to be stored as a DATE, DATETIME, or TIMESTAMP in a timezone.
+ */
+const formatDate = (date, timezone, format) => {
+  return moment.utc(Date.UTC.apply(null, wallClock(new Date(date), timezone))).format(format);
+};
+
+/** 
+ * @signature loadDate(x, timezone)
+ * @param x Date|string Date returned by the database driver, or string like `YYYY-MM-DD HH:mm:ss`
+ * @param timezone string Timezone name, or `local` for the Node process's timezone
+ * @return Date|null
+ * @description Load a DATE, DATETIME, or TIMESTAMP stored as the wall clock time in a timezone.  Database drivers 
+ * return dates read in the Node process's timezone, so their local wall clock time is what was stored.
+ */
+const loadDate = (x, timezone) => {
+  if ( !x )
+    return null;
+  else if ( x instanceof Date )
+    return fromWallClock(wallClock(x, `local`), timezone);
+
+  const match = x.toString().match(/^([0-9]{4})-([0-9]{2})-([0-9]{2})(?:[ T]([0-9]{2}):([0-9]{2})(?::([0-9]{2})(?:\.([0-9]+))?)?)?$/);
+
+  /** Strings that aren't just a wall clock time, like ISO dates with a timezone, are already absolute */
+  if ( !match )
+    return new Date(x);
+
+  return fromWallClock([parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]), parseInt(match[4] || 0), parseInt(match[5] || 0), parseInt(match[6] || 0), parseInt(`${match[7] || ``}000`.substr(0, 3))], timezone);
+};
+
+/** 
+ * @signature dateOnlyValue(x, timezone)
+ * @param x Date|string Date, or string like `YYYY-MM-DD`
+ * @param timezone string Timezone name, or `local` for the Node process's timezone, used to find the day of a Date
+ * @return string|undefined Day in `YYYY-MM-DD` form, or undefined if `x` isn't a valid date
+ * @description Convert a value for a date-only `date` property.
+ */
+const dateOnlyValue = (x, timezone) => {
+  if ( x instanceof Date && !isNaN(x.getTime()) )
+    return formatDate(x, timezone, `YYYY-MM-DD`);
+  else if ( typeof x == `string` && moment.utc(x.substr(0, 10), `YYYY-MM-DD`, true).isValid() && ( x.length == 10 || x.substr(10).match(/^[ T]00:00:00(\.0+)?$/) ) )
+    return x.substr(0, 10);
+};
+
 /** 
  * @signature stripUnderscores(obj)
  * @param obj Object
@@ -212,7 +535,7 @@ const validateInput = (property, value, data) => {
     throw new TypeError(`${property.className}.${property.name}(): Non-boolean value ${xDescription} passed to '${property.type}' setter.`);
   else if ( value !== null && property.ezobjectType.jsType == `function` && typeof value !== `function` )
     throw new TypeError(`${property.className}.${property.name}(): Non-function value ${xDescription} passed to '${property.type}' setter.`);
-  else if ( value !== null && property.ezobjectType.jsType == `Date` && !new Date(value) instanceof Date && !isNaN(new Date(value)) )
+  else if ( value !== null && property.ezobjectType.jsType == `Date` && value !== `` && isNaN(new Date(value)) )
     throw new TypeError(`${property.className}.${property.name}(): Non-Date value ${xDescription} passed to '${property.type}' setter.`);
   else if ( value !== null && property.ezobjectType.jsType == `Buffer` && ( typeof value !== `object` || value.constructor.name != `Buffer` ) )
     throw new TypeError(`${property.className}.${property.name}(): Non-Buffer value ${xDescription} passed to '${property.type}' setter.`);
@@ -297,7 +620,7 @@ const assignInput = (property, value, data, files, previousValue) => {
 
     /** For the date input type, format the value from the view and pass it to the property on the model */
     else if( property.addEditConfig.inputType == `date` ){
-      return moment.tz(value, property.addEditConfig.timezone ? property.addEditConfig.timezone : `America/Chicago`).toDate();
+      return loadDate(value, property.addEditConfig.timezone ? property.addEditConfig.timezone : property.timezone);
     }
 
     /** For the time input type, format the value from the view and pass it to the property on the model */
@@ -429,7 +752,7 @@ const setArrayInputs = (property, value, data, files, previousValue, constants)
     arr = value.map(y => y === null ? null : y.toString());
   else if ( property.arrayOf.ezobjectType.jsType == `Date` )
     arr = value.map(y => { if ( y === null ) return null; else if ( typeof y == `string` ) return new Date(y); else return y; });
-  else if ( property.arrayOf.ezobjectType.jsType == `object` && typeof value == `object` && value && value.constructor.name == `Array` && typeof value.every(y => value === null || ( typeof y == `object` && y && y.constructor.name == `Object` && typeof y._constructorName == `string` ) ) )
+  else if ( property.arrayOf.ezobjectType.jsType == `object` && typeof value == `object` && value && value.constructor.name == `Array` && value.every(y => y === null || ( typeof y == `object` && y && y.constructor.name == `Object` && typeof y._constructorName == `string` ) ) )
     arr = value.map(y => y === null ? null : new module.exports.objects[y._constructorName](y));
   else
     arr = value.map(y => y === null ? null : y);
@@ -458,38 +781,47 @@ const setArrayInputs = (property, value, data, files, previousValue, constants)
 
 /** Define the EZ Object types, their associated JavaScript and MySQL types, defaults, quirks, transforms, etc... */
 const ezobjectTypes = [
-  { type: `bit`, jsType: `Buffer`, mysqlType: `bit`, default: Buffer.from([]), hasLength: true, setTransform: setTransform, saveTransform: x => x.length > 0 ? parseInt(x.join(``), 2) : 0 },
-  { type: `tinyint`, jsType: `number`, mysqlType: `tinyint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `smallint`, jsType: `number`, mysqlType: `smallint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `mediumint`, jsType: `number`, mysqlType: `mediumint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `int`, jsType: `number`, mysqlType: `int`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `bigint`, jsType: `number`, mysqlType: `bigint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, setTransform: setTransform, loadTransform: x => parseInt(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `real`, jsType: `number`, mysqlType: `real`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, lengthRequiresDecimals: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `double`, jsType: `number`, mysqlType: `double`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, lengthRequiresDecimals: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `float`, jsType: `number`, mysqlType: `float`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, lengthRequiresDecimals: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `decimal`, jsType: `number`, mysqlType: `decimal`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `numeric`, jsType: `number`, mysqlType: `numeric`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `date`, jsType: `Date`, mysqlType: `date`, default: null, saveTransform: x => x ? moment(x).format(`YYYY-MM-DD`) : null, loadTransform: x => x ? new Date(x) : null, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `time`, jsType: `string`, mysqlType: `time`, default: `00:00:00`, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `timestamp`, jsType: `Date`, mysqlType: `timestamp`, default: null, setTransform: setTransform, saveTransform: x => x ? moment(x).format(`YYYY-MM-DD HH:mm:ss.SSSSSS`) : null, loadTransform: x => x ? new Date(x) : null, validateInput: validateInput, assignInput: assignInput },
-  { type: `datetime`, jsType: `Date`, mysqlType: `datetime`, default: null, setTransform: setTransform, saveTransform: x => x ? moment(x).format(`YYYY-MM-DD HH:mm:ss.SSSSSS`) : null, loadTransform: x => x ? new Date(x) : null, validateInput: validateInput, assignInput: assignInput },
-  { type: `char`, jsType: `string`, mysqlType: `char`, default: ``, hasLength: true, hasCharacterSetAndCollate: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `varchar`, jsType: `string`, mysqlType: `varchar`, default: ``, hasLength: true, lengthRequired: true, hasCharacterSetAndCollate: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `binary`, jsType: `Buffer`, mysqlType: `binary`, default: Buffer.from([]), hasLength: true, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `varbinary`, jsType: `Buffer`, mysqlType: `varbinary`, default: Buffer.from([]), lengthRequired: true, hasLength: true, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `tinyblob`, jsType: `Buffer`, mysqlType: `tinyblob`, default: Buffer.from([]), setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `blob`, jsType: `Buffer`, mysqlType: `blob`, default: Buffer.from([]), hasLength: true, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `mediumblob`, jsType: `Buffer`, mysqlType: `mediumblob`, default: Buffer.from([]), setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `longblob`, jsType: `Buffer`, mysqlType: `longblob`, default: Buffer.from([]), setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `tinytext`, jsType: `string`, mysqlType: `tinytext`, default: ``, hasCharacterSetAndCollate: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `text`, jsType: `string`, mysqlType: `text`, default: ``, hasLength: true, hasCharacterSetAndCollate: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `mediumtext`, jsType: `string`, mysqlType: `mediumtext`, default: ``, hasCharacterSetAndCollate: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `longtext`, jsType: `string`, mysqlType: `longtext`, default: ``, hasCharacterSetAndCollate: true, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
-  { type: `set`, jsType: `Set`, mysqlType: `set`, default: new Set(), hasCharacterSetAndCollate: true, setTransform: setTransform, saveTransform: x => Array.from(x.values()).join(`,`), loadTransform: x => new Set(x.split(`,`)), validateInput: validateInput, assignInput: assignInput },
-  { type: `boolean`, jsType: `boolean`, mysqlType: `tinyint`, default: false, setTransform: setTransform, saveTransform: x => x ? 1 : 0, loadTransform: x => x ? true: false, save: x => x == constants.TRUE ? true : false, validateInput: validateInput, assignInput: assignInput },
-  { type: `function`, jsType: `function`, mysqlType: `text`, default: function () {}, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => eval(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `object`, jsType: `Object`, mysqlType: `text`, default: {}, setTransform: setTransform, saveTransform: x => JSON.stringify(x), loadTransform: x => JSON.parse(x), validateInput: validateInput, assignInput: assignInput },
-  { type: `other`, jsType: `object`, mysqlType: `tinytext`, default: null, getTransform: (x, property, obj) => x._isAddonObject ? new module.exports.objects[obj.className]().init(x) : x, setTransform: setTransform, saveTransform: x => x ? `${x.constructor.name},${x.id()}` : null, loadTransform: async (x, property, db) => { if ( !x ) return null; else if ( typeof x == `object` ) return x; const data = x.split(`,`); return data.length > 0 ? await (new module.exports.objects[data[0]]()).load(parseInt(data[1]), db) : null; }, validateInput: validateInput, assignInput: assignInput },
+  { type: `bit`, jsType: `Buffer`, mysqlType: `bit`, default: Buffer.from([]), hasLength: true, jsonSchema: { type: `string`, format: `byte` }, setTransform: setTransform, saveTransform: x => x.length > 0 ? parseInt(x.join(``), 2) : 0 },
+  { type: `tinyint`, jsType: `number`, mysqlType: `tinyint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `integer` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `smallint`, jsType: `number`, mysqlType: `smallint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `integer` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `mediumint`, jsType: `number`, mysqlType: `mediumint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `integer` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `int`, jsType: `number`, mysqlType: `int`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `integer` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `bigint`, jsType: `number`, mysqlType: `bigint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `integer` }, setTransform: setTransform, loadTransform: x => parseInt(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `real`, jsType: `number`, mysqlType: `real`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, lengthRequiresDecimals: true, jsonSchema: { type: `number` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `double`, jsType: `number`, mysqlType: `double`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, lengthRequiresDecimals: true, jsonSchema: { type: `number` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `float`, jsType: `number`, mysqlType: `float`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, lengthRequiresDecimals: true, jsonSchema: { type: `number` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `decimal`, jsType: `number`, mysqlType: `decimal`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `number` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `numeric`, jsType: `number`, mysqlType: `numeric`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `number` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `bigint`, exact: true, jsType: `bigint`, mysqlType: `bigint`, default: 0, hasLength: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `string`, pattern: `^-?[0-9]+$` }, setTransform: setTransform, saveTransform: x => x === null ? null : x.toString(), loadTransform: x => x === null || typeof x == `undefined` ? null : BigInt(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `decimal`, exact: true, jsType: `decimal`, mysqlType: `decimal`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `string`, pattern: `^-?[0-9]+(\\.[0-9]+)?$` }, setTransform: setTransform, saveTransform: x => x === null ? null : x.toString(), loadTransform: (x, property) => x === null || typeof x == `undefined` ? null : exactValue(x, property), validateInput: validateInput, assignInput: assignInput },
+  { type: `numeric`, exact: true, jsType: `decimal`, mysqlType: `numeric`, default: 0, hasLength: true, hasDecimals: true, hasUnsignedAndZeroFill: true, jsonSchema: { type: `string`, pattern: `^-?[0-9]+(\\.[0-9]+)?$` }, setTransform: setTransform, saveTransform: x => x === null ? null : x.toString(), loadTransform: (x, property) => x === null || typeof x == `undefined` ? null : exactValue(x, property), validateInput: validateInput, assignInput: assignInput },
+  { type: `date`, jsType: `Date`, mysqlType: `date`, default: null, saveTransform: (x, property) => x ? formatDate(x, property.timezone, `YYYY-MM-DD`) : null, loadTransform: (x, property) => loadDate(x, property.timezone), jsonSchema: { type: `string`, format: `date-time` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `date`, dateOnly: true, jsType: `string`, mysqlType: `date`, default: null, loadTransform: x => x ? dateOnlyValue(x, `local`) : null, jsonSchema: { type: `string`, format: `date` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `time`, jsType: `string`, mysqlType: `time`, default: `00:00:00`, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `timestamp`, jsType: `Date`, mysqlType: `timestamp`, default: null, jsonSchema: { type: `string`, format: `date-time` }, setTransform: setTransform, saveTransform: (x, property) => x ? formatDate(x, property.timezone, `YYYY-MM-DD HH:mm:ss.SSSSSS`) : null, loadTransform: (x, property) => loadDate(x, property.timezone), validateInput: validateInput, assignInput: assignInput },
+  { type: `datetime`, jsType: `Date`, mysqlType: `datetime`, default: null, jsonSchema: { type: `string`, format: `date-time` }, setTransform: setTransform, saveTransform: (x, property) => x ? formatDate(x, property.timezone, `YYYY-MM-DD HH:mm:ss.SSSSSS`) : null, loadTransform: (x, property) => loadDate(x, property.timezone), validateInput: validateInput, assignInput: assignInput },
+  { type: `char`, jsType: `string`, mysqlType: `char`, default: ``, hasLength: true, hasCharacterSetAndCollate: true, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `varchar`, jsType: `string`, mysqlType: `varchar`, default: ``, hasLength: true, lengthRequired: true, hasCharacterSetAndCollate: true, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `binary`, jsType: `Buffer`, mysqlType: `binary`, default: Buffer.from([]), hasLength: true, jsonSchema: { type: `string`, format: `byte` }, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `varbinary`, jsType: `Buffer`, mysqlType: `varbinary`, default: Buffer.from([]), lengthRequired: true, hasLength: true, jsonSchema: { type: `string`, format: `byte` }, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `tinyblob`, jsType: `Buffer`, mysqlType: `tinyblob`, default: Buffer.from([]), jsonSchema: { type: `string`, format: `byte` }, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `blob`, jsType: `Buffer`, mysqlType: `blob`, default: Buffer.from([]), hasLength: true, jsonSchema: { type: `string`, format: `byte` }, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `mediumblob`, jsType: `Buffer`, mysqlType: `mediumblob`, default: Buffer.from([]), jsonSchema: { type: `string`, format: `byte` }, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `longblob`, jsType: `Buffer`, mysqlType: `longblob`, default: Buffer.from([]), jsonSchema: { type: `string`, format: `byte` }, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => Buffer.from(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `tinytext`, jsType: `string`, mysqlType: `tinytext`, default: ``, hasCharacterSetAndCollate: true, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `text`, jsType: `string`, mysqlType: `text`, default: ``, hasLength: true, hasCharacterSetAndCollate: true, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `mediumtext`, jsType: `string`, mysqlType: `mediumtext`, default: ``, hasCharacterSetAndCollate: true, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `longtext`, jsType: `string`, mysqlType: `longtext`, default: ``, hasCharacterSetAndCollate: true, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `enum`, jsType: `string`, mysqlType: `enum`, default: null, hasCharacterSetAndCollate: true, jsonSchema: { type: `string` }, setTransform: setTransform, validateInput: validateInput, assignInput: assignInput },
+  { type: `uuid`, jsType: `string`, mysqlType: `binary`, default: null, hasLength: true, jsonSchema: { type: `string`, format: `uuid` }, setTransform: setTransform, saveTransform: x => x === null ? null : Buffer.from(x.replace(/-/g, ``), `hex`), loadTransform: x => x === null || typeof x == `undefined` ? null : formatUuid(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `uuid`, jsType: `string`, mysqlType: `char`, default: null, hasLength: true, hasCharacterSetAndCollate: true, jsonSchema: { type: `string`, format: `uuid` }, setTransform: setTransform, loadTransform: x => x === null || typeof x == `undefined` ? null : formatUuid(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `set`, jsType: `Set`, mysqlType: `set`, default: new Set(), hasCharacterSetAndCollate: true, jsonSchema: { type: `array`, items: { type: `string` }, uniqueItems: true }, setTransform: setTransform, saveTransform: x => Array.from(x.values()).join(`,`), loadTransform: x => new Set(x.split(`,`)), validateInput: validateInput, assignInput: assignInput },
+  { type: `boolean`, jsType: `boolean`, mysqlType: `tinyint`, default: false, jsonSchema: { type: `boolean` }, setTransform: setTransform, saveTransform: x => x ? 1 : 0, loadTransform: x => x ? true: false, save: x => x == constants.TRUE ? true : false, validateInput: validateInput, assignInput: assignInput },
+  { type: `function`, jsType: `function`, mysqlType: `text`, default: function () {}, jsonSchema: null, setTransform: setTransform, saveTransform: x => x.toString(), loadTransform: x => eval(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `object`, jsType: `Object`, mysqlType: `text`, default: {}, jsonSchema: { type: `object` }, setTransform: setTransform, saveTransform: x => JSON.stringify(x), loadTransform: x => JSON.parse(x), validateInput: validateInput, assignInput: assignInput },
+  { type: `json`, jsType: `json`, mysqlType: `json`, default: null, jsonSchema: {}, setTransform: setTransform, saveTransform: x => x === null ? null : jsonStringify(x), loadTransform: x => x === null || typeof x == `undefined` ? null : jsonParse(typeof x == `string` ? x : jsonStringify(x)), validateInput: validateInput, assignInput: assignInput },
+  { type: `other`, jsType: `object`, mysqlType: `tinytext`, default: null, getTransform: (x, property, obj) => x._isAddonObject ? new module.exports.objects[obj.className]().init(x) : x, setTransform: setTransform, saveTransform: x => x ? `${x.constructor.name},${x.id()}` : null, loadTransform: async (x, property, db, tableName, batch) => { if ( !x ) return null; else if ( typeof x == `object` ) return x; return (await loadReferences([x.split(`,`)], db, batch))[0]; }, validateInput: validateInput, assignInput: assignInput },
+  { type: `other`, foreignKey: true, jsType: `object`, mysqlType: `int`, default: null, hasUnsignedAndZeroFill: true, getTransform: (x, property, obj) => x._isAddonObject ? new module.exports.objects[obj.className]().init(x) : x, setTransform: setTransform, saveTransform: (x, property) => saveId(configs[property.originalType], x && typeof x == `object` ? x.id() : x), loadTransform: async (x, property, db, tableName, batch) => { if ( x === null || typeof x == `undefined` ) return null; else if ( typeof x == `object` && !Buffer.isBuffer(x) ) return x; return (await loadReferences([[property.originalType, x]], db, batch))[0]; }, validateInput: validateInput, assignInput: assignInput },
   
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `bit`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y.join(`|`)).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => Buffer.from(y.split(`|`).map(z => parseInt(z)))), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `tinyint`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => parseInt(y)), assignInput: setArrayInputs},
@@ -502,12 +834,18 @@ const ezobjectTypes = [
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `float`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => parseFloat(y)), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `decimal`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => parseFloat(y)), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `numeric`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => parseFloat(y)), assignInput: setArrayInputs },
-  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `date`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y ? moment(y).format(`YYYY-MM-DD`) : `null`).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => y != `null` ? new Date(y) : null), assignInput: setArrayInputs },
+  { type: `array`, exact: true, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `bigint`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => BigInt(y)), assignInput: setArrayInputs },
+  { type: `array`, exact: true, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `decimal`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: (x, property) => x === `` ? [] : x.split(`,`).map(y => exactValue(y, property.arrayOf)), assignInput: setArrayInputs },
+  { type: `array`, exact: true, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `numeric`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: (x, property) => x === `` ? [] : x.split(`,`).map(y => exactValue(y, property.arrayOf)), assignInput: setArrayInputs },
+  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `date`, setTransform: setArrayTransform, saveTransform: (x, property) => x.map(y => y ? formatDate(y, property.arrayOf.timezone, `YYYY-MM-DD`) : `null`).join(`,`), loadTransform: (x, property) => x === `` ? [] : x.split(`,`).map(y => y != `null` ? loadDate(y, property.arrayOf.timezone) : null), assignInput: setArrayInputs },
+  { type: `array`, dateOnly: true, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `date`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y ? y : `null`).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => y != `null` ? y : null), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `time`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: x => x.split(`,`), assignInput: setArrayInputs },
-  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `timestamp`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y ? moment(y).format(`YYYY-MM-DD HH:mm:ss.SSSSSS`) : `null`).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => y != `null` ? new Date(y) : null), assignInput: setArrayInputs },
-  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `datetime`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y ? moment(y).format(`YYYY-MM-DD HH:mm:ss.SSSSSS`) : `null`).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => y != `null` ? new Date(y) : null), assignInput: setArrayInputs },
+  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `timestamp`, setTransform: setArrayTransform, saveTransform: (x, property) => x.map(y => y ? formatDate(y, property.arrayOf.timezone, `YYYY-MM-DD HH:mm:ss.SSSSSS`) : `null`).join(`,`), loadTransform: (x, property) => x === `` ? [] : x.split(`,`).map(y => y != `null` ? loadDate(y, property.arrayOf.timezone) : null), assignInput: setArrayInputs },
+  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `datetime`, setTransform: setArrayTransform, saveTransform: (x, property) => x.map(y => y ? formatDate(y, property.arrayOf.timezone, `YYYY-MM-DD HH:mm:ss.SSSSSS`) : `null`).join(`,`), loadTransform: (x, property) => x === `` ? [] : x.split(`,`).map(y => y != `null` ? loadDate(y, property.arrayOf.timezone) : null), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `char`, setTransform: setArrayTransform, saveTransform: x => x.join(`!&|&!`), loadTransform: x => x === `` ? [] : x.split(`!&|&!`), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `varchar`, setTransform: setArrayTransform, saveTransform: x => x.join(`!&|&!`), loadTransform: x => x === `` ? [] : x.split(`!&|&!`), assignInput: setArrayInputs },
+  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `enum`, setTransform: setArrayTransform, saveTransform: x => x.join(`!&|&!`), loadTransform: x => x === `` ? [] : x.split(`!&|&!`), assignInput: setArrayInputs },
+  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `uuid`, setTransform: setArrayTransform, saveTransform: x => x.join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `binary`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y.join(`|`)).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => Buffer.from(y.split(`|`).map(z => parseInt(z)))), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `varbinary`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y.join(`|`)).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => Buffer.from(y.split(`|`).map(z => parseInt(z)))), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `tinyblob`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y.join(`|`)).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => Buffer.from(y.split(`|`).map(z => parseInt(z)))), assignInput: setArrayInputs },
@@ -522,38 +860,174 @@ const ezobjectTypes = [
   { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `boolean`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y ? 1 : 0).join(`,`), loadTransform: x => x === `` ? [] : x.split(`,`).map(y => y ? true : false), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `mediumtext`, default: [], arrayOfType: `function`, setTransform: setArrayTransform, saveTransform: x => x.map(y => y.toString()).join(`!&|&!`), loadTransform: x => x === `` ? [] : x.split(`!&|&!`).map(y => eval(y)), assignInput: setArrayInputs },
   { type: `array`, jsType: `Array`, mysqlType: `mediumtext`, default: [], arrayOfType: `object`, setTransform: setArrayTransform, saveTransform: x => JSON.stringify(x), loadTransform: x => JSON.parse(x), assignInput: setArrayInputs },
-  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `other`, getTransform: (x, property) => x.length > 0 && x[0]._isAddonObject ? x.map(y => new module.exports.objects[y._constructorName]().init(y)) : x, setTransform: setArrayTransform, saveTransform: x => x.map(y => `${y.constructor.name},${y.id()}`).join(`|`), 
-    loadTransform: async (x, property, db, tableName) => { 
+  { type: `array`, jsType: `Array`, mysqlType: `json`, default: [], arrayOfType: `json`, setTransform: setArrayTransform, saveTransform: x => x === null ? null : jsonStringify(x), loadTransform: x => x === null || typeof x == `undefined` ? null : jsonParse(typeof x == `string` ? x : jsonStringify(x)), assignInput: setArrayInputs },
+  { type: `array`, jsType: `Array`, mysqlType: `text`, default: [], arrayOfType: `other`, getTransform: (x, property) => x.length > 0 && x[0]._isAddonObject ? x.map(y => new module.exports.objects[y._constructorName]().init(y)) : x, setTransform: setArrayTransform, saveTransform: x => x.map(y => y ? `${y.constructor.name},${y.id()}` : ``).join(`|`), 
+    loadTransform: async (x, property, db, tableName, batch) => { 
       if ( typeof x == `object` && x.constructor.name == `Array` ) 
         return x.map(y => new module.exports.objects[y._constructorName](y)); 
     
-      const arr = []; 
-      const parts = x.split(`|`).filter(x => x != ``).map(y => y.split(`,`));
-      const constructors = parts.map(y => y[0]);
-      const objectIds = parts.map(y => parseInt(y[1]));
-    
-      if ( x.length > 0 ) {
-        const constructorName = x[0]._constructorName;
-        const constructorNameRegex = new RegExp(`/^${constructorName},/`);
-        const allObjectsSame = constructors.every(x => x.match(constructorNameRegex));
-      
-        if ( allObjectsSame ) {
-          const results = await db.awaitQuery(`SELECT * FROM ${tableName} WHERE id IN (?)`, [objectIds]);
-        
-          for ( const row of results )
-            arr.push(await (new module.exports.objects[constructorName]()).load(row, db)); 
-        } else {
-          for ( let i = 0, i_max = objectIds.length; i < i_max; i++ )
-            arr.push(await (new module.exports.objects[constructors[i]]()).load(objectIds[i], db)); 
-        }
-      }
-
-      return arr; 
+      /** Split into pairs of class name and ID, then load them together */
+      return await loadReferences(x.split(`|`).filter(y => y != ``).map(y => y.split(`,`)), db, batch);
     }, 
     assignInput: setArrayInputs
   }
 ];
 
+/** Optional boolean attributes of custom type descriptors, see ezobjects.registerType() */
+const typeAttributes = [`hasLength`, `hasDecimals`, `hasUnsignedAndZeroFill`, `hasCharacterSetAndCollate`, `lengthRequired`, `lengthRequiresDecimals`, `allowNull`];
+
+/** Optional transforms of custom type descriptors */
+const typeTransforms = [`setTransform`, `saveTransform`, `loadTransform`];
+
+/** 
+ * @signature arrayElement(property)
+ * @param property Object Property configuration of an array
+ * @return Object Configuration of the array's elements, named after the array for error messages
+ * @description Get the configuration to pass to the transforms of a custom type for the elements of an array.
+ */
+const arrayElement = (property) => {
+  return Object.assign({}, property.arrayOf, { className: property.className, name: property.name });
+};
+
+/**
+ * @signature ezobjects.registerType(descriptor)
+ * @param descriptor Object Type descriptor
+ * @description A function for adding a custom EZ Object type, which can then be used as the `type` or `arrayOf.type`
+ * of property configurations just like the built-in types.  Arrays of it are stored as JSON text containing the saved
+ * form of each element.
+ */
+const registerType = (descriptor) => {
+  /** If descriptor is not plain object, throw error */
+  if ( typeof descriptor != `object` || descriptor === null || descriptor.constructor.name != `Object` )
+    throw new Error(`ezobjects.registerType(): Invalid descriptor argument, must be plain object.`);
+
+  /** If descriptor has missing or invalid type, throw error */
+  if ( typeof descriptor.type != `string` || !descriptor.type.match(/^[a-zA-Z_][a-zA-Z0-9_]*$/) )
+    throw new Error(`ezobjects.registerType(): Type has missing or invalid 'type', must be string containing characters 'a-zA-Z0-9_'.`);
+
+  /** Types are compared in lower-case */
+  const type = descriptor.type.toLowerCase();
+
+  /** If type already exists, throw error */
+  if ( [`array`, `other`].includes(type) || ezobjectTypes.some(x => x.type == type) )
+    throw new Error(`ezobjects.registerType(): Type '${type}' already exists.`);
+
+  /** If descriptor has missing or invalid jsType, throw error */
+  if ( typeof descriptor.jsType != `string` || descriptor.jsType == `object` )
+    throw new Error(`ezobjects.registerType(): Type '${type}' has missing or invalid 'jsType', must be string other than 'object', which is reserved for EZ Objects.`);
+
+  /** If descriptor has missing or invalid mysqlType, throw error */
+  if ( typeof descriptor.mysqlType != `string` || !descriptor.mysqlType.match(/^[a-zA-Z]+$/) )
+    throw new Error(`ezobjects.registerType(): Type '${type}' has missing or invalid 'mysqlType', must be string containing characters 'a-zA-Z'.`);
+
+  /** If any attribute isn't a boolean, throw error */
+  typeAttributes.forEach((attribute) => {
+    if ( typeof descriptor[attribute] != `undefined` && typeof descriptor[attribute] != `boolean` )
+      throw new Error(`ezobjects.registerType(): Type '${type}' has invalid '${attribute}', must be boolean.`);
+  });
+
+  /** If any transform isn't a function, throw error */
+  typeTransforms.forEach((transform) => {
+    if ( typeof descriptor[transform] != `undefined` && typeof descriptor[transform] != `function` )
+      throw new Error(`ezobjects.registerType(): Type '${type}' has invalid '${transform}', must be function.`);
+  });
+
+  /** If descriptor has invalid jsonSchema, throw error */
+  if ( typeof descriptor.jsonSchema != `undefined` && ( typeof descriptor.jsonSchema != `object` || descriptor.jsonSchema === null || descriptor.jsonSchema.constructor.name != `Object` ) )
+    throw new Error(`ezobjects.registerType(): Type '${type}' has invalid 'jsonSchema', must be plain object.`);
+
+  /** Use the default set transform unless one is provided, and allow nulls by default if the default value is null */
+  const ezobjectType = Object.assign({ default: null, setTransform: setTransform }, descriptor, { type: type, custom: true });
+
+  if ( typeof ezobjectType.allowNull != `boolean` )
+    ezobjectType.allowNull = ezobjectType.default === null;
+
+  /** Describe values in JSON Schema by their JavaScript type unless a schema is provided, allowing anything for other types */
+  if ( typeof ezobjectType.jsonSchema == `undefined` )
+    ezobjectType.jsonSchema = [`string`, `number`, `boolean`].includes(ezobjectType.jsType) ? { type: ezobjectType.jsType } : {};
+
+  const save = ezobjectType.saveTransform || (x => x);
+  const load = ezobjectType.loadTransform || (x => x);
+
+  ezobjectTypes.push(ezobjectType);
+
+  /** Store arrays as JSON text of each element's saved form, so the saved form can be anything JSON can encode */
+  ezobjectTypes.push({ 
+    type: `array`, 
+    jsType: `Array`, 
+    mysqlType: `text`, 
+    default: [], 
+    arrayOfType: type, 
+    custom: true,
+    allowNull: false,
+    setTransform: setArrayTransform, 
+    saveTransform: (x, property) => x === null ? null : jsonStringify(x.map(y => y === null ? null : save(y, arrayElement(property)))), 
+    loadTransform: async (x, property) => {
+      if ( x === null || typeof x == `undefined` )
+        return null;
+      else if ( x === `` )
+        return [];
+
+      return await Promise.all(jsonParse(x).map(y => y === null ? null : load(y, arrayElement(property))));
+    },
+    assignInput: setArrayInputs
+  });
+};
+
+/** Actions allowed when a record referenced by a foreign key is deleted or its ID is updated */
+const foreignKeyActions = [`RESTRICT`, `CASCADE`, `SET NULL`, `NO ACTION`];
+
+/** Strategies for generating primary keys, set by the 'primaryKey' class option */
+const primaryKeyStrategies = [`autoIncrement`, `uuidv4`, `uuidv7`];
+
+/** Column types UUIDs can be stored as, BINARY(16) or CHAR(36) */
+const uuidStorages = [`binary`, `char`];
+
+/** Types that can be exact, using BigInts for BIGINT and strings for DECIMAL and NUMERIC instead of numbers */
+const exactTypes = [`bigint`, `decimal`, `numeric`];
+
+/** Types that are stored as the wall clock time in a timezone */
+const timezoneTypes = [`date`, `datetime`, `timestamp`];
+
+/** Kinds of timestamp properties added by the 'timestamps' class option */
+const timestampKinds = [`createdAt`, `updatedAt`];
+
+/** Symbol passed as the second argument of a setter by internal code to set read-only properties, like timestamps */
+const unlockReadOnly = Symbol(`unlockReadOnly`);
+
+/** Lifecycle hooks that can be configured to run before and after database operations */
+const hookNames = [`beforeInsert`, `afterInsert`, `beforeUpdate`, `afterUpdate`, `beforeLoad`, `afterLoad`, `beforeDelete`, `afterDelete`];
+
+/**
+ * @signature new OptimisticLockError(message)
+ * @param message string Error message
+ * @description Error thrown by `update()` when the record's version column no longer matches the version the object 
+ * was loaded with, because the record has since been updated or deleted by someone else.
+ */
+class OptimisticLockError extends Error {
+  constructor(message) {
+    super(message);
+
+    this.name = `OptimisticLockError`;
+  }
+}
+
+/**
+ * @signature new ValidationError(message, errors)
+ * @param message string Error message
+ * @param errors Object Arrays of failure messages keyed by property name, as returned by `validate()`
+ * @description Error thrown when saving an object of a class configured with `validateOnSave` that fails the 
+ * validation rules of its properties.
+ */
+class ValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+
+    this.name = `ValidationError`;
+    this.errors = errors;
+  }
+}
+
 /** 
  * @signature validatePropertyConfig(property)
  * @param property Object Property configuration
@@ -630,22 +1104,122 @@ const validatePropertyConfig = (property) => {
 
     /** If no standard type was found, use 'other' type for other objects */
     if ( !property.arrayOf.ezobjectType )
-      property.arrayOf.ezobjectType = ezobjectTypes.find(x => x.type == `other`);
+      property.arrayOf.ezobjectType = ezobjectTypes.find(x => x.type == `other` && !x.foreignKey);
     
-    /** Fully determine whether to allow nulls for this property */
-    if ( typeof property.arrayOf.allowNull !== `boolean` && property.arrayOf.ezobjectType.type != `other` && property.arrayOf.ezobjectType.type != `date` && property.arrayOf.ezobjectType.type != `datetime` && property.arrayOf.ezobjectType.type != `timestamp` )
+    /** If 'arrayOf.exact' is provided, make sure it's a boolean used on an array of a type that can be exact */
+    if ( typeof property.arrayOf.exact != `undefined` && typeof property.arrayOf.exact != `boolean` )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'arrayOf.exact', must be boolean.`);
+    else if ( typeof property.arrayOf.exact != `undefined` && !exactTypes.includes(property.arrayOf.type) )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'arrayOf.exact' if it is an array of ${exactTypes.join(`, `)}.`);
+
+    /** Use exact types for arrays of BIGINT, DECIMAL, or NUMERIC if 'arrayOf.exact' is true, or by default if the global default is */
+    if ( exactTypes.includes(property.arrayOf.type) ) {
+      if ( typeof property.arrayOf.exact == `undefined` )
+        property.arrayOf.exact = defaults.exact;
+
+      property.ezobjectType = ezobjectTypes.find(x => x.type == `array` && x.arrayOfType == property.arrayOf.type && !x.exact == !property.arrayOf.exact);
+      property.arrayOf.ezobjectType = ezobjectTypes.find(x => x.type == property.arrayOf.type && !x.exact == !property.arrayOf.exact);
+    }
+
+    /** If 'arrayOf.dateOnly' is provided, make sure it's a boolean used on an array of DATE */
+    if ( typeof property.arrayOf.dateOnly != `undefined` && typeof property.arrayOf.dateOnly != `boolean` )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'arrayOf.dateOnly', must be boolean.`);
+    else if ( typeof property.arrayOf.dateOnly != `undefined` && property.arrayOf.type != `date` )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'arrayOf.dateOnly' if it is an array of date.`);
+    else if ( property.arrayOf.dateOnly ) {
+      property.ezobjectType = ezobjectTypes.find(x => x.type == `array` && x.arrayOfType == `date` && x.dateOnly);
+      property.arrayOf.ezobjectType = ezobjectTypes.find(x => x.type == `date` && x.dateOnly);
+    }
+
+    /** If 'arrayOf.timezone' is provided, make sure it's valid and used on an array of dates or times, and otherwise use the global default */
+    if ( typeof property.arrayOf.timezone != `undefined` && !timezoneTypes.includes(property.arrayOf.type) )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'arrayOf.timezone' if it is an array of ${timezoneTypes.join(`, `)}.`);
+    else if ( typeof property.arrayOf.timezone != `undefined` && !validTimezone(property.arrayOf.timezone) )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'arrayOf.timezone', must be 'local' or an IANA timezone name like 'UTC' or 'America/Chicago'.`);
+    else if ( timezoneTypes.includes(property.arrayOf.type) && typeof property.arrayOf.timezone == `undefined` )
+      property.arrayOf.timezone = defaults.timezone;
+
+    /** Fully determine whether to allow nulls for this property, using the default of custom types */
+    if ( typeof property.arrayOf.allowNull !== `boolean` && property.arrayOf.ezobjectType.custom )
+      property.arrayOf.allowNull = property.arrayOf.ezobjectType.allowNull;
+    else if ( typeof property.arrayOf.allowNull !== `boolean` && property.arrayOf.ezobjectType.type != `other` && property.arrayOf.ezobjectType.type != `date` && property.arrayOf.ezobjectType.type != `datetime` && property.arrayOf.ezobjectType.type != `timestamp` && property.arrayOf.ezobjectType.type != `json` )
       property.arrayOf.allowNull = false;
     else if ( typeof property.arrayOf.allowNull !== `boolean` )
       property.arrayOf.allowNull = true;
+
+    /** If array is of ENUM type and values missing or invalid, throw error */
+    if ( property.arrayOf.ezobjectType.type == `enum` && ( typeof property.arrayOf.values !== `object` || property.arrayOf.values === null || property.arrayOf.values.constructor.name != `Array` || property.arrayOf.values.length == 0 || property.arrayOf.values.some(x => typeof x != `string`) ) )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} with 'arrayOf.type' enum used with missing, empty, or invalid 'arrayOf.values', must be array of strings.`);
+
+    /** If 'json' is provided, make sure it's a boolean, and if true, store the array in a MySQL JSON column */
+    if ( typeof property.json != `undefined` && typeof property.json != `boolean` )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'json', must be boolean.`);
+    else if ( property.json && property.arrayOf.ezobjectType.type == `other` )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'json' if it is not an array of EZ Objects.`);
+    else if ( property.json )
+      property.ezobjectType = ezobjectTypes.find(x => x.type == `array` && x.arrayOfType == `json`);
   } else {
+    /** If 'json' is provided on anything other than an array, throw error */
+    if ( typeof property.json != `undefined` )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'json' if it is an array, use type 'json' instead.`);
+
     /** If it's a standard EZ Object type, attach 'ezobjectType' to property for later use */
     property.ezobjectType = ezobjectTypes.find(x => x.type == property.type);
 
-    /** If no standard type was found, use 'other' type for other objects */
-    if ( !property.ezobjectType )
-      property.ezobjectType = ezobjectTypes.find(x => x.type == `other`);
+    /** UUIDs are stored as BINARY(16) unless 'storage' is `char`, for CHAR(36) */
+    if ( property.type == `uuid` ) {
+      if ( typeof property.storage == `undefined` )
+        property.storage = `binary`;
+      else if ( !uuidStorages.includes(property.storage) )
+        throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'storage', must be one of ${uuidStorages.join(`, `)}.`);
+
+      property.ezobjectType = ezobjectTypes.find(x => x.type == `uuid` && x.mysqlType == property.storage);
+      property.length = property.storage == `binary` ? 16 : 36;
+    }
+
+    /** Use exact types for BIGINT, DECIMAL, or NUMERIC if 'exact' is true, or by default if the global default is */
+    if ( exactTypes.includes(property.type) ) {
+      if ( typeof property.exact == `undefined` )
+        property.exact = defaults.exact;
+
+      property.ezobjectType = ezobjectTypes.find(x => x.type == property.type && !x.exact == !property.exact);
+    }
+
+    /** Use the date-only type for DATE if 'dateOnly' is true */
+    if ( property.type == `date` && property.dateOnly === true )
+      property.ezobjectType = ezobjectTypes.find(x => x.type == `date` && x.dateOnly);
+
+    /** If no standard type was found, use 'other' type for other objects, storing just the ID if it's a foreign key */
+    if ( !property.ezobjectType && property.foreignKey )
+      property.ezobjectType = ezobjectTypes.find(x => x.type == `other` && x.foreignKey);
+    else if ( !property.ezobjectType )
+      property.ezobjectType = ezobjectTypes.find(x => x.type == `other` && !x.foreignKey);
   }
   
+  /** If 'exact' is provided, make sure it's a boolean used on a type that can be exact */
+  if ( typeof property.exact != `undefined` && typeof property.exact != `boolean` )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'exact', must be boolean.`);
+  else if ( typeof property.exact != `undefined` && !exactTypes.includes(property.type) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'exact' if it is a ${exactTypes.join(`, `)}, use 'arrayOf.exact' for arrays.`);
+
+  /** If 'dateOnly' is provided, make sure it's a boolean used on a DATE */
+  if ( typeof property.dateOnly != `undefined` && typeof property.dateOnly != `boolean` )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'dateOnly', must be boolean.`);
+  else if ( typeof property.dateOnly != `undefined` && property.type != `date` )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'dateOnly' if it is a date, use 'arrayOf.dateOnly' for arrays.`);
+
+  /** If 'timezone' is provided, make sure it's valid and used on a date or time, and otherwise use the global default */
+  if ( typeof property.timezone != `undefined` && !timezoneTypes.includes(property.type) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'timezone' if it is a ${timezoneTypes.join(`, `)}, use 'arrayOf.timezone' for arrays.`);
+  else if ( typeof property.timezone != `undefined` && !validTimezone(property.timezone) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'timezone', must be 'local' or an IANA timezone name like 'UTC' or 'America/Chicago'.`);
+  else if ( timezoneTypes.includes(property.type) && typeof property.timezone == `undefined` )
+    property.timezone = defaults.timezone;
+
+  /** If 'storage' is provided on anything other than a UUID, throw error */
+  if ( typeof property.storage != `undefined` && property.type != `uuid` )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'storage' if it is a uuid.`);
+
   /** If 'mysqlType' is provided, make sure it's a string and override ezobjectType */
   if ( typeof property.mysqlType == `string` )
     property.ezobjectType.mysqlType = property.mysqlType;
@@ -733,6 +1307,10 @@ const validatePropertyConfig = (property) => {
   /** If type is ENUM and values exists but is empty, throw error */
   if ( property.ezobjectType.mysqlType == `enum` && property.values.length == 0 )
     throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} used with empty values array, there must be at least one value.`);
+
+  /** If type is ENUM and values aren't all strings, throw error */
+  if ( property.ezobjectType.mysqlType == `enum` && property.values.some(x => typeof x != `string`) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} used with non-string values, all values must be strings.`);
   
   /** Create default transform function that doesn't change the input */
   const defaultTransform = x => x;
@@ -757,15 +1335,85 @@ const validatePropertyConfig = (property) => {
   if ( typeof property.assignInput !== `function` )
     property.assignInput = typeof property.ezobjectType == `object` && typeof property.ezobjectType.assignInput == `function` ? property.ezobjectType.assignInput : defaultTransform;
       
+  /** If 'required' is provided, make sure it's a boolean */
+  if ( typeof property.required != `undefined` && typeof property.required != `boolean` )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'required', must be boolean.`);
+
+  /** If 'min' or 'max' is provided, make sure it can be compared to values */
+  [`min`, `max`].forEach((rule) => {
+    if ( typeof property[rule] != `undefined` && typeof property[rule] != `number` && typeof property[rule] != `bigint` && !( property[rule] instanceof Date ) )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid '${rule}', must be number, BigInt, or Date.`);
+  });
+
+  /** If 'minLength' or 'maxLength' is provided, make sure it's a non-negative integer */
+  [`minLength`, `maxLength`].forEach((rule) => {
+    if ( typeof property[rule] != `undefined` && ( !Number.isInteger(property[rule]) || property[rule] < 0 ) )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid '${rule}', must be non-negative integer.`);
+  });
+
+  /** If 'pattern' is provided, make sure it's a regular expression, converting strings */
+  if ( typeof property.pattern == `string` )
+    property.pattern = new RegExp(property.pattern);
+  else if ( typeof property.pattern != `undefined` && !( property.pattern instanceof RegExp ) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'pattern', must be RegExp or string.`);
+
+  /** If 'oneOf' is provided, make sure it's an array */
+  if ( typeof property.oneOf != `undefined` && !( property.oneOf instanceof Array ) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'oneOf', must be array.`);
+
+  /** If 'validators' is provided, make sure it's a function or array of functions, converting functions to arrays */
+  if ( typeof property.validators == `function` )
+    property.validators = [property.validators];
+  else if ( typeof property.validators != `undefined` && ( !( property.validators instanceof Array ) || property.validators.some(x => typeof x != `function`) ) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'validators', must be function or array of functions.`);
+
   /** Fully determine whether to store properties in database */
   if ( typeof property.store !== `boolean` )
     property.store = true;
+
+  /** If 'joinTable' is provided, make sure it's a boolean used on an array of EZ Objects */
+  if ( typeof property.joinTable != `undefined` && typeof property.joinTable != `boolean` )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'joinTable', must be boolean.`);
+  else if ( property.joinTable && ( property.type != `array` || property.arrayOf.ezobjectType.type != `other` ) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' of type ${property.type} can only use 'joinTable' if it is an array of EZ Objects.`);
   
-  /** Fully determine whether to allow nulls for this property */
-  if ( typeof property.allowNull !== `boolean` && property.ezobjectType.type != `other` && property.ezobjectType.type != `date` && property.ezobjectType.type != `datetime` && property.ezobjectType.type != `timestamp` )
+  /** Fully determine whether to allow nulls for this property, using the default of custom types */
+  if ( typeof property.allowNull !== `boolean` && property.ezobjectType.custom )
+    property.allowNull = property.ezobjectType.allowNull;
+  else if ( typeof property.allowNull !== `boolean` && property.ezobjectType.type != `other` && property.ezobjectType.type != `date` && property.ezobjectType.type != `datetime` && property.ezobjectType.type != `timestamp` && property.ezobjectType.type != `json` && property.ezobjectType.type != `uuid` )
     property.allowNull = false;
   else if ( typeof property.allowNull !== `boolean` )
     property.allowNull = true;
+
+  /** Like MySQL, ENUM properties that don't allow nulls default to their first value */
+  if ( property.ezobjectType.type == `enum` && typeof property.default == `undefined` && !property.allowNull )
+    property.default = property.values[0];
+
+  /** If 'foreignKey' is provided, make sure it's a boolean or plain object used on a property whose type is another EZ Object */
+  if ( typeof property.foreignKey != `undefined` && typeof property.foreignKey != `boolean` && ( typeof property.foreignKey != `object` || property.foreignKey === null || property.foreignKey.constructor.name != `Object` ) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'foreignKey', must be boolean or plain object.`);
+  else if ( property.foreignKey && ( property.ezobjectType.type != `other` || typeof property.originalType != `string` ) )
+    throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' can only use 'foreignKey' if its type is another EZ Object class.`);
+
+  /** Fully determine foreign key actions */
+  if ( property.foreignKey ) {
+    const foreignKey = property.foreignKey === true ? {} : property.foreignKey;
+
+    [`onDelete`, `onUpdate`].forEach((action) => {
+      if ( typeof foreignKey[action] == `undefined` )
+        foreignKey[action] = `RESTRICT`;
+      else if ( typeof foreignKey[action] != `string` || !foreignKeyActions.includes(foreignKey[action].toUpperCase()) )
+        throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' has invalid 'foreignKey.${action}', must be one of ${foreignKeyActions.join(`, `)}.`);
+
+      foreignKey[action] = foreignKey[action].toUpperCase();
+    });
+
+    /** If nulls aren't allowed, the referenced record can't be removed by setting the column to null, so throw error */
+    if ( !property.allowNull && ( foreignKey.onDelete == `SET NULL` || foreignKey.onUpdate == `SET NULL` ) )
+      throw new Error(`ezobjects.validatePropertyConfig(): Property '${property.name}' can only use foreign key action 'SET NULL' if it allows nulls.`);
+
+    property.foreignKey = foreignKey;
+  }
 };
 
 /** 
@@ -785,6 +1433,22 @@ function validateClassConfig(obj) {
   /** If configuration has invalid 'revisionControlled' configuration, throw error */
   if ( obj.revisionControlled && typeof obj.revisionControlled != `boolean` )
     throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'revisionControlled' property, must be boolean.`);
+
+  /** If configuration has invalid 'hooks' configuration, throw error */
+  if ( typeof obj.hooks != `undefined` && ( typeof obj.hooks != `object` || obj.hooks === null || obj.hooks.constructor.name != `Object` ) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'hooks' property, must be plain object.`);
+
+  /** If any hook is unknown or not a function, throw error */
+  Object.keys(obj.hooks || {}).forEach((name) => {
+    if ( !hookNames.includes(name) )
+      throw new Error(`ezobjects.validateClassConfig(): Configuration has unknown hook '${name}', must be one of ${hookNames.join(`, `)}.`);
+    else if ( typeof obj.hooks[name] != `function` )
+      throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid hook '${name}', must be function.`);
+  });
+
+  /** If configuration has invalid 'validateOnSave' configuration, throw error */
+  if ( typeof obj.validateOnSave != `undefined` && typeof obj.validateOnSave != `boolean` )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'validateOnSave' property, must be boolean.`);
   
   /** Add properties array if one wasn't set */
   if ( !obj.properties )
@@ -793,6 +1457,38 @@ function validateClassConfig(obj) {
   /** Make sure properties is array */
   if ( obj.properties && ( typeof obj.properties != `object` || obj.properties.constructor.name != `Array` ) )
     throw new Error(`ezobjects.validateClassConfig(): Invalid properties configuration, properties not array.`);
+
+  /** If configuration has invalid 'primaryKey' configuration, throw error */
+  if ( typeof obj.primaryKey != `undefined` && typeof obj.primaryKey != `string` && ( typeof obj.primaryKey != `object` || obj.primaryKey === null || obj.primaryKey.constructor.name != `Object` ) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'primaryKey' property, must be string or plain object.`);
+
+  /** Add generated primary key property */
+  if ( obj.primaryKey )
+    addPrimaryKeyProperty(obj);
+
+  /** If configuration has invalid 'timestamps' configuration, throw error */
+  if ( typeof obj.timestamps != `undefined` && typeof obj.timestamps != `boolean` && ( typeof obj.timestamps != `object` || obj.timestamps === null || obj.timestamps.constructor.name != `Object` ) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'timestamps' property, must be boolean or plain object.`);
+
+  /** Add timestamp properties */
+  if ( obj.timestamps )
+    addTimestampProperties(obj);
+
+  /** If configuration has invalid 'softDelete' configuration, throw error */
+  if ( typeof obj.softDelete != `undefined` && typeof obj.softDelete != `boolean` && ( typeof obj.softDelete != `object` || obj.softDelete === null || obj.softDelete.constructor.name != `Object` ) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'softDelete' property, must be boolean or plain object.`);
+
+  /** Add soft delete timestamp property */
+  if ( obj.softDelete )
+    addSoftDeleteProperty(obj);
+
+  /** If configuration has invalid 'versionColumn' configuration, throw error */
+  if ( typeof obj.versionColumn != `undefined` && typeof obj.versionColumn != `boolean` && ( typeof obj.versionColumn != `string` || !obj.versionColumn.match(/^[A-Za-z_0-9$]+$/) ) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'versionColumn' property, must be boolean or string containing characters 'A-Za-z_0-9$'.`);
+
+  /** Add version column property */
+  if ( obj.versionColumn )
+    addVersionProperty(obj);
   
   /** Loop through any properties and validate them */
   obj.properties.forEach((property) => {
@@ -800,211 +1496,1993 @@ function validateClassConfig(obj) {
     
     validatePropertyConfig(property);
   });
+
+  /** If revision controlled and a property conflicts with the revision history columns, throw error */
+  if ( obj.revisionControlled && [`revisionId`, `revisionDate`].some(x => findProperty(obj, x)) )
+    throw new Error(`ezobjects.validateClassConfig(): Revision controlled configuration cannot have properties named 'revisionId' or 'revisionDate'.`);
 }
 
-/** 
- * @signature validateTableConfig(obj)
+/**
+ * @signature addPrimaryKeyProperty(obj)
  * @param obj Object Configuration object
- * @description Validate configuration for a single table.
+ * @description Fully determine the 'primaryKey' option and, for UUID primary keys, add the `id` property of type `uuid`, 
+ * unless it was already added or is inherited from an extended configuration.
  */
-const validateTableConfig = (obj) => {  
-  /** If configuration has missing or invalid 'tableName' configuration, throw error */
-  if ( typeof obj.tableName !== `string` || !obj.tableName.match(/^[a-z0-9_]+$/) )
-    throw new Error(`ezobjects.validateTableConfig(): Configuration has missing or invalid 'tableName', must be string containing characters 'a-z0-9_'.`);
+const addPrimaryKeyProperty = (obj) => {
+  const primaryKey = Object.assign({ strategy: `autoIncrement`, storage: `binary` }, typeof obj.primaryKey == `string` ? { strategy: obj.primaryKey } : obj.primaryKey);
 
-  validateClassConfig(obj);
-};
+  if ( !primaryKeyStrategies.includes(primaryKey.strategy) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'primaryKey.strategy', must be one of ${primaryKeyStrategies.join(`, `)}.`);
 
-/*
- * @signature ezobjects.createTable(obj, db)
- * @param obj Object Configuration object
- * @param db AwaitConnection
- * @description A function for automatically generating a MySQL table, if it doesn't already
- * exist, based on the values in the provided configuration object.
- */
-const createTable = async (obj, db) => {
-  if ( typeof db != `object` )
-    throw new Error(`ezobjects.createTable(): Invalid database argument.`);
-  
-  /** Validate table configuration */
-  validateTableConfig(obj);
-  
-  /** Helper method that can be recursively called to add all properties to the create query */
-  const addPropertiesToCreateQuery = (obj) => {
-    /** If this object extends another, recursively add properties from the extended object */
-    if ( obj.extendsConfig )
-      addPropertiesToCreateQuery(obj.extendsConfig);
+  if ( !uuidStorages.includes(primaryKey.storage) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'primaryKey.storage', must be one of ${uuidStorages.join(`, `)}.`);
 
-    /** Loop through each property */
-    obj.properties.forEach((property) => {
-      /** If we don't want this property to be stored in the database, don't include it in the create query */
-      if ( !property.store )
-        return;
-      
-      /** Add property name and type to query */
-      createQuery += `${property.name} ${property.ezobjectType.mysqlType.toUpperCase()}`;
+  obj.primaryKey = primaryKey;
 
-      /** Add value lists for ENUM and SET types */
-      if ( property.ezobjectType.mysqlType.toUpperCase() == `ENUM` || property.ezobjectType.mysqlType.toUpperCase() == `SET` ) {
-        createQuery += `(`;
-        
-        /** Loop through each value and output */
-        property.values.forEach((value) => {
-          createQuery += `'${value}', `;
-        });
-        
-        /** Trim extra ', ' from value list, if there was at least one */
-        if ( property.values.length > 0 )
-          createQuery = createQuery.substr(0, createQuery.length - 2);
-        
-        createQuery += `)`;
-      }
-      
-      /** Properties with length and/or decimals */
-      if ( !isNaN(property.length) && !isNaN(property.decimals) && typeof property.ezobjectType.hasLength == `boolean` && property.ezobjectType.hasLength && typeof property.ezobjectType.hasDecimals == `boolean` && property.ezobjectType.hasDecimals )
-        createQuery += `(${property.length}, ${property.decimals})`;
-      else if ( !isNaN(property.length) && typeof property.ezobjectType.hasLength == `boolean` && property.ezobjectType.hasLength )
-        createQuery += `(${property.length})`;
-      
-      /** Properties with UNSIGNED */
-      if ( typeof property.ezobjectType.hasUnsignedAndZeroFill == `boolean` && property.ezobjectType.hasUnsignedAndZeroFill && typeof property.unsigned == `boolean` && property.unsigned )
-        createQuery += ` UNSIGNED`;
+  /** Auto-incrementing primary keys use the configured `id` property */
+  if ( primaryKey.strategy == `autoIncrement` )
+    return;
 
-      /** Properties with ZEROFILL */
-      if ( typeof property.ezobjectType.hasUnsignedAndZeroFill == `boolean` && property.ezobjectType.hasUnsignedAndZeroFill && typeof property.zerofill == `boolean` && property.zerofill )
-        createQuery += ` ZEROFILL`;
+  const property = findProperty(obj, `id`);
 
-      /** Properties with CHARACTER SET */
-      if ( typeof property.ezobjectType.hasCharacterSetAndCollate == `boolean` && property.ezobjectType.hasCharacterSetAndCollate && typeof property.characterSet == `string` )
-        createQuery += ` CHARACTER SET ${property.characterSet}`;
+  /** If it was already added, either by validating this configuration before or by an extended configuration, skip it */
+  if ( property && property.primaryKey == primaryKey.strategy && property.storage == primaryKey.storage )
+    return;
+  else if ( property )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has property 'id' that conflicts with 'primaryKey', it is added automatically for UUID primary keys.`);
 
-      /** Properties with COLLATE */
-      if ( typeof property.ezobjectType.hasCharacterSetAndCollate == `boolean` && property.ezobjectType.hasCharacterSetAndCollate && typeof property.collate == `string` )
-        createQuery += ` COLLATE ${property.collate}`;
+  /** The ID is null until the record is inserted */
+  obj.properties.unshift({ name: `id`, type: `uuid`, storage: primaryKey.storage, allowNull: true, primaryKey: primaryKey.strategy });
+};
 
-      /** Properties with NULL */
-      if ( property.allowNull )
-        createQuery += ` NULL`;
-      else
-        createQuery += ` NOT NULL`;
+/**
+ * @signature addTimestampProperties(obj)
+ * @param obj Object Configuration object
+ * @description Fully determine the 'timestamps' option and add a read-only `datetime` property for each timestamp, 
+ * unless it was already added or is inherited from an extended configuration.
+ */
+const addTimestampProperties = (obj) => {
+  const timestamps = Object.assign({ createdAt: `createdAt`, updatedAt: `updatedAt`, utc: false }, obj.timestamps === true ? {} : obj.timestamps);
 
-      /** Properties with AUTO_INCREMENT */
-      if ( property.autoIncrement || property.name == `id` )
-        createQuery += ` AUTO_INCREMENT`;
+  /** If a timestamp name is invalid, throw error */
+  timestampKinds.forEach((kind) => {
+    if ( typeof timestamps[kind] != `string` || !timestamps[kind].match(/^[A-Za-z_0-9$]+$/) )
+      throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'timestamps.${kind}', must be string containing characters 'A-Za-z_0-9$'.`);
+  });
 
-      /** Properties with UNIQUE KEY */
-      if ( property.unique )
-        createQuery += ` UNIQUE KEY`;
+  if ( timestamps.createdAt == timestamps.updatedAt )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has the same name for 'timestamps.createdAt' and 'timestamps.updatedAt'.`);
 
-      /** Properties with PRIMARY KEY */
-      if ( property.name == `id` )
-        createQuery += ` PRIMARY KEY`;
+  if ( typeof timestamps.utc != `boolean` )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'timestamps.utc', must be boolean.`);
 
-      /** Properties with COMMENT */
-      if ( property.comment && typeof property.comment == `string` )
-        createQuery += ` COMMENT '${property.comment.replace(`'`, `''`)}'`;
+  obj.timestamps = timestamps;
 
-      createQuery += `, `;
-    });
-  };
+  timestampKinds.forEach(kind => addTimestampProperty(obj, `timestamps.${kind}`, kind, timestamps[kind], timestamps.utc));
+};
 
-  /** Helper method that can be recursively called to add all indexes to the create query */
-  const addIndexesToCreateQuery = (obj) => {
-    /** If this object extends another, recursively add indexes from the extended object */
-    if ( obj.extendsConfig )
-      addIndexesToCreateQuery(obj.extendsConfig);
-
-    /** If there are any indexes defined */
-    if ( obj.indexes ) {
-      /** Loop through each index */
-      obj.indexes.forEach((index) => {
-        /** Convert the type to upper case for reliable string comparison */
-        index.type = index.type.toUpperCase();
-        
-        /** If type is not defined, default to BTREE */
-        if ( typeof index.type !== `string` )
-          index.type = `BTREE`;
-
-        /** Validate index settings */
-        if ( index.type != `BTREE` && index.type != `HASH` )
-          throw new Error(`ezobjects.createTable(): Invalid index type '${index.type}'.`);
-        else if ( index.visible && index.invisible )
-          throw new Error(`ezobjects.createTable(): Index cannot have both VISIBLE and INVISIBLE options set.`);
-
-        /** Add index name and type to query */
-        createQuery += `INDEX ${index.name} USING ${index.type} (`;
-
-        /** Loop through each indexed column and append to query */
-        index.columns.forEach((column) => {
-          createQuery += `${column}, `;
-        });
+/**
+ * @signature addSoftDeleteProperty(obj)
+ * @param obj Object Configuration object
+ * @description Fully determine the 'softDelete' option and add a read-only `datetime` property for the deletion time, 
+ * unless it was already added or is inherited from an extended configuration.
+ */
+const addSoftDeleteProperty = (obj) => {
+  const softDelete = Object.assign({ deletedAt: `deletedAt`, utc: false }, obj.softDelete === true ? {} : obj.softDelete);
 
-        /** Trim off extra ', ' from columns */
-        createQuery = createQuery.substr(0, createQuery.length - 2);
+  /** If the deletion timestamp name is invalid, throw error */
+  if ( typeof softDelete.deletedAt != `string` || !softDelete.deletedAt.match(/^[A-Za-z_0-9$]+$/) )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'softDelete.deletedAt', must be string containing characters 'A-Za-z_0-9$'.`);
 
-        /** Close column list */
-        createQuery += `)`;
+  if ( typeof softDelete.utc != `boolean` )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has invalid 'softDelete.utc', must be boolean.`);
 
-        /** Indexes with KEY_BLOCK_SIZE */
-        if ( typeof index.keyBlockSize === `number` )
-          createQuery += ` KEY_BLOCK_SIZE ${index.keyBlockSize}`;
+  obj.softDelete = softDelete;
 
-        /** Indexes with WITH PARSER */
-        if ( typeof index.parserName === `string` )
-          createQuery += ` WITH PARSER ${index.parserName}`;
+  addTimestampProperty(obj, `softDelete.deletedAt`, `deletedAt`, softDelete.deletedAt, softDelete.utc);
+};
 
-        /** Indexes with COMMENT */
-        if ( typeof index.comment === `string` )
-          createQuery += ` COMMENT '${index.comment.replace(`'`, ``)}'`;
+/**
+ * @signature addTimestampProperty(obj, option, kind, name, utc)
+ * @param obj Object Configuration object
+ * @param option string Name of the configuration option the timestamp comes from, for error messages
+ * @param kind string Kind of timestamp, `createdAt`, `updatedAt`, or `deletedAt`
+ * @param name string Name of the timestamp property
+ * @param utc boolean Whether to store the timestamp in UTC instead of the default timezone
+ * @description Add a read-only `datetime` property for a timestamp, unless it was already added or is inherited 
+ * from an extended configuration.
+ */
+const addTimestampProperty = (obj, option, kind, name, utc) => {
+  const property = findProperty(obj, name);
 
-        /** Indexes with VISIBLE */
-        if ( typeof index.visible === `boolean` && index.visible )
-          createQuery += ` VISIBLE`;
+  /** If it was already added, either by validating this configuration before or by an extended configuration, skip it */
+  if ( property && property.timestamp == kind )
+    return;
+  else if ( property )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has property '${name}' that conflicts with '${option}'.`);
 
-        /** Indexes with INVISIBLE */
-        if ( typeof index.visible === `boolean` && index.invisible )
-          createQuery += ` INVISIBLE`;
+  const timestamp = { name: name, type: `datetime`, allowNull: true, timestamp: kind };
 
-        createQuery += `, `;
-      });
-    }
-  };
+  /** Store UTC times by storing the DATETIME in the UTC timezone instead of the default */
+  if ( utc )
+    timestamp.timezone = `UTC`;
 
-  /** Begin create table query */
-  let createQuery = `CREATE TABLE IF NOT EXISTS ${obj.tableName} (`;
+  obj.properties.push(timestamp);
+};
 
-  /** Call recursive methods to add properties and indexes to query */
-  addPropertiesToCreateQuery(obj);
-  addIndexesToCreateQuery(obj);
+/**
+ * @signature addVersionProperty(obj)
+ * @param obj Object Configuration object
+ * @description Add a read-only `int` property for the 'versionColumn' option, unless it was already added or is 
+ * inherited from an extended configuration.
+ */
+const addVersionProperty = (obj) => {
+  const name = obj.versionColumn === true ? `version` : obj.versionColumn;
+  const property = findProperty(obj, name);
 
-  /** Trim extra ', ' from property and/or index list */
-  createQuery = createQuery.substr(0, createQuery.length - 2);
+  /** If it was already added, either by validating this configuration before or by an extended configuration, skip it */
+  if ( property && property.version )
+    return;
+  else if ( property )
+    throw new Error(`ezobjects.validateClassConfig(): Configuration has property '${name}' that conflicts with 'versionColumn'.`);
 
-  /** Close property and/or index list */
-  createQuery += `)`;
-    
-  /** Await query execution and return result */
-  return await db.awaitQuery(createQuery);
+  obj.properties.push({ name: name, type: `int`, unsigned: true, version: true });
 };
 
 /**
- * @signature ezobjects.createClass(obj)
+ * @signature versionProperty(obj)
  * @param obj Object Configuration object
- * @description A function for automatically generating a class object based on
- * the values in the provided configuration object.
+ * @return Object Property configuration of the version column, or undefined if the class doesn't use optimistic locking
+ * @description Find the version column property, including one inherited from an extended configuration.
  */
-const createClass = (obj) => {
-  /** Validate class configuration */
-  validateClassConfig(obj);
+const versionProperty = (obj) => {
+  return storedProperties(obj).find(property => property.version);
+};
 
-  /** Create new class on global scope */
-  module.exports.objects[obj.className] = class extends (obj.extends || Object) {
-    /** Create constructor */
-    constructor(data = {}) {
-      /** Initialize super */
-      super(data);
-      
-      /** If this is the top level class */
+/**
+ * @signature uuidKeyProperty(obj)
+ * @param obj Object Configuration object
+ * @return Object Property configuration of the ID, or undefined if the class doesn't use UUID primary keys
+ * @description Find the `id` property if its UUID is generated by insert, including one inherited from an extended configuration.
+ */
+const uuidKeyProperty = (obj) => {
+  const property = findProperty(obj, `id`);
+
+  return property && property.primaryKey ? property : undefined;
+};
+
+/**
+ * @signature generateId(obj, instance)
+ * @param obj Object Configuration object
+ * @param instance Object EZ Object instance
+ * @description Give an object a new UUID primary key before inserting it, unless it doesn't use them or already has one.
+ */
+const generateId = (obj, instance) => {
+  const property = uuidKeyProperty(obj);
+
+  if ( property && !instance.id() )
+    instance.id(generateUuid(property.primaryKey == `uuidv7` ? 7 : 4));
+};
+
+/**
+ * @signature saveId(obj, id)
+ * @param obj Object Configuration object of the class the ID belongs to
+ * @param id mixed ID
+ * @return mixed ID as it's stored in the database, i.e. a Buffer for UUIDs stored as `BINARY(16)`
+ * @description Transform an ID for use in a query.
+ */
+const saveId = (obj, id) => {
+  const property = obj ? findProperty(obj, `id`) : null;
+
+  return property && property.ezobjectType.type == `uuid` && id !== null && typeof id != `undefined` ? property.saveTransform(id, property) : id;
+};
+
+/**
+ * @signature loadId(obj, id)
+ * @param obj Object Configuration object of the class the ID belongs to
+ * @param id mixed ID as it's stored in the database
+ * @return mixed ID
+ * @description Transform an ID loaded from the database, i.e. UUIDs stored as `BINARY(16)` become strings.
+ */
+const loadId = (obj, id) => {
+  const property = obj ? findProperty(obj, `id`) : null;
+
+  return property && property.ezobjectType.type == `uuid` && id !== null && typeof id != `undefined` ? property.loadTransform(id, property) : id;
+};
+
+/**
+ * @signature softDeleteProperty(obj)
+ * @param obj Object Configuration object
+ * @return Object Property configuration of the deletion timestamp, or undefined if records are deleted permanently
+ * @description Find the deletion timestamp property, including one inherited from an extended configuration.
+ */
+const softDeleteProperty = (obj) => {
+  return storedProperties(obj).find(property => property.timestamp == `deletedAt`);
+};
+
+/**
+ * @signature setTimestamps(obj, instance, kinds)
+ * @param obj Object Configuration object
+ * @param instance Object EZ Object instance
+ * @param kinds Array Kinds of timestamps to set to the current time, `createdAt` and/or `updatedAt`
+ * @description Set timestamp properties, including those of any extended configurations.
+ */
+const setTimestamps = (obj, instance, kinds) => {
+  const now = new Date();
+
+  /** DATETIME columns store whole seconds, so drop milliseconds to keep the object matching the record */
+  now.setMilliseconds(0);
+
+  storedProperties(obj).forEach((property) => {
+    if ( kinds.includes(property.timestamp) )
+      instance[property.name](new Date(now.getTime()), unlockReadOnly);
+  });
+};
+
+/** 
+ * @signature validateTableConfig(obj)
+ * @param obj Object Configuration object
+ * @description Validate configuration for a single table.
+ */
+const validateTableConfig = (obj) => {  
+  /** If configuration has missing or invalid 'tableName' configuration, throw error */
+  if ( typeof obj.tableName !== `string` || !obj.tableName.match(/^[a-z0-9_]+$/) )
+    throw new Error(`ezobjects.validateTableConfig(): Configuration has missing or invalid 'tableName', must be string containing characters 'a-z0-9_'.`);
+
+  validateClassConfig(obj);
+
+  /** If a foreign key references a class that isn't linked to a table, throw error */
+  foreignKeyProperties(obj).forEach((property) => {
+    if ( !configs[property.originalType] || typeof configs[property.originalType].tableName != `string` )
+      throw new Error(`ezobjects.validateTableConfig(): Property '${property.name}' has 'foreignKey' but its type '${property.originalType}' is not a class linked to a table.`);
+  });
+};
+
+/**
+ * @signature findProperty(obj, name)
+ * @param obj Object Configuration object
+ * @param name string Property name
+ * @return Object|undefined Property configuration
+ * @description Find the configuration for property `name`, including properties of any extended configurations.
+ */
+const findProperty = (obj, name) => {
+  /** Check this configuration's own properties first */
+  const property = obj.properties.find(x => x.name == name);
+
+  /** If not found and this object extends another, recursively check the extended configuration */
+  if ( !property && obj.extendsConfig )
+    return findProperty(obj.extendsConfig, name);
+
+  return property;
+};
+
+/**
+ * @signature runHooks(obj, name, instance, db)
+ * @param obj Object Configuration object
+ * @param name string Hook name
+ * @param instance mixed EZ Object the operation is being performed on
+ * @param db Object Database connection, pool, or transaction
+ * @description Run the hooks named `name`, starting with those of any extended configurations.  Each hook is passed 
+ * the object and database, with `this` also set to the object, and is awaited before the next one runs.
+ */
+const runHooks = async (obj, name, instance, db) => {
+  /** If this object extends another, run its hooks first */
+  if ( obj.extendsConfig )
+    await runHooks(obj.extendsConfig, name, instance, db);
+
+  if ( obj.hooks && typeof obj.hooks[name] == `function` )
+    await obj.hooks[name].call(instance, instance, db);
+};
+
+/**
+ * @signature propertyFailures(property, instance)
+ * @param property Object Property configuration
+ * @param instance mixed EZ Object being validated
+ * @return Array Messages describing each validation rule of the property that its value fails
+ * @description Check the value of a property against its validation rules.  Missing values, meaning `null` or empty 
+ * strings or arrays, only fail the `required` rule and custom validators, and custom validators are passed the value and object, with `this` also 
+ * set to the object, and fail if they return or resolve to `false` or a message.
+ */
+const propertyFailures = async (property, instance) => {
+  const value = instance[property.name]();
+  const failures = [];
+  const describe = x => x instanceof Date ? x.toISOString() : x;
+
+  const missing = value === null || typeof value == `undefined` || ( ( typeof value == `string` || value instanceof Array ) && value.length == 0 );
+
+  /** If a required value is missing, nothing else is checked */
+  if ( property.required && missing )
+    return [`${property.name} is required`];
+
+  if ( !missing ) {
+    /** Values are checked against the minimum, maximum, and pattern, or each element of arrays is */
+    const values = value instanceof Array ? value.filter(x => x !== null) : [value];
+
+    if ( typeof property.min != `undefined` && values.some(x => x < property.min) )
+      failures.push(`${property.name} must be at least ${describe(property.min)}`);
+
+    if ( typeof property.max != `undefined` && values.some(x => x > property.max) )
+      failures.push(`${property.name} must be at most ${describe(property.max)}`);
+
+    if ( typeof property.minLength != `undefined` && typeof value.length == `number` && value.length < property.minLength )
+      failures.push(`${property.name} must have a length of at least ${property.minLength}`);
+
+    if ( typeof property.maxLength != `undefined` && typeof value.length == `number` && value.length > property.maxLength )
+      failures.push(`${property.name} must have a length of at most ${property.maxLength}`);
+
+    /** Reset the pattern first in case it's global, since global patterns remember where they last matched */
+    const mismatched = (x) => {
+      property.pattern.lastIndex = 0;
+
+      return typeof x == `string` && !property.pattern.test(x);
+    };
+
+    if ( property.pattern && values.some(mismatched) )
+      failures.push(`${property.name} must match ${property.pattern}`);
+
+    if ( property.oneOf && values.some(x => !property.oneOf.includes(x)) )
+      failures.push(`${property.name} must be one of ${property.oneOf.map(describe).join(`, `)}`);
+  }
+
+  for ( const validator of property.validators || [] ) {
+    const result = await validator.call(instance, value, instance);
+
+    if ( result === false )
+      failures.push(`${property.name} is invalid`);
+    else if ( typeof result == `string` )
+      failures.push(result);
+  }
+
+  return failures;
+};
+
+/**
+ * @signature validateObject(obj, instance[, errors])
+ * @param obj Object Configuration object
+ * @param instance mixed EZ Object being validated
+ * @param errors Object (optional) Failures found so far, used when validating extended configurations
+ * @return Object Arrays of failure messages keyed by the name of each property with any
+ * @description Check the values of every property of an object against their validation rules, starting with 
+ * those of any extended configurations.
+ */
+const validateObject = async (obj, instance, errors = {}) => {
+  /** If this object extends another, validate its properties first */
+  if ( obj.extendsConfig )
+    await validateObject(obj.extendsConfig, instance, errors);
+
+  for ( const property of obj.properties ) {
+    const failures = await propertyFailures(property, instance);
+
+    if ( failures.length > 0 )
+      errors[property.name] = failures;
+  }
+
+  return errors;
+};
+
+/**
+ * @signature checkValid(obj, instance, signature)
+ * @param obj Object Configuration object
+ * @param instance mixed EZ Object being saved
+ * @param signature string Name of the method saving the object, for error messages
+ * @description Throw a ValidationError if the configuration, or any it extends, has `validateOnSave` and the object
+ * fails the validation rules of its properties.
+ */
+const checkValid = async (obj, instance, signature) => {
+  /** Find the closest configuration that says whether to validate */
+  let config = obj;
+
+  while ( typeof config.validateOnSave != `boolean` && config.extendsConfig )
+    config = config.extendsConfig;
+
+  if ( !config.validateOnSave )
+    return;
+
+  const errors = await validateObject(obj, instance);
+
+  if ( Object.keys(errors).length > 0 )
+    throw new ValidationError(`${signature}: Object failed validation of ${Object.keys(errors).map(name => `'${name}'`).join(`, `)}.`, errors);
+};
+
+/**
+ * @signature nullableJSONSchema(schema)
+ * @param schema Object JSON Schema
+ * @return Object JSON Schema that also allows null
+ */
+const nullableJSONSchema = (schema) => {
+  /** References can't be combined with other keywords, so allow either */
+  if ( schema.$ref )
+    return { anyOf: [schema, { type: `null` }] };
+
+  if ( typeof schema.type == `string` )
+    schema.type = [schema.type, `null`];
+
+  if ( schema.enum )
+    schema.enum.push(null);
+
+  return schema;
+};
+
+/**
+ * @signature valueJSONSchema(property, root, definitions)
+ * @param property Object Property configuration, or the `arrayOf` of one
+ * @param root Object Configuration object the schema is being created for
+ * @param definitions Object Schemas of the other EZ Object classes referenced so far, keyed by class name
+ * @return mixed JSON Schema of the property's values, or null if they can't be represented in JSON
+ * @description Map the EZ Object type of a property to JSON Schema, adding the schemas of any EZ Object classes it 
+ * references to `definitions`.
+ */
+const valueJSONSchema = (property, root, definitions) => {
+  let schema;
+
+  if ( property.type == `array` ) {
+    const items = valueJSONSchema(property.arrayOf, root, definitions);
+
+    /** If the elements can't be represented, neither can the array */
+    if ( items === null )
+      return null;
+
+    schema = { type: `array`, items: items };
+  } else if ( property.ezobjectType.type == `other` ) {
+    const className = property.originalType || property.originalInstanceOf;
+
+    /** Reference EZ Object classes, adding their schemas first in case they reference themselves or this one */
+    if ( className == root.className ) {
+      schema = { $ref: `#` };
+    } else if ( configs[className] ) {
+      if ( !definitions[className] ) {
+        definitions[className] = {};
+        Object.assign(definitions[className], classJSONSchema(configs[className], root, definitions));
+      }
+
+      schema = { $ref: `#/definitions/${className}` };
+    } else {
+      schema = { type: `object` };
+    }
+  } else if ( property.ezobjectType.jsonSchema === null ) {
+    return null;
+  } else {
+    schema = JSON.parse(JSON.stringify(property.ezobjectType.jsonSchema));
+
+    /** Add the allowed values of ENUM and SET types */
+    if ( property.ezobjectType.type == `enum` )
+      schema.enum = property.values.slice();
+    else if ( property.ezobjectType.type == `set` && property.values )
+      schema.items.enum = property.values.slice();
+
+    /** Use the length of strings, other than UUIDs, as their maximum length */
+    if ( property.ezobjectType.jsType == `string` && property.ezobjectType.type != `uuid` && !isNaN(parseInt(property.length)) )
+      schema.maxLength = parseInt(property.length);
+
+    if ( property.unsigned && [`integer`, `number`].includes(schema.type) )
+      schema.minimum = 0;
+
+    /** Exact types are strings, so unsigned ones have a pattern without the sign */
+    if ( property.unsigned && property.ezobjectType.exact )
+      schema.pattern = schema.pattern.replace(`^-?`, `^`);
+  }
+
+  /** Required properties don't allow nulls, even if the column does */
+  return property.allowNull && !property.required ? nullableJSONSchema(schema) : schema;
+};
+
+/**
+ * @signature classJSONSchema(obj, root, definitions)
+ * @param obj Object Configuration object
+ * @param root Object Configuration object the schema is being created for
+ * @param definitions Object Schemas of the other EZ Object classes referenced so far, keyed by class name
+ * @return Object JSON Schema of the object's properties, including those of extended configurations
+ */
+const classJSONSchema = (obj, root, definitions) => {
+  const schema = { title: obj.className, type: `object`, properties: {} };
+  const required = [];
+  const describe = x => x instanceof Date ? x.toISOString() : typeof x == `bigint` ? x.toString() : x;
+
+  /** Create helper method for recursively adding properties, starting with those of extended configurations */
+  const addProperties = (obj) => {
+    if ( obj.extendsConfig )
+      addProperties(obj.extendsConfig);
+
+    obj.properties.forEach((property) => {
+      const propertySchema = valueJSONSchema(property, root, definitions);
+
+      /** Skip properties, like functions, that JSON can't represent */
+      if ( propertySchema === null )
+        return;
+
+      /** Add the validation rules that JSON Schema can express, where those of values apply to the elements of arrays */
+      const values = property.type == `array` ? propertySchema.items : propertySchema;
+
+      if ( typeof property.min == `number` )
+        values.minimum = typeof values.minimum == `number` ? Math.max(values.minimum, property.min) : property.min;
+
+      if ( typeof property.max == `number` )
+        values.maximum = property.max;
+
+      if ( typeof property.minLength == `number` )
+        propertySchema[property.type == `array` ? `minItems` : `minLength`] = property.minLength;
+
+      if ( typeof property.maxLength == `number` && property.type == `array` )
+        propertySchema.maxItems = property.maxLength;
+      else if ( typeof property.maxLength == `number` )
+        propertySchema.maxLength = typeof propertySchema.maxLength == `number` ? Math.min(propertySchema.maxLength, property.maxLength) : property.maxLength;
+
+      if ( property.pattern )
+        values.pattern = property.pattern.source;
+
+      if ( property.oneOf && !values.$ref && !values.anyOf )
+        values.enum = property.oneOf.map(describe).concat(values.type instanceof Array ? [null] : []);
+
+      /** Timestamps and version columns are read-only */
+      if ( property.timestamp || property.version )
+        propertySchema.readOnly = true;
+
+      if ( property.required )
+        required.push(property.name);
+
+      schema.properties[property.name] = propertySchema;
+    });
+  };
+
+  addProperties(obj);
+
+  if ( required.length > 0 )
+    schema.required = required;
+
+  return schema;
+};
+
+/**
+ * @signature ezobjects.toJSONSchema(obj)
+ * @param obj Object Configuration object
+ * @return Object JSON Schema (draft-07)
+ * @description A function for describing the properties of an EZ Object class, including those of any extended
+ * classes, as a JSON Schema that can be used to validate the data it's created with.  EZ Object classes referenced by
+ * properties are described under `definitions` and referenced with `$ref`.
+ */
+const toJSONSchema = (obj) => {
+  /** Validate class configuration */
+  validateClassConfig(obj);
+
+  const definitions = {};
+  const schema = Object.assign({ $schema: `http://json-schema.org/draft-07/schema#` }, classJSONSchema(obj, obj, definitions));
+
+  if ( Object.keys(definitions).length > 0 )
+    schema.definitions = definitions;
+
+  return schema;
+};
+
+/** Comparison operators allowed in where clauses */
+const whereOperators = [`=`, `!=`, `<>`, `<`, `<=`, `>`, `>=`, `LIKE`, `NOT LIKE`];
+
+/**
+ * @signature whereClause(obj, where, signature)
+ * @param obj Object Configuration object
+ * @param where Object Plain object of property name/value pairs
+ * @param signature string Calling signature for error messages
+ * @return Object Containing the `conditions` array and `params` array, or null if the where clause can never match
+ * @description Build parameterized where conditions from property name/value pairs.  Values are passed through
+ * each property's save transform.  Array values become IN lists, null values become IS NULL, and objects with an
+ * `operator` and `value` use that comparison operator.
+ */
+const whereClause = (obj, where, signature) => {
+  if ( typeof where != `object` || where === null || where.constructor.name != `Object` )
+    throw new TypeError(`${signature}: Invalid where clause, must be plain object.`);
+
+  const conditions = [];
+  const params = [];
+
+  /** Loop through each property name/value pair */
+  for ( const name of Object.keys(where) ) {
+    const property = findProperty(obj, name);
+    const value = where[name];
+
+    /** If property doesn't exist or isn't stored in the database table, throw error */
+    if ( !property || !property.store || property.joinTable )
+      throw new Error(`${signature}: Unknown or unstored property '${name}' in where clause.`);
+
+    /** Null values can only be matched with IS NULL */
+    if ( value === null ) {
+      conditions.push(`${name} IS NULL`);
+    }
+
+    /** Array values for non-array properties become IN lists */
+    else if ( value instanceof Array && property.type != `array` ) {
+      /** An empty IN list can never match anything */
+      if ( value.length == 0 )
+        return null;
+
+      conditions.push(`${name} IN (?)`);
+      params.push(value.map(x => property.saveTransform(x, property)));
+    }
+
+    /** Objects with operator and value use the provided comparison operator */
+    else if ( typeof value == `object` && value.constructor.name == `Object` && typeof value.operator == `string` && property.ezobjectType.jsType != `Object` ) {
+      const operator = value.operator.toUpperCase();
+
+      if ( !whereOperators.includes(operator) )
+        throw new Error(`${signature}: Invalid operator '${value.operator}' for property '${name}' in where clause.`);
+
+      conditions.push(`${name} ${operator} ?`);
+      params.push(property.saveTransform(value.value, property));
+    }
+
+    /** Otherwise test for equality */
+    else {
+      conditions.push(`${name} = ?`);
+      params.push(property.saveTransform(value, property));
+    }
+  }
+
+  return { conditions: conditions, params: params };
+};
+
+/** Symbol used to pass a JSON path condition from whereJson() through to find() */
+const jsonCondition = Symbol(`jsonCondition`);
+
+/**
+ * @signature jsonPathClause(obj, path, value, signature)
+ * @param obj Object Configuration object
+ * @param path string Property name followed by any number of `.key` or `[index]` legs
+ * @param value mixed Value to look for at the path
+ * @param signature string Calling signature for error messages
+ * @return Object Containing the `conditions` array and `params` array
+ * @description Build a parameterized JSON_CONTAINS() condition that matches records whose JSON property contains
+ * the value at the given path.
+ */
+const jsonPathClause = (obj, path, value, signature) => {
+  const match = typeof path == `string` ? path.match(/^([A-Za-z_$][\w$]*)((?:\.[A-Za-z_$][\w$]*|\[\d+\])*)$/) : null;
+
+  /** If path is invalid, throw error */
+  if ( !match )
+    throw new Error(`${signature}: Invalid JSON path '${path}', must be property name followed by any '.key' or '[index]' legs.`);
+
+  const property = findProperty(obj, match[1]);
+
+  /** If property doesn't exist, isn't stored in the database table, or isn't stored as JSON, throw error */
+  if ( !property || !property.store || property.joinTable || property.ezobjectType.mysqlType != `json` )
+    throw new Error(`${signature}: Unknown, unstored, or non-JSON property '${match[1]}' in JSON path.`);
+
+  return { conditions: [`JSON_CONTAINS(${property.name}, ?, ?)`], params: [jsonStringify(value), `$${match[2]}`] };
+};
+
+/**
+ * @signature orderByClause(obj, orderBy, signature)
+ * @param obj Object Configuration object
+ * @param orderBy string|Array Property name, optionally followed by ASC or DESC, or an array of them
+ * @param signature string Calling signature for error messages
+ * @return string Validated comma separated order by list
+ * @description Validate and build an order by list from stored property names.
+ */
+const orderByClause = (obj, orderBy, signature) => {
+  /** Allow a single string to be provided */
+  if ( typeof orderBy == `string` )
+    orderBy = [orderBy];
+
+  if ( !(orderBy instanceof Array) )
+    throw new TypeError(`${signature}: Invalid orderBy, must be string or array of strings.`);
+
+  return orderBy.map((x) => {
+    const parts = typeof x == `string` ? x.trim().match(/^([a-zA-Z_][a-zA-Z0-9_]*)(\s+(ASC|DESC))?$/i) : null;
+
+    /** If order is malformed, throw error */
+    if ( !parts )
+      throw new Error(`${signature}: Invalid orderBy '${x}'.`);
+
+    const property = findProperty(obj, parts[1]);
+
+    /** If property doesn't exist or isn't stored in the database table, throw error */
+    if ( !property || !property.store || property.joinTable )
+      throw new Error(`${signature}: Unknown or unstored property '${parts[1]}' in orderBy.`);
+
+    return parts[3] ? `${parts[1]} ${parts[3].toUpperCase()}` : parts[1];
+  }).join(`, `);
+};
+
+/** 
+ * @signature columnProperty(property)
+ * @param property Object Property configuration
+ * @return Object Property configuration describing the column
+ * @description Get the configuration describing a property's column, which for foreign keys is that of the ID they reference so the 
+ * column types are compatible, and for generated primary keys doesn't allow nulls.
+ */
+const columnProperty = (property) => {
+  /** Generated primary keys are null until the record is inserted, but the column never is */
+  if ( property.name == `id` && property.primaryKey )
+    return Object.assign({}, property, { allowNull: false });
+  else if ( !property.foreignKey )
+    return property;
+
+  /** Use the referenced ID's type, but this property's name, nulls, keys, and comment */
+  return Object.assign({}, findProperty(configs[property.originalType], `id`), { 
+    name: property.name, 
+    allowNull: property.allowNull, 
+    unique: property.unique, 
+    autoIncrement: false, 
+    comment: property.comment 
+  });
+};
+
+/** 
+ * @signature columnDefinition(property[, keys[, autoIncrement]])
+ * @param property Object Property configuration
+ * @param keys boolean Whether to include UNIQUE KEY and PRIMARY KEY attributes, defaults to true
+ * @param autoIncrement boolean Whether to include the AUTO_INCREMENT attribute, defaults to true
+ * @return string MySQL column definition
+ * @description Build the MySQL column definition for a single stored property.
+ */
+const columnDefinition = (property, keys = true, autoIncrement = true) => {
+  /** Foreign keys are defined like the ID they reference */
+  property = columnProperty(property);
+
+  /** Add property name and type to definition */
+  let definition = `${property.name} ${property.ezobjectType.mysqlType.toUpperCase()}`;
+
+  /** Add value lists for ENUM and SET types */
+  if ( property.ezobjectType.mysqlType.toUpperCase() == `ENUM` || property.ezobjectType.mysqlType.toUpperCase() == `SET` ) {
+    definition += `(`;
+    
+    /** Loop through each value and output, escaping any single quotes */
+    property.values.forEach((value) => {
+      definition += `'${value.replace(/'/g, `''`)}', `;
+    });
+    
+    /** Trim extra ', ' from value list, if there was at least one */
+    if ( property.values.length > 0 )
+      definition = definition.substr(0, definition.length - 2);
+    
+    definition += `)`;
+  }
+  
+  /** Properties with length and/or decimals */
+  if ( !isNaN(property.length) && !isNaN(property.decimals) && typeof property.ezobjectType.hasLength == `boolean` && property.ezobjectType.hasLength && typeof property.ezobjectType.hasDecimals == `boolean` && property.ezobjectType.hasDecimals )
+    definition += `(${property.length}, ${property.decimals})`;
+  else if ( !isNaN(property.length) && typeof property.ezobjectType.hasLength == `boolean` && property.ezobjectType.hasLength )
+    definition += `(${property.length})`;
+  
+  /** Properties with UNSIGNED */
+  if ( typeof property.ezobjectType.hasUnsignedAndZeroFill == `boolean` && property.ezobjectType.hasUnsignedAndZeroFill && typeof property.unsigned == `boolean` && property.unsigned )
+    definition += ` UNSIGNED`;
+
+  /** Properties with ZEROFILL */
+  if ( typeof property.ezobjectType.hasUnsignedAndZeroFill == `boolean` && property.ezobjectType.hasUnsignedAndZeroFill && typeof property.zerofill == `boolean` && property.zerofill )
+    definition += ` ZEROFILL`;
+
+  /** Properties with CHARACTER SET */
+  if ( typeof property.ezobjectType.hasCharacterSetAndCollate == `boolean` && property.ezobjectType.hasCharacterSetAndCollate && typeof property.characterSet == `string` )
+    definition += ` CHARACTER SET ${property.characterSet}`;
+
+  /** Properties with COLLATE */
+  if ( typeof property.ezobjectType.hasCharacterSetAndCollate == `boolean` && property.ezobjectType.hasCharacterSetAndCollate && typeof property.collate == `string` )
+    definition += ` COLLATE ${property.collate}`;
+
+  /** Properties with NULL */
+  if ( property.allowNull )
+    definition += ` NULL`;
+  else
+    definition += ` NOT NULL`;
+
+  /** Properties with AUTO_INCREMENT */
+  if ( autoIncrement && ( property.autoIncrement || ( property.name == `id` && !property.primaryKey ) ) )
+    definition += ` AUTO_INCREMENT`;
+
+  /** Properties with UNIQUE KEY */
+  if ( keys && property.unique )
+    definition += ` UNIQUE KEY`;
+
+  /** Properties with PRIMARY KEY */
+  if ( keys && property.name == `id` )
+    definition += ` PRIMARY KEY`;
+
+  /** Properties with COMMENT */
+  if ( property.comment && typeof property.comment == `string` )
+    definition += ` COMMENT '${property.comment.replace(`'`, `''`)}'`;
+
+  return definition;
+};
+
+/** 
+ * @signature indexDefinition(index)
+ * @param index Object Index configuration
+ * @return string MySQL index definition
+ * @description Validate and build the MySQL index definition for a single index.
+ */
+const indexDefinition = (index) => {
+  /** If type is not defined, default to BTREE */
+  if ( typeof index.type !== `string` )
+    index.type = `BTREE`;
+
+  /** Convert the type to upper case for reliable string comparison */
+  index.type = index.type.toUpperCase();
+
+  /** Validate index settings */
+  if ( index.type != `BTREE` && index.type != `HASH` )
+    throw new Error(`ezobjects.createTable(): Invalid index type '${index.type}'.`);
+  else if ( index.visible && index.invisible )
+    throw new Error(`ezobjects.createTable(): Index cannot have both VISIBLE and INVISIBLE options set.`);
+
+  /** Add index name, type, and column list to definition */
+  let definition = `INDEX ${index.name} USING ${index.type} (${index.columns.join(`, `)})`;
+
+  /** Indexes with KEY_BLOCK_SIZE */
+  if ( typeof index.keyBlockSize === `number` )
+    definition += ` KEY_BLOCK_SIZE ${index.keyBlockSize}`;
+
+  /** Indexes with WITH PARSER */
+  if ( typeof index.parserName === `string` )
+    definition += ` WITH PARSER ${index.parserName}`;
+
+  /** Indexes with COMMENT */
+  if ( typeof index.comment === `string` )
+    definition += ` COMMENT '${index.comment.replace(`'`, ``)}'`;
+
+  /** Indexes with VISIBLE */
+  if ( typeof index.visible === `boolean` && index.visible )
+    definition += ` VISIBLE`;
+
+  /** Indexes with INVISIBLE */
+  if ( typeof index.visible === `boolean` && index.invisible )
+    definition += ` INVISIBLE`;
+
+  return definition;
+};
+
+/** 
+ * @signature storedProperties(obj)
+ * @param obj Object Configuration object
+ * @return Array Stored property configurations
+ * @description Recursively gather stored properties, starting with those of any extended configurations.
+ */
+const storedProperties = (obj) => {
+  /** If this object extends another, start with properties from the extended object */
+  const properties = obj.extendsConfig ? storedProperties(obj.extendsConfig) : [];
+
+  /** Add this object's stored properties, except those stored in join tables */
+  obj.properties.forEach((property) => {
+    if ( property.store && !property.joinTable )
+      properties.push(property);
+  });
+
+  return properties;
+};
+
+/** 
+ * @signature joinTableProperties(obj)
+ * @param obj Object Configuration object
+ * @return Array Property configurations stored in join tables
+ * @description Recursively gather properties stored in join tables, starting with those of any extended configurations.
+ */
+const joinTableProperties = (obj) => {
+  /** If this object extends another, start with properties from the extended object */
+  const properties = obj.extendsConfig ? joinTableProperties(obj.extendsConfig) : [];
+
+  /** Add this object's properties stored in join tables */
+  obj.properties.forEach((property) => {
+    if ( property.store && property.joinTable )
+      properties.push(property);
+  });
+
+  return properties;
+};
+
+/** 
+ * @signature joinTableQuery(obj, property)
+ * @param obj Object Configuration object
+ * @param property Object Property configuration
+ * @return string MySQL create table query
+ * @description Build the create table query for the join table of a property that is an array of EZ Objects.
+ */
+const joinTableQuery = (obj, property) => {
+  const idProperty = findProperty(obj, `id`);
+  const childConfig = configs[property.arrayOf.originalType || property.arrayOf.originalInstanceOf];
+  const childIdProperty = childConfig ? findProperty(childConfig, `id`) : null;
+
+  /** Parent and child IDs use the same column definitions as the IDs they reference */
+  const parentId = columnDefinition(Object.assign({}, idProperty, { name: `parentId`, allowNull: false, comment: null }), false, false);
+  const childId = columnDefinition(Object.assign({}, childIdProperty || idProperty, { name: `childId`, allowNull: true, comment: null }), false, false);
+
+  /** Return create table query */
+  return `CREATE TABLE IF NOT EXISTS ${obj.tableName}_${property.name} (${parentId}, position INT UNSIGNED NOT NULL, constructorName VARCHAR(255) NULL, ${childId}, PRIMARY KEY (parentId, position), INDEX childId USING BTREE (childId))`;
+};
+
+/** 
+ * @signature saveJoinTable(obj, property, instance, db)
+ * @param obj Object Configuration object
+ * @param property Object Property configuration
+ * @param instance Object EZ Object instance
+ * @param db AwaitConnection
+ * @description Replace the join table rows of a property that is an array of EZ Objects with its current elements.
+ */
+const saveJoinTable = async (obj, property, instance, db) => {
+  const elements = instance[property.name]() || [];
+
+  /** Build join table rows, keeping element positions and nulls */
+  const rows = elements.map((element, position) => {
+    if ( element === null )
+      return [saveId(obj, instance.id()), position, null, null];
+    
+    /** If element hasn't been inserted yet, it can't be referenced, so throw error */
+    if ( !element.id() )
+      throw new Error(`${obj.className}.${property.name}(): Unable to save reference to ${element.constructor.name} that has no ID, it must be inserted first.`);
+
+    return [saveId(obj, instance.id()), position, element.constructor.name, saveId(configs[element.constructor.name], element.id())];
+  });
+
+  /** Remove existing rows and insert current ones */
+  await runQuery(db, `DELETE FROM ${obj.tableName}_${property.name} WHERE parentId = ?`, [saveId(obj, instance.id())]);
+
+  if ( rows.length > 0 )
+    await runQuery(db, `INSERT INTO ${obj.tableName}_${property.name} (parentId, position, constructorName, childId) VALUES ?`, [rows]);
+};
+
+/** 
+ * @signature bulkChunks(items, options, signature)
+ * @param items Array Objects or IDs of a bulk operation
+ * @param options Object Options of the bulk operation, chunkSize = the maximum number of records per query
+ * @param signature string Signature of the calling method, for error messages
+ * @return Array Arrays of consecutive items, each no longer than the chunk size
+ * @description Validate the options of a bulk operation and split its items into chunks of one query each.
+ */
+const bulkChunks = (items, options, signature) => {
+  if ( typeof options != `object` || options === null )
+    throw new TypeError(`${signature}: Invalid options, must be object.`);
+
+  const chunkSize = typeof options.chunkSize == `undefined` ? 1000 : options.chunkSize;
+
+  if ( !Number.isInteger(chunkSize) || chunkSize < 1 )
+    throw new Error(`${signature}: options.chunkSize is not a valid positive integer.`);
+
+  const chunks = [];
+
+  for ( let i = 0; i < items.length; i += chunkSize )
+    chunks.push(items.slice(i, i + chunkSize));
+
+  return chunks;
+};
+
+/** Symbol under which the batch loader is passed between internal load() calls */
+const batchLoader = Symbol(`batchLoader`);
+
+/** 
+ * @signature createBatch(db, depth[, includeDeleted])
+ * @param db AwaitConnection
+ * @param depth number Maximum depth of referenced objects to load
+ * @param includeDeleted boolean (optional) Whether to also load soft deleted records
+ * @return Object Batch loader
+ * @description Create a batch loader that collects references to other EZ Objects so they can be loaded together.
+ */
+const createBatch = (db, depth, includeDeleted = false) => {
+  return { db: db, depth: depth, includeDeleted: includeDeleted, level: 0, objects: {}, pending: {}, joins: [], loaded: [], missing: [] };
+};
+
+/** 
+ * @signature batchReference(batch, constructorName, id)
+ * @param batch Object Batch loader
+ * @param constructorName string Name of the referenced EZ Object class
+ * @param id number ID of the referenced record
+ * @return Object Referenced EZ Object
+ * @description Get the object for a reference, queueing it to be loaded if it hasn't been already and it is within the depth limit.
+ */
+const batchReference = (batch, constructorName, id) => {
+  /** If the referenced class doesn't exist, throw error */
+  if ( typeof module.exports.objects[constructorName] != `function` )
+    throw new Error(`ezobjects.load(): Unable to load reference to unknown class '${constructorName}'.`);
+  
+  if ( !batch.objects[constructorName] )
+    batch.objects[constructorName] = {};
+
+  /** Each record is only loaded once, so references to the same record share an object */
+  if ( batch.objects[constructorName][id] )
+    return batch.objects[constructorName][id];
+  
+  const instance = new module.exports.objects[constructorName]();
+
+  instance.id(id);
+
+  batch.objects[constructorName][id] = instance;
+
+  /** Queue the record to be loaded with the next level of references, if within the depth limit */
+  if ( batch.level + 1 <= batch.depth ) {
+    if ( !batch.pending[constructorName] )
+      batch.pending[constructorName] = [];
+
+    batch.pending[constructorName].push(id);
+  }
+
+  return instance;
+};
+
+/** 
+ * @signature resolveBatch(batch)
+ * @param batch Object Batch loader
+ * @description Load everything queued in a batch loader, one level of references at a time, using a single query per join table 
+ * and per referenced class at each level.
+ */
+const resolveBatch = async (batch) => {
+  while ( batch.joins.length > 0 || Object.keys(batch.pending).length > 0 ) {
+    /** Group queued join table loads by join table */
+    const joins = {};
+
+    batch.joins.forEach((join) => {
+      const tableName = `${join.obj.tableName}_${join.property.name}`;
+
+      if ( !joins[tableName] )
+        joins[tableName] = [];
+
+      joins[tableName].push(join);
+    });
+
+    batch.joins = [];
+
+    /** Load the rows of each join table and store references to their elements */
+    for ( const tableName of Object.keys(joins) ) {
+      const parentConfig = joins[tableName][0].obj;
+      const result = await runQuery(batch.db, `SELECT parentId, constructorName, childId FROM ${tableName} WHERE parentId IN (?) ORDER BY parentId, position`, [joins[tableName].map(join => saveId(parentConfig, join.id))]);
+
+      joins[tableName].forEach((join) => {
+        const elements = result.filter(row => loadId(parentConfig, row.parentId) == join.id).map(row => row.constructorName === null ? null : batchReference(batch, row.constructorName, loadId(configs[row.constructorName], row.childId)));
+
+        join.instance[join.property.name](elements);
+
+        /** Loaded elements don't count as changes */
+        markClean(join.instance, join.obj, [join.property.name]);
+      });
+    }
+
+    const pending = batch.pending;
+
+    /** If there are no queued references, we're done */
+    if ( Object.keys(pending).length == 0 )
+      continue;
+
+    batch.pending = {};
+    batch.level++;
+
+    /** Load queued records of each class with a single query */
+    for ( const constructorName of Object.keys(pending) ) {
+      const config = configs[constructorName];
+
+      /** Classes that aren't linked to a table only have their IDs */
+      if ( !config || typeof config.tableName != `string` )
+        continue;
+
+      const columns = [`id`].concat(storedProperties(config).filter(property => property.name != `id`).map(property => property.name));
+      let query = `SELECT ${columns.join(`, `)} FROM ${config.tableName} WHERE id IN (?)`;
+
+      /** Skip soft deleted records unless they are to be included, just like load, so references to them are null */
+      if ( softDeleteProperty(config) && !batch.includeDeleted )
+        query += ` AND ${softDeleteProperty(config).name} IS NULL`;
+
+      const result = await runQuery(batch.db, query, [pending[constructorName].map(id => saveId(config, id))]);
+
+      for ( const row of result )
+        await batch.objects[constructorName][loadId(config, row.id)].load(row, batch.db, [], { inverse: false, [batchLoader]: batch });
+
+      /** Remember references to records that no longer exist */
+      const ids = result.map(row => loadId(config, row.id));
+
+      pending[constructorName].filter(id => !ids.includes(id)).forEach(id => batch.missing.push(batch.objects[constructorName][id]));
+    }
+  }
+
+  const loaded = batch.loaded;
+
+  batch.loaded = [];
+
+  /** Replace references to records that no longer exist with null, just like loading them individually returns */
+  if ( batch.missing.length > 0 ) {
+    loaded.forEach((load) => {
+      const replaced = [];
+
+      storedProperties(load.obj).concat(joinTableProperties(load.obj)).forEach((property) => {
+        const value = load.instance[property.name]();
+
+        if ( batch.missing.includes(value) )
+          load.instance[property.name](null, unlockReadOnly);
+        else if ( value instanceof Array && value.some(x => batch.missing.includes(x)) )
+          load.instance[property.name](value.map(x => batch.missing.includes(x) ? null : x), unlockReadOnly);
+        else
+          return;
+
+        replaced.push(property.name);
+      });
+
+      /** Replaced references don't count as changes */
+      markClean(load.instance, load.obj, replaced);
+    });
+  }
+
+  /** Now that everything is loaded, run the afterLoad hooks of each loaded object in the order they were loaded */
+  for ( const load of loaded )
+    await runHooks(load.obj, `afterLoad`, load.instance, batch.db);
+};
+
+/** 
+ * @signature referenceId(constructorName, id)
+ * @param constructorName string Name of the referenced EZ Object class
+ * @param id mixed ID of the referenced record as it was stored
+ * @return mixed ID of the referenced record
+ * @description Get the ID of a stored reference, which is a UUID string if the referenced class uses them, otherwise an integer.
+ */
+const referenceId = (constructorName, id) => {
+  const property = configs[constructorName] ? findProperty(configs[constructorName], `id`) : null;
+
+  return property && property.ezobjectType.type == `uuid` ? loadId(configs[constructorName], id) : parseInt(id);
+};
+
+/** 
+ * @signature loadReferences(references, db, batch)
+ * @param references Array Pairs of referenced class name and record ID
+ * @param db AwaitConnection
+ * @param batch Object Batch loader (optional)
+ * @return Array Referenced EZ Objects
+ * @description Load referenced EZ Objects, adding them to the batch loader if one is given, otherwise loading them together.
+ */
+const loadReferences = async (references, db, batch) => {
+  /** If there's no database, load each object individually (i.e. from a configured URL) */
+  if ( typeof db != `object` ) {
+    const objects = [];
+
+    for ( const reference of references )
+      objects.push(await (new module.exports.objects[reference[0]]()).load(referenceId(reference[0], reference[1]), db));
+
+    return objects;
+  }
+
+  /** If not part of a larger load, create a batch loader just for these references */
+  const loader = batch || createBatch(db, Infinity);
+  const objects = references.map(reference => batchReference(loader, reference[0], referenceId(reference[0], reference[1])));
+
+  if ( !batch ) {
+    await resolveBatch(loader);
+
+    /** References to records that no longer exist are null */
+    return objects.map(x => loader.missing.includes(x) ? null : x);
+  }
+
+  return objects;
+};
+
+/** 
+ * @signature tableIndexes(obj)
+ * @param obj Object Configuration object
+ * @return Array Index configurations
+ * @description Recursively gather indexes, starting with those of any extended configurations.
+ */
+const tableIndexes = (obj) => {
+  /** If this object extends another, start with indexes from the extended object */
+  const indexes = obj.extendsConfig ? tableIndexes(obj.extendsConfig) : [];
+
+  /** Add this object's indexes */
+  if ( obj.indexes )
+    obj.indexes.forEach(index => indexes.push(index));
+
+  return indexes;
+};
+
+/** 
+ * @signature foreignKeyProperties(obj)
+ * @param obj Object Configuration object
+ * @return Array Property configurations with foreign keys
+ * @description Gather stored properties that have foreign keys, including those of any extended configurations.
+ */
+const foreignKeyProperties = (obj) => {
+  return storedProperties(obj).filter(property => property.foreignKey);
+};
+
+/** 
+ * @signature foreignKeyName(obj, property)
+ * @param obj Object Configuration object
+ * @param property Object Property configuration
+ * @return string Foreign key constraint name
+ */
+const foreignKeyName = (obj, property) => {
+  return `fk_${obj.tableName}_${property.name}`;
+};
+
+/** 
+ * @signature foreignKeyDefinition(obj, property)
+ * @param obj Object Configuration object
+ * @param property Object Property configuration
+ * @return string MySQL foreign key constraint definition
+ * @description Build the MySQL constraint definition referencing the table of the class a property's type refers to.
+ */
+const foreignKeyDefinition = (obj, property) => {
+  return `CONSTRAINT ${foreignKeyName(obj, property)} FOREIGN KEY (${property.name}) REFERENCES ${configs[property.originalType].tableName} (id) ON DELETE ${property.foreignKey.onDelete} ON UPDATE ${property.foreignKey.onUpdate}`;
+};
+
+/** 
+ * @signature createTableQuery(obj)
+ * @param obj Object Configuration object
+ * @return string MySQL create table query
+ * @description Build the create table query for a table configuration.
+ */
+const createTableQuery = (obj) => {
+  /** Gather column, index, and foreign key definitions */
+  const definitions = storedProperties(obj).map(property => columnDefinition(property))
+    .concat(tableIndexes(obj).map(index => indexDefinition(index)))
+    .concat(foreignKeyProperties(obj).map(property => foreignKeyDefinition(obj, property)));
+
+  /** Return create table query */
+  return `CREATE TABLE IF NOT EXISTS ${obj.tableName} (${definitions.join(`, `)})`;
+};
+
+/** 
+ * @signature revisionTableQuery(obj)
+ * @param obj Object Configuration object
+ * @return string MySQL create table query
+ * @description Build the create table query for the revision history table of a revision controlled table configuration.
+ */
+const revisionTableQuery = (obj) => {
+  /** Gather column definitions, without keys or auto increment since there are many revisions per record */
+  const definitions = storedProperties(obj).map(property => columnDefinition(property, false, false));
+
+  /** Return create table query */
+  return `CREATE TABLE IF NOT EXISTS ${obj.tableName}_revisions (revisionId INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY, revisionDate DATETIME(6) NOT NULL, ${definitions.join(`, `)}, INDEX revisionRecordId USING BTREE (id))`;
+};
+
+/**
+ * @signature saveRevision(obj, instance, db)
+ * @param obj Object Configuration object
+ * @param instance mixed EZ Object whose record is being updated
+ * @param db mixed Database connection, pool, or transaction
+ * @description Copy the record of `instance` as it currently exists into the `tableName_revisions` table, only if it 
+ * still has the version `instance` was loaded with when using optimistic locking.
+ */
+const saveRevision = async (obj, instance, db) => {
+  const columns = storedProperties(obj).map(property => property.name).join(`, `);
+  const version = versionProperty(obj);
+
+  await runQuery(db, `INSERT INTO ${obj.tableName}_revisions (revisionDate, ${columns}) SELECT ?, ${columns} FROM ${obj.tableName} WHERE ${version ? `id = ? AND ${version.name} = ?` : `id = ?`}`, [moment().format(`YYYY-MM-DD HH:mm:ss.SSSSSS`), saveId(obj, instance.id())].concat(version ? [instance[version.name]()] : []));
+};
+
+/*
+ * @signature ezobjects.createTable(obj, db)
+ * @param obj Object Configuration object
+ * @param db AwaitConnection
+ * @description A function for automatically generating a MySQL table, if it doesn't already
+ * exist, based on the values in the provided configuration object.
+ */
+const createTable = async (obj, db) => {
+  if ( typeof db != `object` )
+    throw new Error(`ezobjects.createTable(): Invalid database argument.`);
+  
+  /** Validate table configuration */
+  validateTableConfig(obj);
+    
+  /** Await query execution */
+  const result = await runQuery(db, createTableQuery(obj));
+
+  /** If revision controlled, also create the revision history table */
+  if ( obj.revisionControlled )
+    await runQuery(db, revisionTableQuery(obj));
+
+  /** Create join tables for any properties stored in them */
+  for ( const property of joinTableProperties(obj) )
+    await runQuery(db, joinTableQuery(obj, property));
+
+  /** Return result */
+  return result;
+};
+
+/** MySQL type aliases, as reported by INFORMATION_SCHEMA */
+const mysqlTypeAliases = { 
+  bool: `tinyint`, 
+  boolean: `tinyint`, 
+  dec: `decimal`, 
+  fixed: `decimal`, 
+  integer: `int`, 
+  numeric: `decimal`, 
+  real: `double` 
+};
+
+/** MySQL types whose reported length can be reliably compared against the configured length */
+const mysqlLengthTypes = [`bit`, `tinyint`, `smallint`, `mediumint`, `int`, `bigint`, `double`, `float`, `decimal`, `char`, `varchar`, `binary`, `varbinary`];
+
+/** 
+ * @signature columnMatches(property, column[, autoIncrement])
+ * @param property Object Property configuration
+ * @param column Object INFORMATION_SCHEMA.COLUMNS row
+ * @param autoIncrement boolean (optional) False if the column was defined without AUTO_INCREMENT, like in revision tables
+ * @return boolean
+ * @description Determine whether an existing column matches the definition that would be created for `property`.
+ */
+const columnMatches = (property, column, autoIncrement = true) => {
+  /** Foreign keys are defined like the ID they reference */
+  property = columnProperty(property);
+
+  const mysqlType = property.ezobjectType.mysqlType.toLowerCase();
+  const expectedType = mysqlTypeAliases[mysqlType] || mysqlType;
+  const columnType = column.COLUMN_TYPE.toLowerCase();
+  const parts = columnType.match(/^[a-z]+(?:\((.*)\))?(.*)$/);
+  const args = parts && parts[1] ? parts[1].replace(/\s/g, ``) : null;
+  const attributes = parts ? parts[2] : ``;
+
+  /** Compare type */
+  if ( column.DATA_TYPE.toLowerCase() != expectedType )
+    return false;
+
+  /** Compare value lists for ENUM and SET types */
+  if ( ( expectedType == `enum` || expectedType == `set` ) && args != property.values.map(x => `'${x.replace(/'/g, `''`)}'`).join(`,`).replace(/\s/g, ``).toLowerCase() )
+    return false;
+  
+  /** Compare length and/or decimals, where MySQL reports it (newer versions omit integer display widths) */
+  if ( mysqlLengthTypes.includes(expectedType) && property.ezobjectType.hasLength && !isNaN(property.length) && args !== null ) {
+    if ( property.ezobjectType.hasDecimals && !isNaN(property.decimals) && args != `${property.length},${property.decimals}` )
+      return false;
+    else if ( ( !property.ezobjectType.hasDecimals || isNaN(property.decimals) ) && args.split(`,`)[0] != `${property.length}` )
+      return false;
+  }
+
+  /** Compare UNSIGNED and ZEROFILL, noting that ZEROFILL implies UNSIGNED */
+  if ( property.ezobjectType.hasUnsignedAndZeroFill ) {
+    if ( attributes.includes(`unsigned`) != ( property.unsigned === true || property.zerofill === true ) )
+      return false;
+    else if ( attributes.includes(`zerofill`) != ( property.zerofill === true ) )
+      return false;
+  }
+
+  /** Compare CHARACTER SET and COLLATE, only when configured */
+  if ( property.ezobjectType.hasCharacterSetAndCollate && typeof property.characterSet == `string` && ( column.CHARACTER_SET_NAME || `` ).toLowerCase() != property.characterSet.toLowerCase() )
+    return false;
+  else if ( property.ezobjectType.hasCharacterSetAndCollate && typeof property.collate == `string` && ( column.COLLATION_NAME || `` ).toLowerCase() != property.collate.toLowerCase() )
+    return false;
+
+  /** Compare NULL */
+  if ( ( column.IS_NULLABLE == `YES` ) != property.allowNull )
+    return false;
+
+  /** Compare AUTO_INCREMENT */
+  if ( ( column.EXTRA || `` ).toLowerCase().includes(`auto_increment`) != ( autoIncrement && ( property.autoIncrement === true || ( property.name == `id` && !property.primaryKey ) ) ) )
+    return false;
+
+  /** Compare COMMENT */
+  if ( ( column.COLUMN_COMMENT || `` ) != ( typeof property.comment == `string` ? property.comment : `` ) )
+    return false;
+
+  return true;
+};
+
+/** 
+ * @signature ezobjects.migrateTable(obj, db[, options])
+ * @param obj Object Configuration object
+ * @param db AwaitConnection
+ * @param options Object (optional) Desired options, `dryRun` to only return the queries and `drop` = true to also drop unconfigured columns, indexes, and foreign keys
+ * @return Array Queries that were (or would be, if a dry run) executed
+ * @description A function for comparing a configuration against the existing MySQL table and
+ * altering the table to match, creating it if it doesn't already exist.
+ */
+const migrateTable = async (obj, db, options = { dryRun: false, drop: false }) => {
+  if ( typeof db != `object` )
+    throw new Error(`ezobjects.migrateTable(): Invalid database argument.`);
+
+  if ( typeof options.dryRun != `undefined` && typeof options.dryRun != `boolean` )
+    throw new Error(`ezobjects.migrateTable(): options.dryRun is not a valid boolean.`);
+
+  if ( typeof options.drop != `undefined` && typeof options.drop != `boolean` )
+    throw new Error(`ezobjects.migrateTable(): options.drop is not a valid boolean.`);
+
+  /** Validate table configuration */
+  validateTableConfig(obj);
+
+  const queries = [];
+
+  /** Load existing columns */
+  const columns = await runQuery(db, `SELECT COLUMN_NAME, COLUMN_TYPE, DATA_TYPE, IS_NULLABLE, CHARACTER_SET_NAME, COLLATION_NAME, COLUMN_COMMENT, EXTRA FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION`, [obj.tableName]);
+
+  /** If the table doesn't exist yet, it just needs to be created */
+  if ( columns.length == 0 ) {
+    queries.push(createTableQuery(obj));
+  } else {
+    /** Load existing indexes and group their columns by index name */
+    const statistics = await runQuery(db, `SELECT INDEX_NAME, COLUMN_NAME, SEQ_IN_INDEX, NON_UNIQUE, INDEX_TYPE FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY INDEX_NAME, SEQ_IN_INDEX`, [obj.tableName]);
+    const existingIndexes = {};
+
+    statistics.forEach((row) => {
+      if ( !existingIndexes[row.INDEX_NAME] )
+        existingIndexes[row.INDEX_NAME] = { columns: [], unique: parseInt(row.NON_UNIQUE) == 0, type: row.INDEX_TYPE.toUpperCase() };
+
+      existingIndexes[row.INDEX_NAME].columns.push(row.COLUMN_NAME);
+    });
+
+    /** Load existing foreign keys */
+    const existingForeignKeys = await runQuery(db, `SELECT CONSTRAINT_NAME, REFERENCED_TABLE_NAME, UPDATE_RULE, DELETE_RULE FROM INFORMATION_SCHEMA.REFERENTIAL_CONSTRAINTS WHERE CONSTRAINT_SCHEMA = DATABASE() AND TABLE_NAME = ?`, [obj.tableName]);
+
+    const properties = storedProperties(obj);
+    const indexes = tableIndexes(obj);
+    const foreignKeys = foreignKeyProperties(obj);
+    const dropForeignKeys = [];
+    const addForeignKeys = [];
+    const dropIndexes = [];
+    const addIndexes = [];
+    const alterColumns = [];
+
+    /** Drop or replace any existing foreign keys that are not configured or have changed */
+    existingForeignKeys.forEach((existing) => {
+      const property = foreignKeys.find(x => foreignKeyName(obj, x) == existing.CONSTRAINT_NAME);
+
+      if ( property && ( existing.REFERENCED_TABLE_NAME != configs[property.originalType].tableName || existing.DELETE_RULE != property.foreignKey.onDelete || existing.UPDATE_RULE != property.foreignKey.onUpdate ) )
+        dropForeignKeys.push(existing.CONSTRAINT_NAME);
+      else if ( !property && options.drop === true )
+        dropForeignKeys.push(existing.CONSTRAINT_NAME);
+    });
+
+    /** Add any configured foreign keys that don't exist or are being replaced */
+    foreignKeys.forEach((property) => {
+      const name = foreignKeyName(obj, property);
+
+      if ( !existingForeignKeys.find(x => x.CONSTRAINT_NAME == name) || dropForeignKeys.includes(name) )
+        addForeignKeys.push(`ADD ${foreignKeyDefinition(obj, property)}`);
+    });
+
+    /** Drop or replace any existing indexes that are not configured or have changed */
+    Object.keys(existingIndexes).forEach((name) => {
+      const existing = existingIndexes[name];
+      const index = indexes.find(x => x.name == name);
+      const uniqueProperty = properties.find(x => x.unique && existing.unique && existing.columns.length == 1 && existing.columns[0] == x.name);
+
+      /** Primary keys and unique property keys are managed by the column definitions, and foreign key indexes by MySQL */
+      if ( name == `PRIMARY` || ( !index && uniqueProperty ) || foreignKeys.some(x => foreignKeyName(obj, x) == name) )
+        return;
+
+      /** InnoDB builds HASH indexes as BTREE and reports them that way, so the two are the same */
+      const type = typeof index == `object` && typeof index.type == `string` && index.type.toUpperCase() != `HASH` ? index.type.toUpperCase() : `BTREE`;
+
+      /** Replace configured indexes whose columns or type have changed */
+      if ( index && ( existing.unique || existing.columns.join(`,`) != index.columns.join(`,`) || ( existing.type == `HASH` ? `BTREE` : existing.type ) != type ) )
+        dropIndexes.push(name);
+      
+      /** Drop indexes that are no longer configured, if requested */
+      else if ( !index && options.drop === true )
+        dropIndexes.push(name);
+    });
+
+    /** Drop any existing columns that are no longer configured, if requested */
+    if ( options.drop === true ) {
+      columns.forEach((column) => {
+        if ( !properties.find(x => x.name == column.COLUMN_NAME) )
+          alterColumns.push(`DROP COLUMN ${column.COLUMN_NAME}`);
+      });
+    }
+
+    /** Add or modify configured columns, keeping them in configured order */
+    properties.forEach((property, i) => {
+      const column = columns.find(x => x.COLUMN_NAME == property.name);
+
+      if ( !column )
+        alterColumns.push(`ADD COLUMN ${columnDefinition(property)} ${i == 0 ? `FIRST` : `AFTER ${properties[i - 1].name}`}`);
+      else if ( !columnMatches(property, column) )
+        alterColumns.push(`MODIFY COLUMN ${columnDefinition(property, false)}`);
+
+      /** Add unique keys for existing columns that have become unique */
+      if ( column && property.unique && !Object.keys(existingIndexes).some(x => existingIndexes[x].unique && existingIndexes[x].columns.length == 1 && existingIndexes[x].columns[0] == property.name) )
+        addIndexes.push(`ADD UNIQUE KEY ${property.name} (${property.name})`);
+
+      /** Drop unique keys for columns that are no longer unique */
+      if ( column && !property.unique && existingIndexes[property.name] && existingIndexes[property.name].unique && !indexes.find(x => x.name == property.name) && !dropIndexes.includes(property.name) )
+        dropIndexes.push(property.name);
+    });
+
+    /** Add any configured indexes that don't exist or are being replaced */
+    indexes.forEach((index) => {
+      if ( !existingIndexes[index.name] || dropIndexes.includes(index.name) )
+        addIndexes.push(`ADD ${indexDefinition(index)}`);
+    });
+
+    /** Assemble queries, dropping foreign keys and indexes before altering columns and adding them afterwards */
+    dropForeignKeys.forEach(name => queries.push(`ALTER TABLE ${obj.tableName} DROP FOREIGN KEY ${name}`));
+    dropIndexes.forEach(name => queries.push(`ALTER TABLE ${obj.tableName} DROP INDEX ${name}`));
+    alterColumns.forEach(alteration => queries.push(`ALTER TABLE ${obj.tableName} ${alteration}`));
+    addIndexes.forEach(addition => queries.push(`ALTER TABLE ${obj.tableName} ${addition}`));
+    addForeignKeys.forEach(addition => queries.push(`ALTER TABLE ${obj.tableName} ${addition}`));
+  }
+
+  /** If revision controlled, make sure the revision history table exists and its columns match the stored properties */
+  if ( obj.revisionControlled ) {
+    const revisionColumns = await runQuery(db, `SELECT COLUMN_NAME, COLUMN_TYPE, DATA_TYPE, IS_NULLABLE, CHARACTER_SET_NAME, COLLATION_NAME, COLUMN_COMMENT, EXTRA FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION`, [`${obj.tableName}_revisions`]);
+
+    if ( revisionColumns.length == 0 ) {
+      queries.push(revisionTableQuery(obj));
+    } else {
+      const properties = storedProperties(obj);
+
+      /** Drop any revision columns that are no longer configured, if requested, keeping the revision history columns */
+      if ( options.drop === true ) {
+        revisionColumns.forEach((column) => {
+          if ( ![`revisionId`, `revisionDate`].includes(column.COLUMN_NAME) && !properties.find(x => x.name == column.COLUMN_NAME) )
+            queries.push(`ALTER TABLE ${obj.tableName}_revisions DROP COLUMN ${column.COLUMN_NAME}`);
+        });
+      }
+
+      /** Add or modify revision columns, which are defined without keys or auto increment */
+      properties.forEach((property) => {
+        const column = revisionColumns.find(x => x.COLUMN_NAME == property.name);
+
+        if ( !column )
+          queries.push(`ALTER TABLE ${obj.tableName}_revisions ADD COLUMN ${columnDefinition(property, false, false)}`);
+        else if ( !columnMatches(property, column, false) )
+          queries.push(`ALTER TABLE ${obj.tableName}_revisions MODIFY COLUMN ${columnDefinition(property, false, false)}`);
+      });
+    }
+  }
+
+  /** Make sure join tables exist for any properties stored in them */
+  for ( const property of joinTableProperties(obj) ) {
+    const tables = await runQuery(db, `SELECT TABLE_NAME FROM INFORMATION_SCHEMA.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`, [`${obj.tableName}_${property.name}`]);
+
+    if ( tables.length == 0 )
+      queries.push(joinTableQuery(obj, property));
+  }
+
+  /** Execute each query in order, unless this is a dry run */
+  if ( options.dryRun !== true ) {
+    for ( const query of queries )
+      await runQuery(db, query);
+  }
+
+  /** Return the queries */
+  return queries;
+};
+
+/** 
+ * @signature ezobjects.introspectTable(db, tableName[, options])
+ * @param db AwaitConnection
+ * @param tableName string Name of an existing MySQL table
+ * @param options Object (optional) Desired options, `className` = name of the class, defaults to the table name in 
+ * upper camel case, and `path` = file to also write the configuration to as a JavaScript module
+ * @return Object Configuration object
+ * @description A function for building a configuration object from an existing MySQL table using `INFORMATION_SCHEMA`.
+ */
+const introspectTable = async (db, tableName, options = {}) => {
+  if ( typeof db != `object` )
+    throw new Error(`ezobjects.introspectTable(): Invalid database argument.`);
+
+  if ( typeof tableName != `string` || !tableName.match(/^[a-z0-9_]+$/) )
+    throw new Error(`ezobjects.introspectTable(): Invalid table name, must contain characters 'a-z0-9_'.`);
+
+  if ( typeof options.className != `undefined` && ( typeof options.className != `string` || !options.className.match(/^[A-Za-z_0-9$]+$/) ) )
+    throw new Error(`ezobjects.introspectTable(): options.className is not a valid string containing characters 'A-Za-z_0-9$'.`);
+
+  if ( typeof options.path != `undefined` && typeof options.path != `string` )
+    throw new Error(`ezobjects.introspectTable(): options.path is not a valid string.`);
+
+  /** Load existing columns */
+  const columns = await runQuery(db, `SELECT COLUMN_NAME, COLUMN_TYPE, DATA_TYPE, IS_NULLABLE, CHARACTER_SET_NAME, COLLATION_NAME, COLUMN_COMMENT, EXTRA FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY ORDINAL_POSITION`, [tableName]);
+
+  if ( columns.length == 0 )
+    throw new Error(`ezobjects.introspectTable(): Table '${tableName}' does not exist.`);
+  else if ( !columns.find(x => x.COLUMN_NAME == `id`) )
+    throw new Error(`ezobjects.introspectTable(): Table '${tableName}' has no 'id' column.`);
+
+  /** Load existing indexes and group their columns by index name */
+  const statistics = await runQuery(db, `SELECT INDEX_NAME, COLUMN_NAME, SEQ_IN_INDEX, NON_UNIQUE, INDEX_TYPE FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? ORDER BY INDEX_NAME, SEQ_IN_INDEX`, [tableName]);
+  const existingIndexes = {};
+
+  statistics.forEach((row) => {
+    if ( !existingIndexes[row.INDEX_NAME] )
+      existingIndexes[row.INDEX_NAME] = { columns: [], unique: parseInt(row.NON_UNIQUE) == 0, type: row.INDEX_TYPE.toUpperCase() };
+
+    existingIndexes[row.INDEX_NAME].columns.push(row.COLUMN_NAME);
+  });
+
+  /** Build a property configuration for each column */
+  const properties = columns.map((column) => {
+    const dataType = column.DATA_TYPE.toLowerCase();
+    const columnType = column.COLUMN_TYPE.toLowerCase();
+    const parts = columnType.match(/^[a-z]+(?:\((.*)\))?(.*)$/);
+    const args = parts && parts[1] ? parts[1] : null;
+    const attributes = parts ? parts[2] : ``;
+
+    /** TINYINT(1) is how MySQL stores BOOLEAN */
+    const type = columnType.startsWith(`tinyint(1)`) ? `boolean` : dataType;
+    const ezobjectType = ezobjectTypes.find(x => x.type == type && !x.arrayOfType);
+
+    if ( !ezobjectType || ezobjectType.type == `other` )
+      throw new Error(`ezobjects.introspectTable(): Column '${column.COLUMN_NAME}' has unsupported type '${dataType}'.`);
+
+    const property = { name: column.COLUMN_NAME, type: type };
+
+    /** Value lists of ENUM and SET types */
+    const values = [];
+
+    if ( ( dataType == `enum` || dataType == `set` ) && args !== null )
+      args.replace(/'((?:[^']|'')*)'/g, (match, value) => values.push(value.replace(/''/g, `'`)));
+
+    /** Add length and/or decimals */
+    if ( ezobjectType.hasLength && type != `boolean` && args !== null && ezobjectType.hasDecimals && args.includes(`,`) )
+      [property.length, property.decimals] = args.split(`,`).map(x => parseInt(x));
+    else if ( ezobjectType.hasLength && type != `boolean` && args !== null )
+      property.length = parseInt(args);
+
+    if ( dataType == `enum` || dataType == `set` )
+      property.values = values;
+
+    /** Add UNSIGNED and ZEROFILL */
+    if ( ezobjectType.hasUnsignedAndZeroFill && attributes.includes(`unsigned`) )
+      property.unsigned = true;
+
+    if ( ezobjectType.hasUnsignedAndZeroFill && attributes.includes(`zerofill`) )
+      property.zerofill = true;
+
+    /** Add CHARACTER SET and COLLATE */
+    if ( ezobjectType.hasCharacterSetAndCollate && column.CHARACTER_SET_NAME )
+      property.characterSet = column.CHARACTER_SET_NAME;
+
+    if ( ezobjectType.hasCharacterSetAndCollate && column.COLLATION_NAME )
+      property.collate = column.COLLATION_NAME;
+
+    property.allowNull = column.IS_NULLABLE == `YES`;
+
+    /** Add AUTO_INCREMENT, which is implied for the ID */
+    if ( column.COLUMN_NAME != `id` && ( column.EXTRA || `` ).toLowerCase().includes(`auto_increment`) )
+      property.autoIncrement = true;
+
+    /** Add UNIQUE KEY for columns with a unique index of their own */
+    if ( column.COLUMN_NAME != `id` && Object.keys(existingIndexes).some(x => x != `PRIMARY` && existingIndexes[x].unique && existingIndexes[x].columns.length == 1 && existingIndexes[x].columns[0] == column.COLUMN_NAME) )
+      property.unique = true;
+
+    if ( column.COLUMN_COMMENT )
+      property.comment = column.COLUMN_COMMENT;
+
+    return property;
+  });
+
+  /** Add other indexes, leaving out unique indexes of multiple columns and types other than BTREE and HASH */
+  const indexes = Object.keys(existingIndexes).filter(x => x != `PRIMARY` && !existingIndexes[x].unique && [`BTREE`, `HASH`].includes(existingIndexes[x].type)).map((name) => {
+    return { name: name, type: existingIndexes[name].type, columns: existingIndexes[name].columns };
+  });
+
+  /** Name the class after the table in upper camel case, unless a name was provided */
+  const className = options.className || tableName.split(`_`).filter(x => x != ``).map(x => x.charAt(0).toUpperCase() + x.slice(1)).join(``);
+
+  const obj = { className: className, tableName: tableName, properties: properties };
+
+  /** An ID that isn't auto-incremented but has the type of a UUID becomes a generated UUID primary key, which adds the ID itself */
+  const idColumn = columns.find(x => x.COLUMN_NAME == `id`);
+  const idType = idColumn.COLUMN_TYPE.toLowerCase();
+
+  if ( !( idColumn.EXTRA || `` ).toLowerCase().includes(`auto_increment`) && ( idType == `binary(16)` || idType == `char(36)` ) ) {
+    obj.primaryKey = { strategy: `uuidv4`, storage: idType == `binary(16)` ? `binary` : `char` };
+    obj.properties = properties.filter(property => property.name != `id`);
+  }
+
+  if ( indexes.length > 0 )
+    obj.indexes = indexes;
+
+  /** If a path was provided, write the configuration out as a JavaScript module */
+  if ( typeof options.path == `string` )
+    fs.writeFileSync(options.path, `module.exports = ${JSON.stringify(obj, null, 2)};\n`);
+
+  return obj;
+};
+
+/** Adapter for connections created by `mysql-await`, also used for any object with an `awaitQuery` method */
+const mysqlAwaitConnectionAdapter = {
+  name: `mysql-await connection`,
+  matches: db => typeof db.awaitQuery == `function` && typeof db.awaitGetConnection != `function`,
+  query: async (db, query, params) => await db.awaitQuery(query, params),
+  beginTransaction: async connection => await connection.awaitQuery(`START TRANSACTION`),
+  commit: async connection => await connection.awaitQuery(`COMMIT`),
+  rollback: async connection => await connection.awaitQuery(`ROLLBACK`),
+  getConnection: async db => db,
+  release: async () => {},
+  insertId: result => result.insertId,
+  affectedRows: result => result.affectedRows
+};
+
+/** Adapter for pools created by `mysql-await`, transactions use a connection taken from the pool */
+const mysqlAwaitPoolAdapter = {
+  name: `mysql-await pool`,
+  matches: db => typeof db.awaitGetConnection == `function`,
+  query: async (db, query, params) => await db.awaitQuery(query, params),
+  beginTransaction: async connection => await connection.awaitQuery(`START TRANSACTION`),
+  commit: async connection => await connection.awaitQuery(`COMMIT`),
+  rollback: async connection => await connection.awaitQuery(`ROLLBACK`),
+  getConnection: async db => await db.awaitGetConnection(),
+  release: async (db, connection) => connection.release(),
+  insertId: result => result.insertId,
+  affectedRows: result => result.affectedRows
+};
+
+/** Adapter for connections and pools created by `mysql2/promise`, whose queries resolve to `[rows, fields]` */
+const mysql2Adapter = {
+  name: `mysql2/promise`,
+  matches: db => [`PromiseConnection`, `PromisePoolConnection`, `PromisePool`].includes(db.constructor.name),
+  query: async (db, query, params) => (await db.query(query, params))[0],
+  beginTransaction: async connection => await connection.query(`START TRANSACTION`),
+  commit: async connection => await connection.query(`COMMIT`),
+  rollback: async connection => await connection.query(`ROLLBACK`),
+  getConnection: async db => db.constructor.name == `PromisePool` ? await db.getConnection() : db,
+  release: async (db, connection) => { 
+    if ( connection !== db ) 
+      connection.release(); 
+  },
+  insertId: result => result.insertId,
+  affectedRows: result => result.affectedRows
+};
+
+/** Adapter for the bundled in-memory database, used for testing without a MySQL server */
+const memoryAdapter = {
+  name: `memory`,
+  matches: db => db instanceof MemoryDatabase,
+  query: async (db, query, params) => await db.query(query, params),
+  beginTransaction: async connection => await connection.query(`START TRANSACTION`),
+  commit: async connection => await connection.query(`COMMIT`),
+  rollback: async connection => await connection.query(`ROLLBACK`),
+  getConnection: async db => db,
+  release: async () => {},
+  insertId: result => result.insertId,
+  affectedRows: result => result.affectedRows
+};
+
+/** Methods every database adapter must provide */
+const adapterMethods = [`matches`, `query`, `beginTransaction`, `commit`, `rollback`, `getConnection`, `release`, `insertId`, `affectedRows`];
+
+/** Database adapters, in the order they're checked when detecting which one to use for a database object */
+const adapters = [memoryAdapter, mysql2Adapter, mysqlAwaitPoolAdapter, mysqlAwaitConnectionAdapter];
+
+/**
+ * @signature ezobjects.registerAdapter(adapter)
+ * @param adapter Object Database adapter
+ * @description A function for adding a database adapter, which is checked before any previously registered and 
+ * built-in adapters when detecting which one to use for a database object.
+ */
+const registerAdapter = (adapter) => {
+  /** If adapter is not plain object, throw error */
+  if ( typeof adapter != `object` || adapter === null || adapter.constructor.name != `Object` )
+    throw new Error(`ezobjects.registerAdapter(): Invalid adapter argument, must be plain object.`);
+
+  /** If adapter has missing or invalid name, throw error */
+  if ( typeof adapter.name != `string` )
+    throw new Error(`ezobjects.registerAdapter(): Adapter has missing or invalid 'name', must be string.`);
+
+  /** If adapter is missing any methods, throw error */
+  adapterMethods.forEach((method) => {
+    if ( typeof adapter[method] != `function` )
+      throw new Error(`ezobjects.registerAdapter(): Adapter '${adapter.name}' has missing or invalid '${method}', must be function.`);
+  });
+
+  adapters.unshift(adapter);
+};
+
+/**
+ * @signature ezobjects.getAdapter(db)
+ * @param db Object Database connection, pool, or transaction
+ * @return Object Database adapter
+ * @description A function for detecting which database adapter to use for a database object.
+ */
+const getAdapter = (db) => {
+  if ( typeof db != `object` || db === null )
+    throw new Error(`ezobjects.getAdapter(): Invalid database argument.`);
+
+  /** Transactions always use their own adapter */
+  if ( db instanceof Transaction )
+    return transactionAdapter;
+
+  const adapter = adapters.find(x => x.matches(db));
+
+  /** If no adapter handles this database object, throw error */
+  if ( !adapter )
+    throw new Error(`ezobjects.getAdapter(): No adapter found for database object of type '${db.constructor.name}'.`);
+
+  return adapter;
+};
+
+/**
+ * @signature runQuery(db, query[, params])
+ * @param db Object Database connection, pool, or transaction
+ * @param query string MySQL query
+ * @param params Array (optional) Query parameters
+ * @return mixed Rows for SELECT queries, otherwise the adapter's query result
+ * @description Execute a query using the adapter for `db`.
+ */
+const runQuery = async (db, query, params) => {
+  return await getAdapter(db).query(db, query, params);
+};
+
+/**
+ * @signature new Transaction(connection, adapter, depth)
+ * @param connection Object Connection the transaction was started on
+ * @param adapter Object Database adapter for the connection
+ * @param depth number Nesting depth, zero for the outermost transaction
+ * @description A connection-like object passed to transaction callbacks that can be used anywhere a database
+ * is accepted, such as the insert(), update(), delete(), and load() methods.
+ */
+class Transaction {
+  constructor(connection, adapter, depth) {
+    this.connection = connection;
+    this.adapter = adapter;
+    this.depth = depth;
+    this.active = true;
+  }
+
+  /** Pass queries through to the transaction's connection, as long as the transaction is still active */
+  async query(query, params) {
+    if ( !this.active )
+      throw new Error(`ezobjects.transaction(): Transaction has already been committed or rolled back.`);
+
+    return await this.adapter.query(this.connection, query, params);
+  }
+
+  /** Alias of query() so transactions can be used like `mysql-await` connections */
+  async awaitQuery(query, params) {
+    return await this.query(query, params);
+  }
+}
+
+/** Adapter for transactions, passing everything through to the adapter of the transaction's connection */
+const transactionAdapter = {
+  name: `transaction`,
+  matches: db => db instanceof Transaction,
+  query: async (db, query, params) => await db.query(query, params),
+  beginTransaction: async () => {
+    throw new Error(`ezobjects.transaction(): Nested transactions must be started using ezobjects.transaction().`);
+  },
+  commit: async () => {
+    throw new Error(`ezobjects.transaction(): Transactions are committed when their callback resolves.`);
+  },
+  rollback: async () => {
+    throw new Error(`ezobjects.transaction(): Transactions are rolled back when their callback throws.`);
+  },
+  getConnection: async db => db,
+  release: async () => {},
+  insertId: result => result.insertId,
+  affectedRows: result => result.affectedRows
+};
+
+/**
+ * @signature ezobjects.transaction(db, callback)
+ * @param db Object Database connection, pool, or transaction supported by a database adapter
+ * @param callback function Async function that will be passed the transaction
+ * @return mixed Result of `callback`
+ * @description A function for running `callback` inside of a transaction that is committed if `callback`
+ * resolves and rolled back if it throws.  If `db` is a pool, a connection is taken from the pool for the
+ * duration of the transaction.  If `db` is itself a transaction, a savepoint is used so that only the nested
+ * work is rolled back.
+ */
+const transaction = async (db, callback) => {
+  if ( typeof db != `object` || db === null )
+    throw new Error(`ezobjects.transaction(): Invalid database argument.`);
+
+  if ( typeof callback != `function` )
+    throw new Error(`ezobjects.transaction(): Invalid callback argument, must be function.`);
+
+  /** If this is a nested transaction, use a savepoint on the existing transaction's connection */
+  if ( db instanceof Transaction ) {
+    const savepoint = `ezobjects_savepoint_${db.depth + 1}`;
+    const nested = new Transaction(db.connection, db.adapter, db.depth + 1);
+
+    await db.query(`SAVEPOINT ${savepoint}`);
+
+    try {
+      const result = await callback(nested);
+
+      await db.query(`RELEASE SAVEPOINT ${savepoint}`);
+
+      return result;
+    } catch ( err ) {
+      await db.query(`ROLLBACK TO SAVEPOINT ${savepoint}`);
+
+      throw err;
+    } finally {
+      nested.active = false;
+    }
+  }
+
+  const adapter = getAdapter(db);
+
+  /** Get a dedicated connection, i.e. from a pool, so every query runs inside the transaction */
+  const connection = await adapter.getConnection(db);
+  const tx = new Transaction(connection, adapter, 0);
+
+  try {
+    await adapter.beginTransaction(connection);
+
+    try {
+      const result = await callback(tx);
+
+      await adapter.commit(connection);
+
+      return result;
+    } catch ( err ) {
+      await adapter.rollback(connection);
+
+      throw err;
+    }
+  } finally {
+    tx.active = false;
+
+    /** Return the connection, i.e. to the pool */
+    await adapter.release(db, connection);
+  }
+};
+
+/** Symbol used to store change tracking state on objects without it being enumerable or serialized */
+const changeState = Symbol(`changeState`);
+
+/** JavaScript types whose values can be changed without calling the setter, so must be compared to detect changes */
+const mutableTypes = [`Array`, `Buffer`, `Object`, `Set`, `json`, `object`];
+
+/**
+ * @signature changeTracking(instance)
+ * @param instance Object EZ Object instance
+ * @return Object Change tracking state of `instance`
+ * @description Get the change tracking state of an object, creating it if it doesn't exist yet.
+ */
+const changeTracking = (instance) => {
+  /** Store change tracking state as a non-enumerable property so it's never copied, logged, or serialized */
+  if ( !instance[changeState] )
+    Object.defineProperty(instance, changeState, { value: { changed: [], original: {}, saved: {} } });
+
+  return instance[changeState];
+};
+
+/**
+ * @signature savedValue(property, value)
+ * @param property Object Property configuration
+ * @param value mixed Property value
+ * @return string Comparable representation of the value as it would be saved in the database
+ * @description Serialize the saved form of a property value so mutable values can be compared for changes.
+ */
+const savedValue = (property, value) => {
+  const saved = property.saveTransform(value, property);
+
+  return saved instanceof Buffer ? saved.toString(`hex`) : JSON.stringify(saved);
+};
+
+/**
+ * @signature markClean(instance, obj[, names])
+ * @param instance Object EZ Object instance
+ * @param obj Object Configuration object
+ * @param names Array (optional) Names of properties to mark clean, defaults to all properties
+ * @description Reset change tracking for the given properties after they have been loaded, inserted, or updated.
+ */
+const markClean = (instance, obj, names) => {
+  const tracking = changeTracking(instance);
+
+  /** Loop through each stored property, including those of any extended configurations */
+  storedProperties(obj).concat(joinTableProperties(obj)).forEach((property) => {
+    if ( names && !names.includes(property.name) )
+      return;
+
+    /** Property is no longer changed */
+    if ( tracking.changed.includes(property.name) )
+      tracking.changed.splice(tracking.changed.indexOf(property.name), 1);
+
+    delete tracking.original[property.name];
+
+    /** Keep saved form of mutable values so changes made without the setter can be detected */
+    if ( mutableTypes.includes(property.ezobjectType.jsType) )
+      tracking.saved[property.name] = savedValue(property, instance[`_${property.name}`]);
+  });
+
+  /** If cleaning all properties, unstored properties are no longer considered changed either */
+  if ( !names )
+    tracking.changed = [];
+};
+
+/**
+ * @signature ezobjects.createClass(obj)
+ * @param obj Object Configuration object
+ * @description A function for automatically generating a class object based on
+ * the values in the provided configuration object.
+ */
+const createClass = (obj) => {
+  /** Validate class configuration */
+  validateClassConfig(obj);
+
+  /** Keep configuration so other objects can look up how this one is stored */
+  configs[obj.className] = obj;
+
+  /** Create new class on global scope */
+  module.exports.objects[obj.className] = class extends (obj.extends || Object) {
+    /** Create constructor */
+    constructor(data = {}) {
+      /** Initialize super */
+      super(data);
+      
+      /** If this is the top level class */
       if ( this.constructor.name == obj.className ) {
         /** Add onstructor name as property so we can load from JSON parsed object */
         this._constructorName = this.constructor.name;
@@ -1028,15 +3506,15 @@ const createClass = (obj) => {
       obj.properties.forEach((property) => {        
         /** Initialize types to defaults */
         if ( property.type != `function` && typeof data[property.name] == `function` )
-          this[property.name](data[property.name]());
+          this[property.name](data[property.name](), unlockReadOnly);
         else if ( typeof data[property.name] != `undefined` )
-          this[property.name](data[property.name]);
+          this[property.name](data[property.name], unlockReadOnly);
         else if ( typeof data[`_${property.name}`] == `function` )
-          this[property.name](data[`_${property.name}`]());
+          this[property.name](data[`_${property.name}`](), unlockReadOnly);
         else if ( typeof data[`_${property.name}`] != `undefined` )
-          this[property.name](data[`_${property.name}`]);
+          this[property.name](data[`_${property.name}`], unlockReadOnly);
         else
-          this[property.name](property.default || property.ezobjectType.default);
+          this[property.name](property.default || property.ezobjectType.default, unlockReadOnly);
       });
     }
   };
@@ -1044,35 +3522,212 @@ const createClass = (obj) => {
   /** Loop through each property in the obj */
   obj.properties.forEach((property) => {  
     /** Create class method on prototype */
-    module.exports.objects[obj.className].prototype[property.name] = function (arg) {
+    module.exports.objects[obj.className].prototype[property.name] = function (arg, unlock) {
       /** Getter */
       if ( arg === undefined ) 
         return typeof property.getTransform == `function` ? property.getTransform(this[`_${property.name}`], property) : this[`_${property.name}`];
       
+      /** Timestamps and version columns are read-only, except to internal code */
+      if ( property.timestamp && unlock !== unlockReadOnly )
+        throw new Error(`${this.constructor.name}.${property.name}(): Property is a read-only timestamp.`);
+      else if ( property.version && unlock !== unlockReadOnly )
+        throw new Error(`${this.constructor.name}.${property.name}(): Property is a read-only version column.`);
+
+      /** Perform set transform first, in case it throws */
+      const value = property.setTransform(arg, property);
+      const tracking = changeTracking(this);
+
+      /** Record that the property has changed, along with its original value */
+      if ( !tracking.changed.includes(property.name) ) {
+        tracking.original[property.name] = this[`_${property.name}`];
+        tracking.changed.push(property.name);
+      }
+
       /** Setter */
-      this[`_${property.name}`] = property.setTransform(arg, property); 
+      this[`_${property.name}`] = value; 
       
       /** Return this object for set call chaining */
       return this; 
     };
   });
   
+  /** Create toJSON method on prototype, so BigInts of exact properties are serialized as strings instead of throwing */
+  module.exports.objects[obj.className].prototype.toJSON = function () {
+    const json = {};
+
+    Object.keys(this).forEach((key) => {
+      if ( typeof this[key] == `bigint` )
+        json[key] = this[key].toString();
+      else if ( this[key] instanceof Array && this[key].some(x => typeof x == `bigint`) )
+        json[key] = this[key].map(x => typeof x == `bigint` ? x.toString() : x);
+      else
+        json[key] = this[key];
+    });
+
+    return json;
+  };
+
+  /** Create changedProperties method on prototype */
+  module.exports.objects[obj.className].prototype.changedProperties = function () {
+    const tracking = changeTracking(this);
+    const changed = [];
+
+    /** Create helper method for recursively checking properties for changes */
+    const checkProperties = (obj) => {
+      /** If this object extends another, recursively check properties from the extended object */
+      if ( obj.extendsConfig )
+        checkProperties(obj.extendsConfig);
+
+      /** Loop through each property */
+      obj.properties.forEach((property) => {
+        /** Property has changed if its setter was called, or if it's mutable and its saved form no longer matches */
+        if ( tracking.changed.includes(property.name) )
+          changed.push(property.name);
+        else if ( typeof tracking.saved[property.name] == `string` && tracking.saved[property.name] != savedValue(property, this[`_${property.name}`]) )
+          changed.push(property.name);
+      });
+    };
+
+    /** Check properties for changes */
+    checkProperties(obj);
+
+    /** Return names of changed properties */
+    return changed;
+  };
+
+  /** Create isDirty method on prototype */
+  module.exports.objects[obj.className].prototype.isDirty = function (name) {
+    /** If a property name was provided, check only that property */
+    if ( typeof name == `string` )
+      return this.changedProperties().includes(name);
+
+    return this.changedProperties().length > 0;
+  };
+
+  /** Create validate method on prototype */
+  module.exports.objects[obj.className].prototype.validate = async function () {
+    return await validateObject(obj, this);
+  };
+
+  /** Create originalValue method on prototype */
+  module.exports.objects[obj.className].prototype.originalValue = function (name) {
+    const tracking = changeTracking(this);
+
+    /** If the property hasn't been set since it was loaded, inserted, or updated, its current value is the original */
+    if ( !Object.keys(tracking.original).includes(name) )
+      return this[name]();
+
+    return tracking.original[name];
+  };
+
+  /** Create static enumValues on class with the allowed values of each ENUM property and array of ENUMs, for use in forms */
+  module.exports.objects[obj.className].enumValues = {};
+
+  /** Create helper method for recursively adding allowed values */
+  const addEnumValues = (config) => {
+    /** If this object extends another, recursively add allowed values from the extended object */
+    if ( config.extendsConfig )
+      addEnumValues(config.extendsConfig);
+
+    /** Loop through each property */
+    config.properties.forEach((property) => {
+      if ( property.ezobjectType.type == `enum` )
+        module.exports.objects[obj.className].enumValues[property.name] = Object.freeze(property.values.slice());
+      else if ( property.type == `array` && property.arrayOf.ezobjectType.type == `enum` )
+        module.exports.objects[obj.className].enumValues[property.name] = Object.freeze(property.arrayOf.values.slice());
+    });
+  };
+
+  addEnumValues(obj);
+
   /** If object has valid tableName property, it's meant to be connected to a MySQL database, so add MySQL class methods */
   if ( typeof obj.tableName == `string` && obj.tableName.match(/^[a-z0-9_]+$/) ) {
+    /** Create helper method for permanently deleting a record */
+    const deleteRecord = async (instance, db) => {
+      await runQuery(db, `DELETE FROM ${obj.tableName} WHERE id = ?`, [saveId(obj, instance.id())]);
+
+      /** Delete any rows in join tables belonging to the record */
+      for ( const property of joinTableProperties(obj) )
+        await runQuery(db, `DELETE FROM ${obj.tableName}_${property.name} WHERE parentId = ?`, [saveId(obj, instance.id())]);
+    };
+
+    /** Create helper method for setting or clearing the deletion time of a soft deleted record */
+    const markDeleted = async (instance, db, deletedAt) => {
+      const property = softDeleteProperty(obj);
+
+      /** Records that are already deleted keep their original deletion time */
+      const result = await runQuery(db, `UPDATE ${obj.tableName} SET ${property.name} = ? WHERE id = ?${deletedAt ? ` AND ${property.name} IS NULL` : ``}`, [property.saveTransform(deletedAt, property), saveId(obj, instance.id())]);
+
+      if ( deletedAt && getAdapter(db).affectedRows(result) == 0 )
+        return;
+
+      instance[property.name](deletedAt, unlockReadOnly);
+
+      /** Object now matches the record's deletion time */
+      markClean(instance, obj, [property.name]);
+    };
+
     /** Create MySQL delete method on prototype */
     module.exports.objects[obj.className].prototype.delete = async function (db) { 
       /** If the argument is a valid database, delete the record */
-      if ( typeof db == `object` )
-        await db.awaitQuery(`DELETE FROM ${obj.tableName} WHERE id = ?`, [this.id()]);
+      if ( typeof db == `object` ) {
+        await runHooks(obj, `beforeDelete`, this, db);
+
+        /** If soft deleting, only record the deletion time so the record is kept, otherwise delete it permanently */
+        if ( softDeleteProperty(obj) ) {
+          const now = new Date();
+
+          /** DATETIME columns store whole seconds, so drop milliseconds to keep the object matching the record */
+          now.setMilliseconds(0);
+
+          await markDeleted(this, db, now);
+        } else {
+          await deleteRecord(this, db);
+        }
+
+        await runHooks(obj, `afterDelete`, this, db);
+      }
 
       /** Otherwise throw TypeError */
-      else
+      else {
         throw new TypeError(`${this.constructor.name}.delete(${typeof db}): Invalid signature.`);
+      }
 
       /** Allow for call chaining */
       return this;
     };
 
+    /** If soft deleting, add MySQL methods for restoring and permanently deleting records */
+    if ( softDeleteProperty(obj) ) {
+      /** Create MySQL forceDelete method on prototype */
+      module.exports.objects[obj.className].prototype.forceDelete = async function (db) {
+        /** If the argument is not a valid database, throw TypeError */
+        if ( typeof db != `object` )
+          throw new TypeError(`${this.constructor.name}.forceDelete(${typeof db}): Invalid signature.`);
+
+        await runHooks(obj, `beforeDelete`, this, db);
+
+        await deleteRecord(this, db);
+
+        await runHooks(obj, `afterDelete`, this, db);
+
+        /** Allow for call chaining */
+        return this;
+      };
+
+      /** Create MySQL restore method on prototype */
+      module.exports.objects[obj.className].prototype.restore = async function (db) {
+        /** If the argument is not a valid database, throw TypeError */
+        if ( typeof db != `object` )
+          throw new TypeError(`${this.constructor.name}.restore(${typeof db}): Invalid signature.`);
+
+        await markDeleted(this, db, null);
+
+        /** Allow for call chaining */
+        return this;
+      };
+    }
+
     /** Create MySQL insert method on prototype */
     module.exports.objects[obj.className].prototype.insert = async function (arg1) { 
       /** Provide option for inserting record from browser if developer implements ajax backend */
@@ -1096,6 +3751,22 @@ const createClass = (obj) => {
 
       /** If the argument is a valid database, insert record into database and capture ID */
       else if ( typeof arg1 == `object` ) {
+        /** Run hooks before the values to insert are read, so they can change them */
+        await runHooks(obj, `beforeInsert`, this, arg1);
+
+        /** Refuse to insert invalid objects if configured to */
+        await checkValid(obj, this, `${obj.className}.insert()`);
+
+        /** Set creation and modification timestamps */
+        setTimestamps(obj, this, [`createdAt`, `updatedAt`]);
+
+        /** New records start at version 1 */
+        if ( versionProperty(obj) )
+          this[versionProperty(obj).name](1, unlockReadOnly);
+
+        /** Generate the ID if using UUID primary keys */
+        generateId(obj, this);
+
         /** Create array for storing values to insert */
         const params = [];
 
@@ -1107,8 +3778,8 @@ const createClass = (obj) => {
 
           /** Loop through each property */
           obj.properties.forEach((property) => {
-            /** Ignore ID since we`ll get that from the insert, also ignore properties not stored */
-            if ( property.name == `id` || !property.store )
+            /** Ignore ID since we`ll get that from the insert, unless it was generated, also ignore properties not stored or stored in join tables */
+            if ( ( property.name == `id` && !property.primaryKey ) || !property.store || property.joinTable )
               return;
 
             /** Add property to params array after performing the save transform */
@@ -1130,8 +3801,8 @@ const createClass = (obj) => {
 
           /** Loop through each property */
           obj.properties.forEach((property) => {
-            /** Ignore ID since we`ll get that from the insert, also ignore properties not stored */
-            if ( property.name == `id` || !property.store )
+            /** Ignore ID since we`ll get that from the insert, unless it was generated, also ignore properties not stored or stored in join tables */
+            if ( ( property.name == `id` && !property.primaryKey ) || !property.store || property.joinTable )
               return;
 
             /** Append property name to query */
@@ -1156,8 +3827,8 @@ const createClass = (obj) => {
 
           /** Loop through each property */
           obj.properties.forEach((property) => {
-            /** Ignore ID since we`ll get that from the insert, also ignore properties not stored */
-            if ( property.name == `id` || !property.store )
+            /** Ignore ID since we`ll get that from the insert, unless it was generated, also ignore properties not stored or stored in join tables */
+            if ( ( property.name == `id` && !property.primaryKey ) || !property.store || property.joinTable )
               return;
 
             /** Append placeholder to query */
@@ -1175,10 +3846,20 @@ const createClass = (obj) => {
         query += `)`;
         
         /** Execute query to add record to database */
-        const result = await arg1.awaitQuery(query, params);
+        const result = await runQuery(arg1, query, params);
 
-        /** Store the resulting insert ID */
-        this.id(result.insertId);
+        /** Store the resulting insert ID, unless it was generated */
+        if ( !uuidKeyProperty(obj) )
+          this.id(getAdapter(arg1).insertId(result));
+
+        /** Save any properties stored in join tables */
+        for ( const property of joinTableProperties(obj) )
+          await saveJoinTable(obj, property, this, arg1);
+
+        /** Object now matches the database record */
+        markClean(this, obj);
+
+        await runHooks(obj, `afterInsert`, this, arg1);
       } 
 
       /** Otherwise throw TypeError */
@@ -1197,14 +3878,40 @@ const createClass = (obj) => {
       
       if ( typeof options.inverse != `boolean` )
         throw new Error(`${obj.className}.load(): options.inverse is not a valid boolean.`);
+
+      if ( typeof options.depth != `undefined` && options.depth !== Infinity && ( !Number.isInteger(options.depth) || options.depth < 0 ) )
+        throw new Error(`${obj.className}.load(): options.depth is not a valid non-negative integer.`);
+
+      if ( typeof options.includeDeleted != `undefined` && typeof options.includeDeleted != `boolean` )
+        throw new Error(`${obj.className}.load(): options.includeDeleted is not a valid boolean.`);
+
+      /** Join the batch loader of a larger load if part of one, otherwise create one when loading with a database */
+      const batch = options[batchLoader] || ( typeof db == `object` ? createBatch(db, typeof options.depth == `undefined` ? Infinity : options.depth, options.includeDeleted === true) : null );
+
+      /** Hooks run when loading from a database or row data, but not from a URL */
+      const hooked = typeof db == `object` || typeof arg1 == `object`;
+
+      if ( hooked )
+        await runHooks(obj, `beforeLoad`, this, db);
+
+      /** Determine which properties stored in join tables should be loaded */
+      const joins = joinTableProperties(obj).filter(property => propertiesToLoad.length == 0 || ( !options.inverse && propertiesToLoad.includes(property.name) ) || ( options.inverse && !propertiesToLoad.includes(property.name) ));
+
+      /** Create helper method for queueing properties stored in join tables to be loaded by the batch loader */
+      const loadJoins = (id, properties = joins) => {
+        properties.forEach(property => batch.joins.push({ obj: obj, property: property, id: id, instance: this }));
+      };
       
+      /** Numbers are IDs, as are UUIDs if the class uses them, while other strings are values of the otherSearchProperty */
+      const byId = typeof arg1 == `number` || ( typeof arg1 == `string` && uuidPattern.test(arg1) && findProperty(obj, `id`) && findProperty(obj, `id`).ezobjectType.type == `uuid` );
+
       /** If the first argument is a valid database and the second is a number, load record from database by ID */
       if ( ( typeof arg1 == `number` || typeof arg1 == `string` ) && typeof db == `object` ) {
-        if ( typeof arg1 == `string` && typeof obj.otherSearchProperty !== `string` )
+        if ( !byId && typeof obj.otherSearchProperty !== `string` )
           throw new Error(`${obj.className}.load(): String argument is not a URL so loading from database, but no 'otherSearchProperty' configured.`);
                 
-        /** Begin SELECT query */
-        let query = `SELECT `;
+        /** Begin SELECT query, including ID if it's needed to load properties stored in join tables */
+        let query = joins.length > 0 ? `SELECT id AS _joinId, ` : `SELECT `;
 
         /** Create helper method for recursively adding property names to query */
         const propertyNames = (obj) => {
@@ -1214,8 +3921,8 @@ const createClass = (obj) => {
 
           /** Loop through each property */
           obj.properties.forEach((property) => {
-            /** Don't attempt to load properties that are not stored in the database */
-            if ( !property.store )
+            /** Don't attempt to load properties that are not stored in the database table */
+            if ( !property.store || property.joinTable )
               return;
             
             /** Don't load properties that aren't included in the list of properties to load, all properties loaded if array empty */
@@ -1237,13 +3944,17 @@ const createClass = (obj) => {
         query += ` FROM ${obj.tableName} `;
 
         /** Add where clause based on whether we're searching by `id` or `otherSearchProperty` */
-        if ( typeof arg1 === `string` && typeof obj.otherSearchProperty === `string` )
+        if ( !byId )
           query += `WHERE ${obj.otherSearchProperty} = ?`;
         else
           query += `WHERE id = ?`;
+
+        /** Skip soft deleted records unless they are to be included */
+        if ( softDeleteProperty(obj) && !options.includeDeleted )
+          query += ` AND ${softDeleteProperty(obj).name} IS NULL`;
         
         /** Execute query to load record properties from the database */
-        const result = await db.awaitQuery(query, [arg1]);
+        const result = await runQuery(db, query, [byId ? saveId(obj, arg1) : arg1]);
 
         /** If a record with that ID doesn`t exist, return null */
         if ( !result[0] )
@@ -1257,8 +3968,8 @@ const createClass = (obj) => {
 
           /** Loop through each property */
           for ( let i = 0, i_max = obj.properties.length; i < i_max; i++ ) {            
-            /** Don't attempt to load properties that are not stored in the database */
-            if ( !obj.properties[i].store )
+            /** Don't attempt to load properties that are not stored in the database table */
+            if ( !obj.properties[i].store || obj.properties[i].joinTable )
               continue;
             
             /** Don't load properties that aren't included in the list of properties to load, all properties loaded if array empty */
@@ -1266,12 +3977,15 @@ const createClass = (obj) => {
               continue;
             
             /** Append property in object */
-            this[obj.properties[i].name](await obj.properties[i].loadTransform(result[0][obj.properties[i].name], obj.properties[i], db, obj.tableName));
+            this[obj.properties[i].name](await obj.properties[i].loadTransform(result[0][obj.properties[i].name], obj.properties[i], db, obj.tableName, batch), unlockReadOnly);
           }
         };
 
         /** Store loaded record properties into object */
         await loadProperties(obj);
+
+        /** Queue properties stored in join tables to be loaded */
+        loadJoins(loadId(obj, result[0]._joinId));
       } 
 
       /** Provide option for loading record from browser if developer implements ajax backend */
@@ -1329,11 +4043,11 @@ const createClass = (obj) => {
             /** Append property in object */
             if ( typeof result[obj.properties[i].name] !== `undefined` ) {
               if ( typeof result[obj.properties[i].name] == `object` )
-                this[obj.properties[i].name](result[obj.properties[i].name]);
+                this[obj.properties[i].name](result[obj.properties[i].name], unlockReadOnly);
               else if ( typeof db == `object` )
-                this[obj.properties[i].name](await obj.properties[i].loadTransform(result[obj.properties[i].name], obj.properties[i], db));
+                this[obj.properties[i].name](await obj.properties[i].loadTransform(result[obj.properties[i].name], obj.properties[i], db, obj.tableName, batch), unlockReadOnly);
               else
-                this[obj.properties[i].name](await obj.properties[i].loadTransform(result[obj.properties[i].name], obj.properties[i]));
+                this[obj.properties[i].name](await obj.properties[i].loadTransform(result[obj.properties[i].name], obj.properties[i]), unlockReadOnly);
             }
           }
         };
@@ -1363,20 +4077,24 @@ const createClass = (obj) => {
             if ( propertiesToLoad.length > 0 && ( ( !options.inverse && !propertiesToLoad.includes(obj.properties[i].name) ) || ( options.inverse && propertiesToLoad.includes(obj.properties[i].name) ) ) )
               continue;
                         
-            /** Append property in object */
+            /** Append property in object, passing dates and buffers through the load transform since they can be returned in MySQL rows */
             if ( typeof arg1[obj.properties[i].name] !== `undefined` ) {
-              if ( typeof arg1[obj.properties[i].name] == `object` )
-                this[obj.properties[i].name](arg1[obj.properties[i].name]);
+              if ( typeof arg1[obj.properties[i].name] == `object` && !( arg1[obj.properties[i].name] instanceof Date ) && !Buffer.isBuffer(arg1[obj.properties[i].name]) )
+                this[obj.properties[i].name](arg1[obj.properties[i].name], unlockReadOnly);
               else if ( typeof db == `object` )
-                this[obj.properties[i].name](await obj.properties[i].loadTransform(arg1[obj.properties[i].name], obj.properties[i], db));
+                this[obj.properties[i].name](await obj.properties[i].loadTransform(arg1[obj.properties[i].name], obj.properties[i], db, obj.tableName, batch), unlockReadOnly);
               else
-                this[obj.properties[i].name](await obj.properties[i].loadTransform(arg1[obj.properties[i].name], obj.properties[i]));
+                this[obj.properties[i].name](await obj.properties[i].loadTransform(arg1[obj.properties[i].name], obj.properties[i]), unlockReadOnly);
             }
           }
         };
 
         /** Store loaded record properties into object */
         await loadProperties(obj);
+
+        /** Queue properties stored in join tables that weren't provided to be loaded, if database was provided */
+        if ( typeof db == `object` && typeof arg1.id !== `undefined` )
+          loadJoins(loadId(obj, arg1.id), joins.filter(property => typeof arg1[property.name] === `undefined`));
       } 
 
       /** Otherwise throw TypeError */
@@ -1384,6 +4102,19 @@ const createClass = (obj) => {
         throw new TypeError(`${this.constructor.name}.load(${typeof arg1}, ${typeof db}): Invalid signature.`);
       }
 
+      /** Object now matches the loaded record */
+      markClean(this, obj);
+
+      /** If part of a batch loader, afterLoad hooks run once it has loaded everything, so referenced objects are loaded too */
+      if ( batch )
+        batch.loaded.push({ obj: obj, instance: this });
+      else if ( hooked )
+        await runHooks(obj, `afterLoad`, this, db);
+
+      /** If this load created the batch loader, load everything it has queued */
+      if ( batch && !options[batchLoader] )
+        await resolveBatch(batch);
+
       /** Allow for call chaining */
       return this;
     };
@@ -1409,8 +4140,47 @@ const createClass = (obj) => {
 
       /** If the argument is a valid database, update database record */
       else if ( typeof arg1 == `object` ) {
-        /** Create array for storing values to update */
+        /** If revision option is invalid, throw error */
+        if ( typeof options.revision != `undefined` && !Object.values(constants.editOptions).includes(options.revision) )
+          throw new Error(`${obj.className}.update(): options.revision is not a valid edit option.`);
+        else if ( options.revision == constants.editOptions.NEW_REVISION && !obj.revisionControlled )
+          throw new Error(`${obj.className}.update(): New revision requested, but class is not configured as revision controlled.`);
+
+        /** Run hooks before changes are determined, so they can make changes of their own */
+        await runHooks(obj, `beforeUpdate`, this, arg1);
+
+        /** If no properties were specified, only update stored properties that have changed since the last load, insert, or update */
+        if ( propertiesToLoad.length == 0 ) {
+          propertiesToLoad = this.changedProperties().filter(name => name != `id` && findProperty(obj, name).store);
+          options = Object.assign({}, options, { inverse: false });
+
+          /** If nothing has changed, there's nothing to update, but still keep a revision if one was requested and pair the hooks */
+          if ( propertiesToLoad.length == 0 ) {
+            if ( options.revision == constants.editOptions.NEW_REVISION )
+              await saveRevision(obj, this, arg1);
+
+            await runHooks(obj, `afterUpdate`, this, arg1);
+
+            return this;
+          }
+        }
+
+        /** Refuse to update invalid objects if configured to */
+        await checkValid(obj, this, `${obj.className}.update()`);
+
+        /** Create helper method for checking whether a property is among those to update */
+        const included = property => propertiesToLoad.length == 0 || ( !options.inverse && propertiesToLoad.includes(property.name) ) || ( options.inverse && !propertiesToLoad.includes(property.name) );
+
+        /** Modification timestamps are updated whenever anything else is */
+        const touched = storedProperties(obj).concat(joinTableProperties(obj)).some(property => property.name != `id` && !property.timestamp && !property.version && included(property));
+
+        if ( touched )
+          setTimestamps(obj, this, [`updatedAt`]);
+
+        /** Create arrays for storing values to update, the names of the properties being updated, and properties stored in join tables */
         const params = [];
+        const updated = [];
+        const joins = [];
 
         /** Create helper method for recursively adding properties to params array */
         const propertyValues = (obj) => {
@@ -1424,20 +4194,51 @@ const createClass = (obj) => {
             if ( property.name == `id` || !property.store )
               return;
             
+            /** Creation and deletion timestamps are only set by insert and delete, and modification timestamps are updated along with anything else */
+            if ( property.timestamp == `createdAt` || property.timestamp == `deletedAt` || ( property.timestamp == `updatedAt` && !touched ) )
+              return;
+
+            /** Version columns are incremented by the query itself */
+            if ( property.version )
+              return;
+
             /** Don't load properties that aren't included in the list of properties to load, all properties loaded if array empty */
-            if ( propertiesToLoad.length > 0 && ( ( !options.inverse && !propertiesToLoad.includes(property.name) ) || ( options.inverse && propertiesToLoad.includes(property.name) ) ) )
+            if ( property.timestamp != `updatedAt` && !included(property) )
+              return;
+
+            /** Properties stored in join tables are saved separately */
+            if ( property.joinTable ) {
+              joins.push(property);
               return;
+            }
 
             /** Add property to params array after performing the save transform */
             params.push(property.saveTransform(this[property.name](), property));
+            updated.push(property.name);
           });
         };
 
         /** Recursively add properties to params array */
         propertyValues(obj);
 
+        /** If there are no properties to update, there's nothing to do, but still keep a revision if one was requested and pair the hooks */
+        if ( updated.length == 0 && joins.length == 0 ) {
+          if ( options.revision == constants.editOptions.NEW_REVISION )
+            await saveRevision(obj, this, arg1);
+
+          await runHooks(obj, `afterUpdate`, this, arg1);
+
+          return this;
+        }
+
         /** Add ID to params array at the end so we can locate the record to update */
-        params.push(this.id());
+        params.push(saveId(obj, this.id()));
+
+        /** If using optimistic locking, only update the record if it still has the version this object was loaded with */
+        const version = versionProperty(obj);
+
+        if ( version )
+          params.push(this[version.name]());
 
         /** Begin UPDATE query */
         let query = `UPDATE ${obj.tableName} SET `;
@@ -1450,12 +4251,20 @@ const createClass = (obj) => {
 
           /** Loop through each property */
           obj.properties.forEach((property) => {
-            /** Ignore ID since we will use that to locate the record, and will never update it, also ignore properties not stored */
-            if ( property.name == `id` || !property.store )
+            /** Ignore ID since we will use that to locate the record, and will never update it, also ignore properties not stored or stored in join tables */
+            if ( property.name == `id` || !property.store || property.joinTable )
               return;
-            
+
+            /** Creation and deletion timestamps are only set by insert and delete, and modification timestamps are updated along with anything else */
+            if ( property.timestamp == `createdAt` || property.timestamp == `deletedAt` || ( property.timestamp == `updatedAt` && !touched ) )
+              return;
+
+            /** Version columns are incremented by the query itself */
+            if ( property.version )
+              return;
+
             /** Don't load properties that aren't included in the list of properties to load, all properties loaded if array empty */
-            if ( propertiesToLoad.length > 0 && ( ( !options.inverse && !propertiesToLoad.includes(property.name) ) || ( options.inverse && propertiesToLoad.includes(property.name) ) ) )
+            if ( property.timestamp != `updatedAt` && !included(property) )
               return;
 
             /** Append property update to query */
@@ -1466,14 +4275,53 @@ const createClass = (obj) => {
         /** Add property updates to query */
         propertyUpdates(obj);
 
+        /** Increment the version column, even if only properties stored in join tables changed */
+        if ( version )
+          query += `${version.name} = ${version.name} + 1, `;
+
         /** Trim extra `, ` from property list */
         query = query.substr(0, query.length - 2);
 
         /** Finish query */
-        query += ` WHERE id = ?`;
+        query += version ? ` WHERE id = ? AND ${version.name} = ?` : ` WHERE id = ?`;
         
-        /** Execute query to update record in database */
-        await arg1.awaitQuery(query, params);
+        /** Create helper method for writing the record and its join tables */
+        const write = async (db) => {
+          /** If a new revision is requested, snapshot the record as it currently exists before updating it */
+          if ( options.revision == constants.editOptions.NEW_REVISION )
+            await saveRevision(obj, this, db);
+
+          /** Execute query to update record in database, if any properties are stored in the table or it has a version column */
+          if ( updated.length > 0 || version ) {
+            const result = await runQuery(db, query, params);
+
+            /** If no record has this object's version, someone else has updated or deleted it since it was loaded */
+            if ( version && getAdapter(db).affectedRows(result) == 0 )
+              throw new OptimisticLockError(`${this.constructor.name}.update(): Record ${this.id()} has been updated or deleted since version ${this[version.name]()} was loaded.`);
+          }
+
+          /** Save any properties stored in join tables */
+          for ( const property of joins )
+            await saveJoinTable(obj, property, this, db);
+        };
+
+        /** Keep the revision and the update together, so a failed update doesn't leave the revision behind */
+        if ( options.revision == constants.editOptions.NEW_REVISION )
+          await transaction(arg1, write);
+        else
+          await write(arg1);
+
+        if ( version ) {
+          this[version.name](this[version.name]() + 1, unlockReadOnly);
+          updated.push(version.name);
+        }
+
+        joins.forEach(property => updated.push(property.name));
+
+        /** Updated properties now match the database record */
+        markClean(this, obj, updated);
+
+        await runHooks(obj, `afterUpdate`, this, arg1);
       } 
 
       /** Otherwise throw TypeError */
@@ -1484,8 +4332,551 @@ const createClass = (obj) => {
       /** Allow for call chaining */
       return this;
     };
+
+    /** Create MySQL save method on prototype */
+    module.exports.objects[obj.className].prototype.save = async function (db) {
+      /** If the argument is not a valid database, throw TypeError */
+      if ( typeof db != `object` )
+        throw new TypeError(`${this.constructor.name}.save(${typeof db}): Invalid signature.`);
+
+      /** Insert the record if it doesn't have an ID yet, otherwise update it */
+      if ( this.id() )
+        return await this.update(db);
+      
+      return await this.insert(db);
+    };
+
+    /** Create MySQL upsert method on prototype */
+    module.exports.objects[obj.className].prototype.upsert = async function (db, options = {}) {
+      /** If the arguments are invalid, throw TypeError */
+      if ( typeof db != `object` || typeof options != `object` || options === null )
+        throw new TypeError(`${this.constructor.name}.upsert(${typeof db}, ${typeof options}): Invalid signature.`);
+
+      /** Conflict keys default to the otherSearchProperty, or else all unique properties, or else a generated ID */
+      let conflictKeys = options.conflictKeys;
+
+      if ( typeof conflictKeys == `undefined` )
+        conflictKeys = typeof obj.otherSearchProperty == `string` ? [obj.otherSearchProperty] : storedProperties(obj).filter(property => property.unique).map(property => property.name);
+
+      if ( typeof options.conflictKeys == `undefined` && conflictKeys.length == 0 && uuidKeyProperty(obj) )
+        conflictKeys = [`id`];
+
+      if ( typeof conflictKeys != `object` || conflictKeys === null || conflictKeys.constructor.name != `Array` || conflictKeys.length == 0 )
+        throw new Error(`${this.constructor.name}.upsert(): No conflict keys, options.conflictKeys must be a non-empty array or the configuration must have 'unique' properties or an 'otherSearchProperty'.`);
+
+      /** If a conflict key isn't a unique property, the otherSearchProperty, or a generated ID, throw error */
+      conflictKeys.forEach((name) => {
+        const property = findProperty(obj, name);
+
+        if ( !property || !property.store || property.joinTable || ( !property.unique && name != obj.otherSearchProperty && !property.primaryKey ) )
+          throw new Error(`${this.constructor.name}.upsert(): Conflict key '${name}' is not a stored 'unique' property, the 'otherSearchProperty', or a UUID primary key.`);
+      });
+
+      /** MySQL updates instead of inserting if any unique key conflicts, not just the conflict keys */
+      const uniqueKeys = conflictKeys.concat(storedProperties(obj).filter(property => ( property.unique || property.primaryKey ) && !conflictKeys.includes(property.name)).map(property => property.name));
+
+      /** Look for an existing record it would conflict with, so the update hooks can be run instead if it's to be updated */
+      const existing = await runQuery(db, `SELECT id FROM ${obj.tableName} WHERE ${uniqueKeys.map(name => `${name} = ?`).join(` OR `)}`, uniqueKeys.map(name => findProperty(obj, name).saveTransform(this[name](), findProperty(obj, name))));
+
+      await runHooks(obj, existing.length > 0 ? `beforeUpdate` : `beforeInsert`, this, db);
+
+      /** Refuse to save invalid objects if configured to */
+      await checkValid(obj, this, `${this.constructor.name}.upsert()`);
+
+      /** Set timestamps and version for a new record, existing records keep their own creation time and version */
+      setTimestamps(obj, this, existing.length > 0 ? [`updatedAt`] : [`createdAt`, `updatedAt`]);
+
+      if ( versionProperty(obj) && existing.length == 0 )
+        this[versionProperty(obj).name](1, unlockReadOnly);
+
+      /** Generate the ID if using UUID primary keys, which is kept if the record is inserted */
+      generateId(obj, this);
+
+      const properties = storedProperties(obj).filter(property => property.name != `id` || property.primaryKey);
+
+      /** Existing records are updated with everything except their IDs, conflict keys, and the columns managed by insert and delete */
+      const updates = properties.filter(property => property.name != `id` && !conflictKeys.includes(property.name) && property.timestamp != `createdAt` && property.timestamp != `deletedAt`).map((property) => {
+        /** The version is incremented without being checked, since there's no WHERE clause to put it in */
+        if ( property.version )
+          return `${property.name} = ${property.name} + 1`;
+        
+        return `${property.name} = VALUES(${property.name})`;
+      });
+
+      /** Have the ID of the existing record reported as the insert ID if it's updated instead, generated IDs are looked up below */
+      if ( !uuidKeyProperty(obj) )
+        updates.push(`id = LAST_INSERT_ID(id)`);
+      else if ( updates.length == 0 )
+        updates.push(`id = id`);
+
+      const query = `INSERT INTO ${obj.tableName} (${properties.map(property => property.name).join(`, `)}) VALUES (${properties.map(() => `?`).join(`, `)}) ON DUPLICATE KEY UPDATE ${updates.join(`, `)}`;
+
+      const result = await runQuery(db, query, properties.map(property => property.saveTransform(this[property.name](), property)));
+
+      /** Store the resulting insert ID, which is that of the existing record if it was updated */
+      if ( !uuidKeyProperty(obj) )
+        this.id(getAdapter(db).insertId(result));
+
+      /** Reload the columns the database may have kept from an existing record */
+      const managed = properties.filter(property => property.timestamp || property.version);
+
+      if ( uuidKeyProperty(obj) ) {
+        const columns = [`id`].concat(managed.map(property => property.name)).join(`, `);
+
+        /** The record is the existing one if it was updated, otherwise it has the generated ID */
+        const rows = await runQuery(db, `SELECT ${columns} FROM ${obj.tableName} WHERE id = ?`, [existing.length > 0 ? existing[0].id : saveId(obj, this.id())]);
+
+        this.id(loadId(obj, rows[0].id));
+
+        for ( const property of managed )
+          this[property.name](await property.loadTransform(rows[0][property.name], property, db, obj.tableName), unlockReadOnly);
+      } else if ( managed.length > 0 ) {
+        const rows = await runQuery(db, `SELECT ${managed.map(property => property.name).join(`, `)} FROM ${obj.tableName} WHERE id = ?`, [this.id()]);
+
+        for ( const property of managed )
+          this[property.name](await property.loadTransform(rows[0][property.name], property, db, obj.tableName), unlockReadOnly);
+      }
+
+      /** Save any properties stored in join tables */
+      for ( const property of joinTableProperties(obj) )
+        await saveJoinTable(obj, property, this, db);
+
+      /** Object now matches the database record */
+      markClean(this, obj);
+
+      await runHooks(obj, existing.length > 0 ? `afterUpdate` : `afterInsert`, this, db);
+
+      /** Allow for call chaining */
+      return this;
+    };
+
+    /** If revision controlled, add MySQL revision history methods */
+    if ( obj.revisionControlled ) {
+      /** Create MySQL revisions method on prototype */
+      module.exports.objects[obj.className].prototype.revisions = async function (db) {
+        /** If the argument is not a valid database, throw TypeError */
+        if ( typeof db != `object` )
+          throw new TypeError(`${this.constructor.name}.revisions(${typeof db}): Invalid signature.`);
+
+        /** Execute query to list revisions of this record, newest first */
+        const result = await runQuery(db, `SELECT revisionId, revisionDate FROM ${obj.tableName}_revisions WHERE id = ? ORDER BY revisionId DESC`, [saveId(obj, this.id())]);
+
+        /** Return plain objects containing the revision ID and date of each revision */
+        return result.map(row => ({ revisionId: row.revisionId, revisionDate: new Date(row.revisionDate) }));
+      };
+
+      /** Create MySQL loadRevision method on prototype */
+      module.exports.objects[obj.className].prototype.loadRevision = async function (revisionId, db) {
+        /** If the arguments are invalid, throw TypeError */
+        if ( typeof revisionId != `number` || typeof db != `object` )
+          throw new TypeError(`${this.constructor.name}.loadRevision(${typeof revisionId}, ${typeof db}): Invalid signature.`);
+
+        /** Execute query to load the revision of this record */
+        const result = await runQuery(db, `SELECT ${storedProperties(obj).map(property => property.name).join(`, `)} FROM ${obj.tableName}_revisions WHERE revisionId = ? AND id = ?`, [revisionId, saveId(obj, this.id())]);
+
+        /** If a revision with that ID doesn't exist for this record, return null */
+        if ( !result[0] )
+          return null;
+
+        /** Keep the version this object was loaded with, since the revision's is out of date */
+        const version = versionProperty(obj) ? this[versionProperty(obj).name]() : null;
+
+        /** Load revision property values into object */
+        await this.load(result[0], db);
+
+        if ( versionProperty(obj) )
+          this[versionProperty(obj).name](version, unlockReadOnly);
+
+        /** Revision values don't match the current record, so mark every stored property that update() writes as changed, which excludes the ID */
+        changeTracking(this).changed = storedProperties(obj).filter(property => property.name != `id` && !property.version && property.timestamp != `createdAt` && property.timestamp != `deletedAt`).map(property => property.name);
+
+        /** Allow for call chaining */
+        return this;
+      };
+
+      /** Create MySQL revert method on prototype */
+      module.exports.objects[obj.className].prototype.revert = async function (revisionId, db) {
+        /** Read the revision and update the record in one transaction, so no other update can come between them */
+        return await transaction(db, async (tx) => {
+          /** Load the revision, returning null if it doesn't exist for this record */
+          if ( !(await this.loadRevision(revisionId, tx)) )
+            return null;
+
+          /** Update the record to the revision, keeping the current values as a new revision so the revert can be undone */
+          return await this.update(tx, [], { inverse: false, revision: constants.editOptions.NEW_REVISION });
+        });
+      };
+    }
+
+    /** Create MySQL static find method on class */
+    module.exports.objects[obj.className].find = async function (db, query = {}, propertiesToLoad = [], options = { inverse: false }) {
+      /** If the database argument is invalid, throw TypeError */
+      if ( typeof db != `object` || db === null )
+        throw new TypeError(`${obj.className}.find(${typeof db}): Invalid signature.`);
+
+      if ( typeof query != `object` || query === null || query.constructor.name != `Object` )
+        throw new TypeError(`${obj.className}.find(): Invalid query, must be plain object.`);
+
+      if ( typeof options.inverse != `boolean` )
+        throw new Error(`${obj.className}.find(): options.inverse is not a valid boolean.`);
+
+      if ( typeof options.depth != `undefined` && options.depth !== Infinity && ( !Number.isInteger(options.depth) || options.depth < 0 ) )
+        throw new Error(`${obj.className}.find(): options.depth is not a valid non-negative integer.`);
+
+      if ( typeof options.includeDeleted != `undefined` && typeof options.includeDeleted != `boolean` )
+        throw new Error(`${obj.className}.find(): options.includeDeleted is not a valid boolean.`);
+
+      /** Begin SELECT query, always including ID so loaded objects can be identified */
+      let selectQuery = `SELECT id, `;
+
+      /** Create helper method for recursively adding property names to query */
+      const propertyNames = (obj) => {
+        /** If this object extends another, recursively add property names from the extended object */
+        if ( obj.extendsConfig )
+          propertyNames(obj.extendsConfig);
+
+        /** Loop through each property */
+        obj.properties.forEach((property) => {
+          /** Ignore ID since it's already included, also ignore properties not stored or stored in join tables */
+          if ( property.name == `id` || !property.store || property.joinTable )
+            return;
+
+          /** Don't load properties that aren't included in the list of properties to load, all properties loaded if array empty */
+          if ( propertiesToLoad.length > 0 && ( ( !options.inverse && !propertiesToLoad.includes(property.name) ) || ( options.inverse && propertiesToLoad.includes(property.name) ) ) )
+            return;
+
+          /** Append property name to query */
+          selectQuery += `${property.name}, `;
+        });
+      };
+
+      /** Add property names to query */
+      propertyNames(obj);
+
+      /** Trim extra `, ` from property list */
+      selectQuery = selectQuery.substr(0, selectQuery.length - 2);
+
+      /** Add from clause */
+      selectQuery += ` FROM ${obj.tableName}`;
+
+      /** Build where conditions from the provided property name/value pairs */
+      const where = whereClause(obj, query.where || {}, `${obj.className}.find()`);
+
+      /** If the where clause can never match, there's no need to query the database */
+      if ( !where )
+        return [];
+
+      /** Add any JSON path condition passed by whereJson() */
+      if ( query[jsonCondition] ) {
+        where.conditions.push(...query[jsonCondition].conditions);
+        where.params.push(...query[jsonCondition].params);
+      }
+
+      /** Skip soft deleted records unless they are to be included */
+      if ( softDeleteProperty(obj) && !options.includeDeleted )
+        where.conditions.push(`${softDeleteProperty(obj).name} IS NULL`);
+
+      /** Add where clause */
+      if ( where.conditions.length > 0 )
+        selectQuery += ` WHERE ${where.conditions.join(` AND `)}`;
+
+      /** Add order by clause */
+      if ( query.orderBy )
+        selectQuery += ` ORDER BY ${orderByClause(obj, query.orderBy, `${obj.className}.find()`)}`;
+
+      /** If limit is invalid, throw error */
+      if ( typeof query.limit != `undefined` && ( !Number.isInteger(query.limit) || query.limit < 0 ) )
+        throw new Error(`${obj.className}.find(): Invalid limit, must be non-negative integer.`);
+
+      /** If offset is invalid, throw error */
+      if ( typeof query.offset != `undefined` && ( !Number.isInteger(query.offset) || query.offset < 0 ) )
+        throw new Error(`${obj.className}.find(): Invalid offset, must be non-negative integer.`);
+
+      /** Add limit clause, MySQL requires a limit in order to use an offset */
+      if ( typeof query.limit != `undefined` )
+        selectQuery += ` LIMIT ${query.limit}`;
+      else if ( typeof query.offset != `undefined` )
+        selectQuery += ` LIMIT 18446744073709551615`;
+
+      /** Add offset clause */
+      if ( typeof query.offset != `undefined` )
+        selectQuery += ` OFFSET ${query.offset}`;
+
+      /** Execute query to find matching records */
+      const result = await runQuery(db, selectQuery, where.params);
+
+      /** Make sure ID is always loaded along with the requested properties */
+      let loadList = propertiesToLoad;
+
+      if ( propertiesToLoad.length > 0 && !options.inverse && !propertiesToLoad.includes(`id`) )
+        loadList = propertiesToLoad.concat([`id`]);
+      else if ( propertiesToLoad.length > 0 && options.inverse )
+        loadList = propertiesToLoad.filter(x => x != `id`);
+
+      /** Share one batch loader between all records so their references are loaded together */
+      const batch = createBatch(db, typeof options.depth == `undefined` ? Infinity : options.depth, options.includeDeleted === true);
+      const loadOptions = Object.assign({}, options, { [batchLoader]: batch });
+
+      /** Load each record into a new object */
+      const objects = [];
+
+      for ( const row of result )
+        objects.push(await (new module.exports.objects[obj.className]()).load(row, db, loadList, loadOptions));
+
+      /** Load everything referenced by the records */
+      await resolveBatch(batch);
+
+      /** Return loaded objects */
+      return objects;
+    };
+
+    /** Create MySQL static where method on class as shorthand for find with only a where clause */
+    module.exports.objects[obj.className].where = async function (db, where = {}, propertiesToLoad = [], options = { inverse: false }) {
+      return await module.exports.objects[obj.className].find(db, { where: where }, propertiesToLoad, options);
+    };
+
+    /** Create MySQL static whereJson method on class for finding records by a value inside a JSON property */
+    module.exports.objects[obj.className].whereJson = async function (db, path, value, propertiesToLoad = [], options = { inverse: false }) {
+      /** If the database argument is invalid, throw TypeError */
+      if ( typeof db != `object` || db === null )
+        throw new TypeError(`${obj.className}.whereJson(${typeof db}): Invalid signature.`);
+
+      const condition = jsonPathClause(obj, path, value, `${obj.className}.whereJson()`);
+
+      return await module.exports.objects[obj.className].find(db, { [jsonCondition]: condition }, propertiesToLoad, options);
+    };
+
+    /** Create MySQL static insertMany method on class */
+    module.exports.objects[obj.className].insertMany = async function (db, objects, options = {}) {
+      /** If the arguments are invalid, throw TypeError */
+      if ( typeof db != `object` || db === null || typeof objects != `object` || objects === null || objects.constructor.name != `Array` )
+        throw new TypeError(`${obj.className}.insertMany(${typeof db}, ${typeof objects}): Invalid signature.`);
+
+      if ( objects.some(x => !x || x.constructor != module.exports.objects[obj.className]) )
+        throw new Error(`${obj.className}.insertMany(): Every object must be a ${obj.className}.`);
+
+      const chunks = bulkChunks(objects, options, `${obj.className}.insertMany()`);
+      const properties = storedProperties(obj).filter(property => property.name != `id` || property.primaryKey);
+
+      await transaction(db, async (tx) => {
+        /** IDs generated by a multiple row insert are consecutive, separated by the auto_increment_increment setting */
+        const increment = uuidKeyProperty(obj) ? 1 : Number((await runQuery(tx, `SELECT @@auto_increment_increment AS increment`))[0].increment);
+
+        for ( const chunk of chunks ) {
+          /** Run hooks and set timestamps and version of each object, just like insert */
+          for ( const object of chunk ) {
+            await runHooks(obj, `beforeInsert`, object, tx);
+            await checkValid(obj, object, `${obj.className}.insertMany()`);
+
+            setTimestamps(obj, object, [`createdAt`, `updatedAt`]);
+
+            if ( versionProperty(obj) )
+              object[versionProperty(obj).name](1, unlockReadOnly);
+
+            generateId(obj, object);
+          }
+
+          /** Insert all records of the chunk at once */
+          const rows = chunk.map(object => properties.map(property => property.saveTransform(object[property.name](), property)));
+          const result = await runQuery(tx, `INSERT INTO ${obj.tableName} (${properties.map(property => property.name).join(`, `)}) VALUES ?`, [rows]);
+
+          /** Generated IDs start with the insert ID */
+          const firstId = getAdapter(tx).insertId(result);
+
+          for ( let i = 0; i < chunk.length; i++ ) {
+            if ( !uuidKeyProperty(obj) )
+              chunk[i].id(firstId + i * increment);
+
+            /** Save any properties stored in join tables */
+            for ( const property of joinTableProperties(obj) )
+              await saveJoinTable(obj, property, chunk[i], tx);
+
+            /** Object now matches the database record */
+            markClean(chunk[i], obj);
+
+            await runHooks(obj, `afterInsert`, chunk[i], tx);
+          }
+        }
+      });
+
+      return objects;
+    };
+
+    /** Create MySQL static updateMany method on class */
+    module.exports.objects[obj.className].updateMany = async function (db, objects, options = {}) {
+      /** If the arguments are invalid, throw TypeError */
+      if ( typeof db != `object` || db === null || typeof objects != `object` || objects === null || objects.constructor.name != `Array` )
+        throw new TypeError(`${obj.className}.updateMany(${typeof db}, ${typeof objects}): Invalid signature.`);
+
+      if ( objects.some(x => !x || x.constructor != module.exports.objects[obj.className]) )
+        throw new Error(`${obj.className}.updateMany(): Every object must be a ${obj.className}.`);
+
+      const chunks = bulkChunks(objects, options, `${obj.className}.updateMany()`);
+      const version = versionProperty(obj);
+
+      /** Objects that have been written, and the objects with nothing changed, which are only updated once everything is committed */
+      const written = [];
+      const skipped = [];
+
+      await transaction(db, async (tx) => {
+        for ( const chunk of chunks ) {
+          /** Determine the properties to update for each object, skipping those with nothing changed, just like update */
+          const pending = [];
+
+          for ( const object of chunk ) {
+            await runHooks(obj, `beforeUpdate`, object, tx);
+
+            const names = object.changedProperties();
+            const changed = storedProperties(obj).concat(joinTableProperties(obj)).filter(property => property.name != `id` && !property.timestamp && !property.version && names.includes(property.name));
+
+            if ( changed.length == 0 ) {
+              skipped.push(object);
+              continue;
+            }
+
+            await checkValid(obj, object, `${obj.className}.updateMany()`);
+
+            /** Modification timestamps are updated whenever anything else is */
+            setTimestamps(obj, object, [`updatedAt`]);
+
+            pending.push({ 
+              object: object, 
+              columns: changed.filter(property => !property.joinTable).concat(storedProperties(obj).filter(property => property.timestamp == `updatedAt`)), 
+              joins: changed.filter(property => property.joinTable) 
+            });
+          }
+
+          /** Update each column with a CASE choosing the value of each record that has changed it */
+          const params = [];
+          const updates = [];
+
+          storedProperties(obj).filter(property => pending.some(x => x.columns.includes(property))).forEach((property) => {
+            const whens = pending.filter(x => x.columns.includes(property));
+
+            whens.forEach(x => params.push(saveId(obj, x.object.id()), property.saveTransform(x.object[property.name](), property)));
+            updates.push(`${property.name} = CASE id ${whens.map(() => `WHEN ? THEN ?`).join(` `)} ELSE ${property.name} END`);
+          });
+
+          /** Increment the version column, even if only properties stored in join tables changed */
+          if ( version && pending.length > 0 )
+            updates.push(`${version.name} = ${version.name} + 1`);
+
+          if ( updates.length > 0 ) {
+            let query = `UPDATE ${obj.tableName} SET ${updates.join(`, `)} WHERE `;
+
+            /** If using optimistic locking, only update records that still have the version their object was loaded with */
+            if ( version ) {
+              query += pending.map(() => `( id = ? AND ${version.name} = ? )`).join(` OR `);
+              pending.forEach(x => params.push(saveId(obj, x.object.id()), x.object[version.name]()));
+            } else {
+              query += `id IN (?)`;
+              params.push(pending.map(x => saveId(obj, x.object.id())));
+            }
+
+            const result = await runQuery(tx, query, params);
+
+            /** If any record doesn't have its object's version, someone else has updated or deleted it since it was loaded */
+            if ( version && getAdapter(tx).affectedRows(result) < pending.length )
+              throw new OptimisticLockError(`${obj.className}.updateMany(): ${pending.length - getAdapter(tx).affectedRows(result)} of ${pending.length} records have been updated or deleted since they were loaded.`);
+          }
+
+          /** Save any properties stored in join tables */
+          for ( const x of pending ) {
+            for ( const property of x.joins )
+              await saveJoinTable(obj, property, x.object, tx);
+
+            written.push(x);
+          }
+        }
+      });
+
+      /** Every record has been committed, so a later chunk failing can't leave objects with versions they were never saved with */
+      for ( const x of written ) {
+        const updated = x.columns.map(property => property.name).concat(x.joins.map(property => property.name));
+
+        if ( version ) {
+          x.object[version.name](x.object[version.name]() + 1, unlockReadOnly);
+          updated.push(version.name);
+        }
+
+        /** Updated properties now match the database record */
+        markClean(x.object, obj, updated);
+
+        await runHooks(obj, `afterUpdate`, x.object, db);
+      }
+
+      /** Objects with nothing changed still get the hook paired with the one they were given before */
+      for ( const object of skipped )
+        await runHooks(obj, `afterUpdate`, object, db);
+
+      return objects;
+    };
+
+    /** Create MySQL static deleteMany method on class */
+    module.exports.objects[obj.className].deleteMany = async function (db, idsOrObjects, options = {}) {
+      /** If the arguments are invalid, throw TypeError */
+      if ( typeof db != `object` || db === null || typeof idsOrObjects != `object` || idsOrObjects === null || idsOrObjects.constructor.name != `Array` )
+        throw new TypeError(`${obj.className}.deleteMany(${typeof db}, ${typeof idsOrObjects}): Invalid signature.`);
+
+      /** IDs are integers, or UUIDs if the class uses them */
+      const uuids = findProperty(obj, `id`) && findProperty(obj, `id`).ezobjectType.type == `uuid`;
+
+      if ( idsOrObjects.some(x => ( uuids ? typeof x != `string` || !uuidPattern.test(x) : !Number.isInteger(x) ) && ( !x || x.constructor != module.exports.objects[obj.className] )) )
+        throw new Error(`${obj.className}.deleteMany(): Every element must be ${uuids ? `a UUID` : `an integer ID`} or a ${obj.className}.`);
+
+      const chunks = bulkChunks(idsOrObjects, options, `${obj.className}.deleteMany()`);
+      const deletedAt = softDeleteProperty(obj);
+      let count = 0;
+
+      await transaction(db, async (tx) => {
+        for ( const chunk of chunks ) {
+          /** Hooks can only be run for objects, not IDs */
+          const objects = chunk.filter(x => typeof x == `object`);
+          const ids = chunk.map(x => saveId(obj, typeof x == `object` ? x.id() : x));
+
+          for ( const object of objects )
+            await runHooks(obj, `beforeDelete`, object, tx);
+
+          /** If soft deleting, only record the deletion time so the records are kept, otherwise delete them permanently */
+          if ( deletedAt ) {
+            const now = new Date();
+
+            /** DATETIME columns store whole seconds, so drop milliseconds to keep the objects matching the records */
+            now.setMilliseconds(0);
+
+            /** Records that are already deleted keep their original deletion time */
+            const live = (await runQuery(tx, `SELECT id FROM ${obj.tableName} WHERE id IN (?) AND ${deletedAt.name} IS NULL`, [ids])).map(row => loadId(obj, row.id));
+
+            if ( live.length > 0 ) {
+              const result = await runQuery(tx, `UPDATE ${obj.tableName} SET ${deletedAt.name} = ? WHERE id IN (?) AND ${deletedAt.name} IS NULL`, [deletedAt.saveTransform(now, deletedAt), live.map(id => saveId(obj, id))]);
+
+              count += getAdapter(tx).affectedRows(result);
+            }
+
+            objects.filter(object => live.includes(object.id())).forEach((object) => {
+              object[deletedAt.name](new Date(now.getTime()), unlockReadOnly);
+              markClean(object, obj, [deletedAt.name]);
+            });
+          } else {
+            const result = await runQuery(tx, `DELETE FROM ${obj.tableName} WHERE id IN (?)`, [ids]);
+
+            count += getAdapter(tx).affectedRows(result);
+
+            /** Delete any rows in join tables belonging to the records */
+            for ( const property of joinTableProperties(obj) )
+              await runQuery(tx, `DELETE FROM ${obj.tableName}_${property.name} WHERE parentId IN (?)`, [ids]);
+          }
+
+          for ( const object of objects )
+            await runHooks(obj, `afterDelete`, object, tx);
+        }
+      });
+
+      /** Return the number of records deleted */
+      return count;
+    };
   }
-  
+
   /** 
    * Because we`re creating this object dynamically, we need to manually give it a name 
    * attribute so we can identify it by its type when we want to.
@@ -1497,12 +4888,24 @@ const createClass = (obj) => {
 };
 
 /** Export setTransform and setArrayTransform for end-user */
+module.exports.adapters = { memory: memoryAdapter, mysqlAwaitConnection: mysqlAwaitConnectionAdapter, mysqlAwaitPool: mysqlAwaitPoolAdapter, mysql2: mysql2Adapter };
 module.exports.constants = constants;
 module.exports.createClass = createClass;
 module.exports.createTable = createTable;
+module.exports.getAdapter = getAdapter;
 module.exports.instanceOf = instanceOf;
+module.exports.introspectTable = introspectTable;
+module.exports.MemoryDatabase = MemoryDatabase;
+module.exports.migrateTable = migrateTable;
+module.exports.OptimisticLockError = OptimisticLockError;
+module.exports.registerAdapter = registerAdapter;
+module.exports.registerType = registerType;
+module.exports.setDefaults = setDefaults;
 module.exports.setTransform = setTransform;
 module.exports.setArrayTransform = setArrayTransform;
+module.exports.toJSONSchema = toJSONSchema;
+module.exports.transaction = transaction;
 module.exports.validateClassConfig = validateClassConfig;
 module.exports.validatePropertyConfig = validatePropertyConfig;
 module.exports.validateTableConfig = validateTableConfig;
+module.exports.ValidationError = ValidationError;
@@ -0,0 +1,2359 @@
+/**
+ * @module memory-database
+ * @copyright 2018 Rich Lowe
+ * @license MIT
+ * @description In-memory database that understands the MySQL queries generated by EZ Objects, so classes
+ * can be tested without a MySQL server.  Supports CREATE/ALTER/DROP TABLE, INSERT (including multi-row and
+ * INSERT ... SELECT), SELECT, UPDATE, DELETE, transactions and savepoints, unique keys, foreign keys, and the
+ * INFORMATION_SCHEMA tables used by migrateTable().
+ */
+
+/** MySQL type aliases, converted when columns are defined */
+const typeAliases = {
+  bool: `tinyint`,
+  boolean: `tinyint`,
+  dec: `decimal`,
+  fixed: `decimal`,
+  integer: `int`,
+  numeric: `decimal`,
+  real: `double`
+};
+
+/** Number of bits in each integer type, used to check ranges */
+const integerBits = { tinyint: 8, smallint: 16, mediumint: 24, int: 32, bigint: 64 };
+
+/** Columns of the supported INFORMATION_SCHEMA tables */
+const informationSchemaColumns = {
+  TABLES: [`TABLE_SCHEMA`, `TABLE_NAME`, `TABLE_TYPE`, `ENGINE`, `AUTO_INCREMENT`],
+  COLUMNS: [`TABLE_SCHEMA`, `TABLE_NAME`, `COLUMN_NAME`, `ORDINAL_POSITION`, `COLUMN_DEFAULT`, `IS_NULLABLE`, `DATA_TYPE`, `CHARACTER_MAXIMUM_LENGTH`, `NUMERIC_PRECISION`, `NUMERIC_SCALE`, `CHARACTER_SET_NAME`, `COLLATION_NAME`, `COLUMN_TYPE`, `COLUMN_KEY`, `EXTRA`, `COLUMN_COMMENT`],
+  STATISTICS: [`TABLE_SCHEMA`, `TABLE_NAME`, `NON_UNIQUE`, `INDEX_SCHEMA`, `INDEX_NAME`, `SEQ_IN_INDEX`, `COLUMN_NAME`, `INDEX_TYPE`],
+  KEY_COLUMN_USAGE: [`CONSTRAINT_SCHEMA`, `CONSTRAINT_NAME`, `TABLE_SCHEMA`, `TABLE_NAME`, `COLUMN_NAME`, `ORDINAL_POSITION`, `REFERENCED_TABLE_SCHEMA`, `REFERENCED_TABLE_NAME`, `REFERENCED_COLUMN_NAME`],
+  REFERENTIAL_CONSTRAINTS: [`CONSTRAINT_SCHEMA`, `CONSTRAINT_NAME`, `UNIQUE_CONSTRAINT_SCHEMA`, `TABLE_NAME`, `REFERENCED_TABLE_NAME`, `UPDATE_RULE`, `DELETE_RULE`]
+};
+
+/** Groups of MySQL types that are stored and returned the same way */
+const floatTypes = [`float`, `double`];
+const decimalTypes = [`decimal`];
+const dateTypes = [`date`, `datetime`, `timestamp`];
+const stringTypes = [`char`, `varchar`, `tinytext`, `text`, `mediumtext`, `longtext`, `enum`, `set`, `time`];
+const binaryTypes = [`binary`, `varbinary`, `tinyblob`, `blob`, `mediumblob`, `longblob`];
+
+/**
+ * @signature mysqlError(code, errno, message)
+ * @param code string MySQL error code
+ * @param errno number MySQL error number
+ * @param message string MySQL error message
+ * @return Error
+ * @description Create an error that looks like one reported by the `mysql` module.
+ */
+const mysqlError = (code, errno, message) => {
+  const err = new Error(`${code}: ${message}`);
+
+  err.code = code;
+  err.errno = errno;
+  err.sqlMessage = message;
+  err.fatal = false;
+
+  return err;
+};
+
+/**
+ * @signature parseError(near)
+ * @param near string Remaining query text
+ * @return Error
+ */
+const parseError = (near) => {
+  return mysqlError(`ER_PARSE_ERROR`, 1064, `You have an error in your SQL syntax near '${near}'`);
+};
+
+/**
+ * @signature pad(number[, length])
+ * @param number number
+ * @param length number Minimum number of digits, defaults to 2
+ * @return string
+ */
+const pad = (number, length = 2) => {
+  return number.toString().padStart(length, `0`);
+};
+
+/**
+ * @signature formatDate(date)
+ * @param date Date
+ * @return string Date formatted as a MySQL datetime in local time
+ */
+const formatDate = (date) => {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+};
+
+/**
+ * @signature parseDate(value)
+ * @param value string MySQL date or datetime, or any string Date can parse
+ * @return Date|null Date in local time, or null if it can't be parsed
+ */
+const parseDate = (value) => {
+  const match = value.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{1,2})(?::(\d{1,2})(?:\.(\d{1,6}))?)?)?$/);
+
+  /** If it's not in MySQL format, let Date try to parse it */
+  if ( !match ) {
+    const date = new Date(value);
+
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  const milliseconds = match[7] ? parseInt(match[7].padEnd(3, `0`).substr(0, 3)) : 0;
+
+  return new Date(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]), parseInt(match[4] || 0), parseInt(match[5] || 0), parseInt(match[6] || 0), milliseconds);
+};
+
+/**
+ * @signature toNumber(value)
+ * @param value mixed
+ * @return number Value converted the way MySQL converts values in numeric context
+ */
+const toNumber = (value) => {
+  if ( typeof value == `number` )
+    return value;
+  else if ( typeof value == `boolean` )
+    return value ? 1 : 0;
+  else if ( value instanceof Date )
+    return value.getTime();
+  else if ( Buffer.isBuffer(value) )
+    value = value.toString();
+
+  const number = parseFloat(value);
+
+  return isNaN(number) ? 0 : number;
+};
+
+/**
+ * @signature compare(a, b)
+ * @param a mixed
+ * @param b mixed
+ * @return number|null Negative, zero, or positive like a sort comparator, or null if either value is null
+ * @description Compare two values the way MySQL does, with strings compared case-insensitively.
+ */
+const compare = (a, b) => {
+  if ( a === null || b === null || typeof a == `undefined` || typeof b == `undefined` )
+    return null;
+
+  /** Compare dates by time, parsing strings compared to dates */
+  if ( a instanceof Date || b instanceof Date ) {
+    const timeA = a instanceof Date ? a.getTime() : ( typeof a == `string` && parseDate(a) ? parseDate(a).getTime() : toNumber(a) );
+    const timeB = b instanceof Date ? b.getTime() : ( typeof b == `string` && parseDate(b) ? parseDate(b).getTime() : toNumber(b) );
+
+    return timeA - timeB;
+  }
+
+  /** Compare buffers byte by byte */
+  if ( Buffer.isBuffer(a) || Buffer.isBuffer(b) )
+    return Buffer.compare(Buffer.isBuffer(a) ? a : Buffer.from(a.toString()), Buffer.isBuffer(b) ? b : Buffer.from(b.toString()));
+
+  /** If either value is a number, compare numerically */
+  if ( typeof a != `string` || typeof b != `string` )
+    return toNumber(a) - toNumber(b);
+
+  /** Compare strings case-insensitively, like MySQL's default collations */
+  const lowerA = a.toLowerCase();
+  const lowerB = b.toLowerCase();
+
+  return lowerA < lowerB ? -1 : ( lowerA > lowerB ? 1 : 0 );
+};
+
+/**
+ * @signature sameValue(a, b)
+ * @param a mixed
+ * @param b mixed
+ * @return boolean Whether two stored values are identical
+ */
+const sameValue = (a, b) => {
+  if ( a instanceof Date && b instanceof Date )
+    return a.getTime() == b.getTime();
+  else if ( Buffer.isBuffer(a) && Buffer.isBuffer(b) )
+    return a.equals(b);
+
+  return a === b;
+};
+
+/**
+ * @signature truth(value)
+ * @param value mixed
+ * @return boolean|null Value as a MySQL boolean, or null if it's null
+ */
+const truth = (value) => {
+  if ( value === null || typeof value == `undefined` )
+    return null;
+
+  return toNumber(value) != 0;
+};
+
+/**
+ * @signature likeRegex(pattern)
+ * @param pattern string MySQL LIKE pattern
+ * @return RegExp Case-insensitive regular expression matching the pattern
+ */
+const likeRegex = (pattern) => {
+  let regex = ``;
+
+  for ( let i = 0; i < pattern.length; i++ ) {
+    if ( pattern[i] == `\\` && i + 1 < pattern.length )
+      regex += pattern[++i].replace(/[.*+?^${}()|[\]\\/]/g, `\\$&`);
+    else if ( pattern[i] == `%` )
+      regex += `.*`;
+    else if ( pattern[i] == `_` )
+      regex += `.`;
+    else
+      regex += pattern[i].replace(/[.*+?^${}()|[\]\\/]/g, `\\$&`);
+  }
+
+  return new RegExp(`^${regex}$`, `is`);
+};
+
+/**
+ * @signature parseJson(value, name, position)
+ * @param value mixed JSON text
+ * @param name string Name of the function the value was passed to, for error messages
+ * @param position number Position of the argument the value was passed as, for error messages
+ * @return mixed Parsed JSON value
+ */
+const parseJson = (value, name, position) => {
+  try {
+    return JSON.parse(Buffer.isBuffer(value) ? value.toString() : `${value}`);
+  } catch ( err ) {
+    throw mysqlError(`ER_INVALID_JSON_TEXT_IN_PARAM`, 3141, `Invalid JSON text in argument ${position} to function ${name.toLowerCase()}: "${err.message}".`);
+  }
+};
+
+/**
+ * @signature jsonPath(path)
+ * @param path string MySQL JSON path, i.e. `$.key[0]."other key"`
+ * @return Array Object keys and array indexes of each path leg
+ */
+const jsonPath = (path) => {
+  const legs = [];
+  const error = position => mysqlError(`ER_INVALID_JSON_PATH`, 3143, `Invalid JSON path expression. The error is around character position ${position}.`);
+
+  if ( typeof path != `string` || path[0] != `$` )
+    throw error(0);
+
+  const regex = /\.([A-Za-z_$][A-Za-z0-9_$]*)|\."((?:[^"\\]|\\.)*)"|\[\s*([0-9]+)\s*\]/y;
+
+  regex.lastIndex = 1;
+
+  while ( regex.lastIndex < path.length ) {
+    const position = regex.lastIndex;
+    const match = regex.exec(path);
+
+    if ( !match )
+      throw error(position);
+    else if ( typeof match[1] == `string` )
+      legs.push(match[1]);
+    else if ( typeof match[2] == `string` )
+      legs.push(JSON.parse(`"${match[2]}"`));
+    else
+      legs.push(parseInt(match[3]));
+  }
+
+  return legs;
+};
+
+/**
+ * @signature jsonExtract(document, legs)
+ * @param document mixed Parsed JSON value
+ * @param legs Array Object keys and array indexes, see jsonPath()
+ * @return mixed Value at the path, or undefined if there isn't one
+ */
+const jsonExtract = (document, legs) => {
+  return legs.reduce((value, leg) => {
+    if ( typeof leg == `number` && Array.isArray(value) )
+      return value[leg];
+    else if ( typeof leg == `string` && value !== null && typeof value == `object` && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, leg) )
+      return value[leg];
+
+    return undefined;
+  }, document);
+};
+
+/**
+ * @signature jsonContains(target, candidate)
+ * @param target mixed Parsed JSON value
+ * @param candidate mixed Parsed JSON value
+ * @return boolean Whether `candidate` is contained in `target`, following the rules of JSON_CONTAINS()
+ */
+const jsonContains = (target, candidate) => {
+  /** Arrays contain the elements of a candidate array, or a candidate contained in any of their elements */
+  if ( Array.isArray(target) && Array.isArray(candidate) )
+    return candidate.every(x => target.some(y => jsonContains(y, x)));
+  else if ( Array.isArray(target) )
+    return target.some(x => jsonContains(x, candidate));
+
+  /** Objects contain candidate objects whose keys they all have, with values they contain */
+  if ( target !== null && typeof target == `object` )
+    return candidate !== null && typeof candidate == `object` && !Array.isArray(candidate) && Object.keys(candidate).every(key => Object.prototype.hasOwnProperty.call(target, key) && jsonContains(target[key], candidate[key]));
+
+  return target === candidate;
+};
+
+/**
+ * @signature tokenize(query)
+ * @param query string MySQL query
+ * @return Array Tokens
+ * @description Split a query into words, quoted identifiers, strings, numbers, parameters, and symbols.
+ */
+const tokenize = (query) => {
+  const tokens = [];
+  const escapes = { 0: `\0`, b: `\b`, n: `\n`, r: `\r`, t: `\t`, Z: `\x1a` };
+  let i = 0;
+
+  while ( i < query.length ) {
+    const char = query[i];
+    const start = i;
+
+    /** Skip whitespace */
+    if ( /\s/.test(char) ) {
+      i++;
+    }
+
+    /** Strings and quoted identifiers, where a doubled quote is a literal quote */
+    else if ( char == `'` || char == `"` || char == `\`` ) {
+      let value = ``;
+      let closed = false;
+
+      i++;
+
+      while ( !closed ) {
+        if ( i >= query.length )
+          throw parseError(query.substr(start));
+        else if ( query[i] == `\\` && char != `\`` )
+          value += escapes[query[i + 1]] || query[i + 1], i += 2;
+        else if ( query[i] == char && query[i + 1] == char )
+          value += char, i += 2;
+        else if ( query[i] == char )
+          closed = true, i++;
+        else
+          value += query[i++];
+      }
+
+      tokens.push({ type: char == `\`` ? `identifier` : `string`, value: value, position: start });
+    }
+
+    /** Numbers */
+    else if ( /[0-9]/.test(char) ) {
+      const number = query.substr(i).match(/^[0-9]+(\.[0-9]+)?([eE][-+]?[0-9]+)?/)[0];
+
+      tokens.push({ type: `number`, value: parseFloat(number), text: number, position: start });
+      i += number.length;
+    }
+
+    /** Keywords, identifiers, and function names */
+    else if ( /[A-Za-z_$]/.test(char) ) {
+      const word = query.substr(i).match(/^[A-Za-z0-9_$]+/)[0];
+
+      tokens.push({ type: `word`, value: word, position: start });
+      i += word.length;
+    }
+
+    /** System variables */
+    else if ( query.substr(i).match(/^@@[A-Za-z_]/) ) {
+      const name = query.substr(i + 2).match(/^[A-Za-z0-9_]+/)[0];
+
+      tokens.push({ type: `variable`, value: name, position: start });
+      i += name.length + 2;
+    }
+
+    /** Parameter placeholders */
+    else if ( char == `?` ) {
+      tokens.push({ type: `param`, position: start });
+      i++;
+    }
+
+    /** Two character operators */
+    else if ( [`<=`, `>=`, `<>`, `!=`].includes(query.substr(i, 2)) ) {
+      tokens.push({ type: `symbol`, value: query.substr(i, 2), position: start });
+      i += 2;
+    }
+
+    /** Single character symbols */
+    else if ( `=<>(),*+-/.;`.includes(char) ) {
+      tokens.push({ type: `symbol`, value: char, position: start });
+      i++;
+    }
+
+    /** Otherwise throw error */
+    else {
+      throw parseError(query.substr(i));
+    }
+  }
+
+  return tokens;
+};
+
+/**
+ * @signature new Parser(query, params)
+ * @param query string MySQL query
+ * @param params Array Query parameters, which replace each `?` in order
+ * @description Recursive descent parser for the statements supported by MemoryDatabase.
+ */
+class Parser {
+  constructor(query, params) {
+    this.query = query;
+    this.tokens = tokenize(query);
+    this.params = params;
+    this.position = 0;
+    this.paramIndex = 0;
+  }
+
+  /** Get the token at the current position plus `offset`, or null if there isn't one */
+  peek(offset = 0) {
+    return this.tokens[this.position + offset] || null;
+  }
+
+  /** Throw a parse error at the current position */
+  error() {
+    const token = this.peek();
+
+    throw parseError(token ? this.query.substr(token.position) : ``);
+  }
+
+  /** Whether the current token is one of the given keywords */
+  isWord(...words) {
+    const token = this.peek();
+
+    return token !== null && token.type == `word` && words.includes(token.value.toUpperCase());
+  }
+
+  /** Whether the current token is one of the given symbols */
+  isSymbol(...symbols) {
+    const token = this.peek();
+
+    return token !== null && token.type == `symbol` && symbols.includes(token.value);
+  }
+
+  /** Advance past the current token if it's one of the given keywords */
+  acceptWord(...words) {
+    if ( !this.isWord(...words) )
+      return false;
+
+    this.position++;
+
+    return true;
+  }
+
+  /** Advance past the current token if it's one of the given symbols */
+  acceptSymbol(...symbols) {
+    if ( !this.isSymbol(...symbols) )
+      return false;
+
+    this.position++;
+
+    return true;
+  }
+
+  /** Advance past the given keywords in order, or throw error */
+  expectWord(...words) {
+    words.forEach((word) => {
+      if ( !this.acceptWord(word) )
+        this.error();
+    });
+  }
+
+  /** Advance past the given symbol, or throw error */
+  expectSymbol(symbol) {
+    if ( !this.acceptSymbol(symbol) )
+      this.error();
+  }
+
+  /** Whether all tokens have been parsed, ignoring a trailing semicolon */
+  atEnd() {
+    this.acceptSymbol(`;`);
+
+    return this.position >= this.tokens.length;
+  }
+
+  /** Parse an identifier, quoted or not */
+  identifier() {
+    const token = this.peek();
+
+    if ( token === null || ( token.type != `word` && token.type != `identifier` ) )
+      this.error();
+
+    this.position++;
+
+    return token.value;
+  }
+
+  /** Parse a table name, which may be qualified by a schema */
+  tableName() {
+    const name = this.identifier();
+
+    if ( this.acceptSymbol(`.`) )
+      return { schema: name, name: this.identifier() };
+
+    return { schema: null, name: name };
+  }
+
+  /** Parse a comma separated list using `parse` for each item */
+  list(parse) {
+    const items = [parse()];
+
+    while ( this.acceptSymbol(`,`) )
+      items.push(parse());
+
+    return items;
+  }
+
+  /** Parse a parenthesized, comma separated list of column names, ignoring index lengths and directions */
+  columnList() {
+    this.expectSymbol(`(`);
+
+    const columns = this.list(() => {
+      const name = this.identifier();
+
+      if ( this.acceptSymbol(`(`) ) {
+        this.literal();
+        this.expectSymbol(`)`);
+      }
+
+      this.acceptWord(`ASC`, `DESC`);
+
+      return name;
+    });
+
+    this.expectSymbol(`)`);
+
+    return columns;
+  }
+
+  /** Take the next parameter value */
+  param() {
+    if ( this.paramIndex >= this.params.length )
+      this.error();
+
+    this.position++;
+
+    return this.params[this.paramIndex++];
+  }
+
+  /** Parse a string, number, or NULL literal */
+  literal() {
+    const token = this.peek();
+    let sign = 1;
+
+    if ( this.acceptWord(`NULL`) )
+      return null;
+    else if ( this.acceptSymbol(`-`) )
+      sign = -1;
+
+    const value = this.peek();
+
+    if ( value === null || ( value.type != `string` && value.type != `number` ) || ( sign == -1 && value.type != `number` ) )
+      this.error();
+
+    this.position++;
+
+    return value.type == `number` ? sign * value.value : value.value;
+  }
+
+  /** Skip tokens until the end of the current definition, i.e. the next comma or closing parenthesis at this depth */
+  skipDefinition() {
+    let depth = 0;
+
+    while ( this.peek() !== null && !( depth == 0 && this.isSymbol(`,`, `)`) ) ) {
+      if ( this.isSymbol(`(`) )
+        depth++;
+      else if ( this.isSymbol(`)`) )
+        depth--;
+
+      this.position++;
+    }
+  }
+
+  /** Parse a foreign key action */
+  foreignKeyAction() {
+    if ( this.acceptWord(`RESTRICT`) )
+      return `RESTRICT`;
+    else if ( this.acceptWord(`CASCADE`) )
+      return `CASCADE`;
+    else if ( this.acceptWord(`SET`) )
+      return this.acceptWord(`NULL`) ? `SET NULL` : ( this.expectWord(`DEFAULT`), `SET DEFAULT` );
+
+    this.expectWord(`NO`, `ACTION`);
+
+    return `NO ACTION`;
+  }
+
+  /** Parse a column definition */
+  columnDefinition() {
+    const column = { name: this.identifier(), type: null, args: null, unsigned: false, zerofill: false, characterSet: null, collate: null, nullable: true, autoIncrement: false, comment: ``, unique: false, primary: false };
+    const type = this.identifier().toLowerCase();
+
+    column.type = typeAliases[type] || type;
+
+    /** Length, decimals, or value list */
+    if ( this.acceptSymbol(`(`) ) {
+      column.args = this.list(() => this.literal());
+      this.expectSymbol(`)`);
+    }
+
+    /** Column attributes */
+    while ( this.peek() !== null && !this.isSymbol(`,`, `)`, `;`) && !this.isWord(`FIRST`, `AFTER`) ) {
+      if ( this.acceptWord(`UNSIGNED`) )
+        column.unsigned = true;
+      else if ( this.acceptWord(`SIGNED`) )
+        column.unsigned = false;
+      else if ( this.acceptWord(`ZEROFILL`) )
+        column.zerofill = column.unsigned = true;
+      else if ( this.acceptWord(`CHARACTER`) )
+        this.expectWord(`SET`), column.characterSet = this.identifier();
+      else if ( this.acceptWord(`CHARSET`) )
+        column.characterSet = this.identifier();
+      else if ( this.acceptWord(`COLLATE`) )
+        column.collate = this.identifier();
+      else if ( this.acceptWord(`NOT`) )
+        this.expectWord(`NULL`), column.nullable = false;
+      else if ( this.acceptWord(`NULL`) )
+        column.nullable = true;
+      else if ( this.acceptWord(`AUTO_INCREMENT`) )
+        column.autoIncrement = true;
+      else if ( this.acceptWord(`UNIQUE`) )
+        this.acceptWord(`KEY`), column.unique = true;
+      else if ( this.acceptWord(`PRIMARY`) )
+        this.expectWord(`KEY`), column.primary = true, column.nullable = false;
+      else if ( this.acceptWord(`KEY`) )
+        column.primary = true, column.nullable = false;
+      else if ( this.acceptWord(`COMMENT`) )
+        column.comment = this.literal();
+      else if ( this.acceptWord(`DEFAULT`) )
+        column.default = this.defaultValue();
+      else if ( this.acceptWord(`ON`) )
+        this.expectWord(`UPDATE`), column.onUpdate = this.defaultValue();
+      else if ( !this.acceptWord(`VISIBLE`, `INVISIBLE`) )
+        this.error();
+    }
+
+    return column;
+  }
+
+  /** Parse a column default, which is either a literal or the current time */
+  defaultValue() {
+    if ( this.acceptWord(`CURRENT_TIMESTAMP`, `NOW`) ) {
+      if ( this.acceptSymbol(`(`) ) {
+        if ( !this.isSymbol(`)`) )
+          this.literal();
+
+        this.expectSymbol(`)`);
+      }
+
+      return { currentTimestamp: true };
+    }
+
+    return this.literal();
+  }
+
+  /** Parse an index, key, or foreign key definition, or return null if the next definition is a column */
+  keyDefinition() {
+    if ( this.isWord(`INDEX`, `KEY`, `FULLTEXT`, `SPATIAL`) ) {
+      /** FULLTEXT and SPATIAL indexes are their own index types, others default to BTREE */
+      let indexType = this.isWord(`FULLTEXT`, `SPATIAL`) ? this.peek().value.toUpperCase() : `BTREE`;
+
+      this.position++;
+      this.acceptWord(`INDEX`, `KEY`);
+
+      const name = this.isSymbol(`(`) || this.isWord(`USING`) ? null : this.identifier();
+
+      if ( this.acceptWord(`USING`) )
+        indexType = this.identifier().toUpperCase();
+
+      const index = { type: `index`, name: name, columns: this.columnList(), unique: false, indexType: indexType };
+
+      this.skipDefinition();
+
+      return index;
+    } else if ( this.acceptWord(`UNIQUE`) ) {
+      this.acceptWord(`INDEX`, `KEY`);
+
+      const name = this.isSymbol(`(`) || this.isWord(`USING`) ? null : this.identifier();
+      let indexType = `BTREE`;
+
+      if ( this.acceptWord(`USING`) )
+        indexType = this.identifier().toUpperCase();
+
+      const index = { type: `index`, name: name, columns: this.columnList(), unique: true, indexType: indexType };
+
+      this.skipDefinition();
+
+      return index;
+    } else if ( this.acceptWord(`PRIMARY`) ) {
+      this.expectWord(`KEY`);
+
+      if ( this.acceptWord(`USING`) )
+        this.identifier();
+
+      const index = { type: `index`, name: `PRIMARY`, columns: this.columnList(), unique: true, primary: true };
+
+      this.skipDefinition();
+
+      return index;
+    } else if ( this.isWord(`CONSTRAINT`, `FOREIGN`) ) {
+      let name = null;
+
+      if ( this.acceptWord(`CONSTRAINT`) && !this.isWord(`FOREIGN`) )
+        name = this.identifier();
+
+      this.expectWord(`FOREIGN`, `KEY`);
+
+      if ( !this.isSymbol(`(`) )
+        name = name || this.identifier();
+
+      const columns = this.columnList();
+
+      this.expectWord(`REFERENCES`);
+
+      const foreignKey = { type: `foreignKey`, name: name, columns: columns, referencedTable: this.tableName().name, referencedColumns: this.columnList(), onDelete: `RESTRICT`, onUpdate: `RESTRICT` };
+
+      while ( this.acceptWord(`ON`) ) {
+        if ( this.acceptWord(`DELETE`) )
+          foreignKey.onDelete = this.foreignKeyAction();
+        else
+          this.expectWord(`UPDATE`), foreignKey.onUpdate = this.foreignKeyAction();
+      }
+
+      return foreignKey;
+    }
+
+    return null;
+  }
+
+  /** Parse a complete statement */
+  statement() {
+    let statement;
+
+    if ( this.acceptWord(`SELECT`) )
+      statement = this.select();
+    else if ( this.acceptWord(`INSERT`) )
+      statement = this.insert();
+    else if ( this.acceptWord(`UPDATE`) )
+      statement = this.update();
+    else if ( this.acceptWord(`DELETE`) )
+      statement = this.delete();
+    else if ( this.acceptWord(`CREATE`) )
+      statement = this.create();
+    else if ( this.acceptWord(`ALTER`) )
+      statement = this.alter();
+    else if ( this.acceptWord(`DROP`) )
+      statement = this.drop();
+    else if ( this.acceptWord(`START`) )
+      this.expectWord(`TRANSACTION`), statement = { type: `begin` };
+    else if ( this.acceptWord(`BEGIN`) )
+      statement = { type: `begin` };
+    else if ( this.acceptWord(`COMMIT`) )
+      statement = { type: `commit` };
+    else if ( this.acceptWord(`ROLLBACK`) )
+      statement = this.acceptWord(`TO`) ? ( this.acceptWord(`SAVEPOINT`), { type: `rollbackTo`, name: this.identifier() } ) : { type: `rollback` };
+    else if ( this.acceptWord(`SAVEPOINT`) )
+      statement = { type: `savepoint`, name: this.identifier() };
+    else if ( this.acceptWord(`RELEASE`) )
+      this.expectWord(`SAVEPOINT`), statement = { type: `release`, name: this.identifier() };
+    else
+      this.error();
+
+    /** If there's anything left over, throw error */
+    if ( !this.atEnd() )
+      this.error();
+
+    /** If there are unused parameters, the query would have been formatted differently, so throw error */
+    if ( this.paramIndex < this.params.length )
+      throw mysqlError(`ER_PARSE_ERROR`, 1064, `Query has ${this.params.length} parameters but only ${this.paramIndex} placeholders`);
+
+    return statement;
+  }
+
+  /** Parse a SELECT statement, after the SELECT keyword */
+  select() {
+    const statement = { type: `select`, columns: [], table: null, where: null, orderBy: [], limit: null, offset: 0 };
+
+    /** Select list */
+    statement.columns = this.list(() => {
+      if ( this.acceptSymbol(`*`) )
+        return { all: true };
+
+      const start = this.peek();
+      const expression = this.expression();
+      const end = this.peek();
+      let alias = null;
+
+      if ( this.acceptWord(`AS`) || ( this.peek() !== null && this.peek().type == `identifier` ) )
+        alias = this.identifier();
+
+      /** Unaliased columns are named after the column or the expression text */
+      if ( alias === null )
+        alias = expression.type == `column` ? expression.name : this.query.substring(start.position, end ? end.position : this.query.length).trim();
+
+      return { expression: expression, alias: alias };
+    });
+
+    /** From clause */
+    if ( this.acceptWord(`FROM`) )
+      statement.table = this.tableName();
+
+    /** Where clause */
+    if ( this.acceptWord(`WHERE`) )
+      statement.where = this.expression();
+
+    /** Order by clause */
+    if ( this.acceptWord(`ORDER`) ) {
+      this.expectWord(`BY`);
+
+      statement.orderBy = this.list(() => {
+        const expression = this.expression();
+        const descending = this.acceptWord(`DESC`);
+
+        if ( !descending )
+          this.acceptWord(`ASC`);
+
+        return { expression: expression, descending: descending };
+      });
+    }
+
+    /** Limit and offset clauses */
+    if ( this.acceptWord(`LIMIT`) ) {
+      const first = this.count();
+
+      if ( this.acceptSymbol(`,`) )
+        statement.offset = first, statement.limit = this.count();
+      else
+        statement.limit = first;
+
+      if ( this.acceptWord(`OFFSET`) )
+        statement.offset = this.count();
+    }
+
+    /** Locking clauses have no effect, since there's only one connection */
+    if ( this.acceptWord(`FOR`) )
+      this.expectWord(`UPDATE`);
+
+    return statement;
+  }
+
+  /** Parse a non-negative integer literal or parameter, as used by LIMIT and OFFSET */
+  count() {
+    const value = this.peek() && this.peek().type == `param` ? this.param() : this.literal();
+
+    if ( typeof value != `number` || value < 0 )
+      this.error();
+
+    return value;
+  }
+
+  /** Parse an INSERT statement, after the INSERT keyword */
+  insert() {
+    const statement = { type: `insert`, ignore: this.acceptWord(`IGNORE`), table: null, columns: null, rows: null, select: null, onDuplicate: null };
+
+    this.acceptWord(`INTO`);
+
+    statement.table = this.tableName();
+
+    if ( this.isSymbol(`(`) && !( this.peek(1) && this.peek(1).type == `word` && this.peek(1).value.toUpperCase() == `SELECT` ) )
+      statement.columns = this.columnList();
+
+    if ( this.acceptWord(`VALUES`, `VALUE`) ) {
+      /** A single parameter containing an array of rows */
+      if ( this.peek() && this.peek().type == `param` ) {
+        const rows = this.param();
+
+        if ( !Array.isArray(rows) || rows.length == 0 || rows.some(row => !Array.isArray(row)) )
+          this.error();
+
+        statement.rows = rows.map(row => row.map(value => ({ type: `value`, value: value })));
+      }
+
+      /** Parenthesized lists of values */
+      else {
+        statement.rows = this.list(() => {
+          this.expectSymbol(`(`);
+
+          const row = this.isSymbol(`)`) ? [] : this.list(() => this.expression());
+
+          this.expectSymbol(`)`);
+
+          return row;
+        });
+      }
+    } else {
+      const parenthesized = this.acceptSymbol(`(`);
+
+      this.expectWord(`SELECT`);
+
+      statement.select = this.select();
+
+      if ( parenthesized )
+        this.expectSymbol(`)`);
+    }
+
+    /** Assignments for rows that conflict with a unique key */
+    if ( this.acceptWord(`ON`) ) {
+      this.expectWord(`DUPLICATE`, `KEY`, `UPDATE`);
+
+      statement.onDuplicate = this.assignments();
+    }
+
+    return statement;
+  }
+
+  /** Parse a comma separated list of `column = expression` assignments */
+  assignments() {
+    return this.list(() => {
+      const column = this.identifier();
+
+      this.expectSymbol(`=`);
+
+      return { column: column, expression: this.expression() };
+    });
+  }
+
+  /** Parse an UPDATE statement, after the UPDATE keyword */
+  update() {
+    const statement = { type: `update`, table: this.tableName(), assignments: null, where: null, limit: null };
+
+    this.expectWord(`SET`);
+
+    statement.assignments = this.assignments();
+
+    if ( this.acceptWord(`WHERE`) )
+      statement.where = this.expression();
+
+    if ( this.acceptWord(`LIMIT`) )
+      statement.limit = this.count();
+
+    return statement;
+  }
+
+  /** Parse a DELETE statement, after the DELETE keyword */
+  delete() {
+    this.expectWord(`FROM`);
+
+    const statement = { type: `delete`, table: this.tableName(), where: null, limit: null };
+
+    if ( this.acceptWord(`WHERE`) )
+      statement.where = this.expression();
+
+    if ( this.acceptWord(`LIMIT`) )
+      statement.limit = this.count();
+
+    return statement;
+  }
+
+  /** Parse a CREATE TABLE statement, after the CREATE keyword */
+  create() {
+    this.expectWord(`TABLE`);
+
+    const statement = { type: `create`, ifNotExists: false, table: null, columns: [], keys: [] };
+
+    if ( this.acceptWord(`IF`) )
+      this.expectWord(`NOT`, `EXISTS`), statement.ifNotExists = true;
+
+    statement.table = this.tableName();
+
+    this.expectSymbol(`(`);
+
+    this.list(() => {
+      const key = this.keyDefinition();
+
+      if ( key )
+        statement.keys.push(key);
+      else
+        statement.columns.push(this.columnDefinition());
+    });
+
+    this.expectSymbol(`)`);
+
+    /** Ignore table options */
+    while ( this.peek() !== null && !this.isSymbol(`;`) )
+      this.position++;
+
+    return statement;
+  }
+
+  /** Parse an ALTER TABLE statement, after the ALTER keyword */
+  alter() {
+    this.expectWord(`TABLE`);
+
+    const statement = { type: `alter`, table: this.tableName(), alterations: null };
+
+    statement.alterations = this.list(() => {
+      if ( this.acceptWord(`ADD`) ) {
+        const key = this.keyDefinition();
+
+        if ( key )
+          return { type: `addKey`, key: key };
+
+        this.acceptWord(`COLUMN`);
+
+        return Object.assign({ type: `addColumn`, column: this.columnDefinition() }, this.columnPosition());
+      } else if ( this.acceptWord(`MODIFY`) ) {
+        this.acceptWord(`COLUMN`);
+
+        const column = this.columnDefinition();
+
+        return Object.assign({ type: `changeColumn`, name: column.name, column: column }, this.columnPosition());
+      } else if ( this.acceptWord(`CHANGE`) ) {
+        this.acceptWord(`COLUMN`);
+
+        const name = this.identifier();
+
+        return Object.assign({ type: `changeColumn`, name: name, column: this.columnDefinition() }, this.columnPosition());
+      }
+
+      this.expectWord(`DROP`);
+
+      if ( this.acceptWord(`INDEX`, `KEY`) )
+        return { type: `dropIndex`, name: this.identifier() };
+      else if ( this.acceptWord(`PRIMARY`) )
+        return this.expectWord(`KEY`), { type: `dropIndex`, name: `PRIMARY` };
+      else if ( this.acceptWord(`FOREIGN`) )
+        return this.expectWord(`KEY`), { type: `dropForeignKey`, name: this.identifier() };
+
+      this.acceptWord(`COLUMN`);
+
+      return { type: `dropColumn`, name: this.identifier() };
+    });
+
+    return statement;
+  }
+
+  /** Parse an optional FIRST or AFTER column position */
+  columnPosition() {
+    if ( this.acceptWord(`FIRST`) )
+      return { first: true };
+    else if ( this.acceptWord(`AFTER`) )
+      return { after: this.identifier() };
+
+    return {};
+  }
+
+  /** Parse a DROP TABLE statement, after the DROP keyword */
+  drop() {
+    this.expectWord(`TABLE`);
+
+    const ifExists = this.acceptWord(`IF`) ? ( this.expectWord(`EXISTS`), true ) : false;
+
+    return { type: `drop`, ifExists: ifExists, tables: this.list(() => this.tableName()) };
+  }
+
+  /** Parse an expression, lowest precedence first */
+  expression() {
+    let left = this.andExpression();
+
+    while ( this.acceptWord(`OR`) )
+      left = { type: `or`, left: left, right: this.andExpression() };
+
+    return left;
+  }
+
+  /** Parse AND expressions */
+  andExpression() {
+    let left = this.notExpression();
+
+    while ( this.acceptWord(`AND`) )
+      left = { type: `and`, left: left, right: this.notExpression() };
+
+    return left;
+  }
+
+  /** Parse NOT expressions */
+  notExpression() {
+    if ( this.acceptWord(`NOT`) )
+      return { type: `not`, expression: this.notExpression() };
+
+    return this.predicate();
+  }
+
+  /** Parse comparisons, IS NULL, IN, and LIKE */
+  predicate() {
+    const left = this.additive();
+
+    if ( this.isSymbol(`=`, `!=`, `<>`, `<`, `<=`, `>`, `>=`) )
+      return { type: `compare`, operator: this.tokens[this.position++].value, left: left, right: this.additive() };
+
+    if ( this.acceptWord(`IS`) ) {
+      const not = this.acceptWord(`NOT`);
+
+      this.expectWord(`NULL`);
+
+      return { type: `isNull`, not: not, expression: left };
+    }
+
+    const not = this.acceptWord(`NOT`);
+
+    if ( this.acceptWord(`IN`) ) {
+      this.expectSymbol(`(`);
+
+      const list = [];
+
+      this.list(() => {
+        /** Array parameters expand to a list of values */
+        if ( this.peek() && this.peek().type == `param` && Array.isArray(this.params[this.paramIndex]) ) {
+          const values = this.param();
+
+          if ( values.length == 0 )
+            this.error();
+
+          values.forEach(value => list.push({ type: `value`, value: value }));
+        } else {
+          list.push(this.expression());
+        }
+      });
+
+      this.expectSymbol(`)`);
+
+      return { type: `in`, not: not, expression: left, list: list };
+    } else if ( this.acceptWord(`LIKE`) ) {
+      return { type: `like`, not: not, expression: left, pattern: this.additive() };
+    } else if ( not ) {
+      this.error();
+    }
+
+    return left;
+  }
+
+  /** Parse addition and subtraction */
+  additive() {
+    let left = this.multiplicative();
+
+    while ( this.isSymbol(`+`, `-`) )
+      left = { type: `arithmetic`, operator: this.tokens[this.position++].value, left: left, right: this.multiplicative() };
+
+    return left;
+  }
+
+  /** Parse multiplication and division */
+  multiplicative() {
+    let left = this.unary();
+
+    while ( this.isSymbol(`*`, `/`) )
+      left = { type: `arithmetic`, operator: this.tokens[this.position++].value, left: left, right: this.unary() };
+
+    return left;
+  }
+
+  /** Parse unary minus */
+  unary() {
+    if ( this.acceptSymbol(`-`) )
+      return { type: `arithmetic`, operator: `-`, left: { type: `value`, value: 0 }, right: this.unary() };
+
+    return this.primary();
+  }
+
+  /** Parse values, columns, function calls, CASE, and parenthesized expressions */
+  primary() {
+    const token = this.peek();
+
+    if ( token === null )
+      this.error();
+
+    if ( this.acceptSymbol(`(`) ) {
+      const expression = this.expression();
+
+      this.expectSymbol(`)`);
+
+      return expression;
+    } else if ( token.type == `param` ) {
+      return { type: `value`, value: this.param() };
+    } else if ( token.type == `string` || token.type == `number` ) {
+      this.position++;
+
+      return { type: `value`, value: token.value };
+    } else if ( token.type == `variable` ) {
+      this.position++;
+
+      return { type: `variable`, name: token.value.toLowerCase() };
+    } else if ( this.acceptWord(`NULL`) ) {
+      return { type: `value`, value: null };
+    } else if ( this.acceptWord(`TRUE`) ) {
+      return { type: `value`, value: 1 };
+    } else if ( this.acceptWord(`FALSE`) ) {
+      return { type: `value`, value: 0 };
+    } else if ( this.acceptWord(`CASE`) ) {
+      return this.caseExpression();
+    } else if ( token.type == `word` && this.peek(1) && this.peek(1).type == `symbol` && this.peek(1).value == `(` ) {
+      const name = this.identifier().toUpperCase();
+
+      this.expectSymbol(`(`);
+
+      const args = this.isSymbol(`)`) ? [] : this.list(() => this.functionArgument(name));
+
+      this.expectSymbol(`)`);
+
+      return { type: `function`, name: name, args: args };
+    } else if ( this.isWord(`CURRENT_TIMESTAMP`) ) {
+      this.position++;
+
+      return { type: `function`, name: `NOW`, args: [] };
+    }
+
+    /** Otherwise it's a column, possibly qualified by table name */
+    let name = this.identifier();
+
+    if ( this.acceptSymbol(`.`) )
+      name = this.identifier();
+
+    return { type: `column`, name: name };
+  }
+
+  /** Parse a function argument, where CAST takes `expression AS type` */
+  functionArgument(name) {
+    const expression = this.expression();
+
+    if ( name == `CAST` && this.acceptWord(`AS`) ) {
+      const type = this.identifier().toUpperCase();
+
+      if ( this.acceptSymbol(`(`) ) {
+        this.list(() => this.literal());
+        this.expectSymbol(`)`);
+      }
+
+      return { type: `cast`, expression: expression, as: type };
+    }
+
+    return expression;
+  }
+
+  /** Parse a CASE expression, after the CASE keyword */
+  caseExpression() {
+    const expression = { type: `case`, value: this.isWord(`WHEN`) ? null : this.expression(), whens: [], otherwise: null };
+
+    while ( this.acceptWord(`WHEN`) ) {
+      const when = this.expression();
+
+      this.expectWord(`THEN`);
+
+      expression.whens.push({ when: when, then: this.expression() });
+    }
+
+    if ( this.acceptWord(`ELSE`) )
+      expression.otherwise = this.expression();
+
+    this.expectWord(`END`);
+
+    return expression;
+  }
+}
+
+/**
+ * @signature new MemoryDatabase([options])
+ * @param options Object (optional) Desired options, `database` = name reported by DATABASE(), defaults to `memory`
+ * @description An in-memory database that can be used in place of a MySQL connection, for testing EZ Objects
+ * without a MySQL server.  Queries resolve like those of a `mysql` connection: SELECT queries to an array of
+ * row objects, and other queries to an object with `insertId`, `affectedRows`, and `changedRows`.
+ */
+class MemoryDatabase {
+  constructor(options = {}) {
+    this.database = typeof options.database == `string` ? options.database : `memory`;
+    this.tables = {};
+    this.transaction = null;
+    this.lastInsertId = 0;
+
+    /** System variables that can be read with @@name */
+    this.variables = { auto_increment_increment: 1 };
+  }
+
+  /**
+   * @signature query(query[, params])
+   * @param query string MySQL query
+   * @param params Array (optional) Values for each `?` in the query
+   * @return Promise Rows for SELECT queries, otherwise the result
+   * @description Execute a query.
+   */
+  async query(query, params = []) {
+    const statement = new Parser(query, Array.isArray(params) ? params : [params]).statement();
+
+    /** Statements that change data are atomic, so restore the data if they fail part way through */
+    if ( [`insert`, `update`, `delete`].includes(statement.type) ) {
+      const tables = this.snapshot();
+
+      try {
+        return this[statement.type](statement);
+      } catch ( err ) {
+        this.restore(tables);
+
+        throw err;
+      }
+    }
+
+    /** Statements that change tables implicitly commit any transaction */
+    if ( [`create`, `alter`, `drop`].includes(statement.type) )
+      this.transaction = null;
+
+    return this[statement.type](statement);
+  }
+
+  /**
+   * @signature awaitQuery(query[, params])
+   * @param query string MySQL query
+   * @param params Array (optional) Values for each `?` in the query
+   * @return Promise Rows for SELECT queries, otherwise the result
+   * @description Alias of query() so the database can be used like a `mysql-await` connection.
+   */
+  async awaitQuery(query, params) {
+    return await this.query(query, params);
+  }
+
+  /** Copy every table so it can be restored later */
+  snapshot() {
+    const tables = {};
+
+    Object.keys(this.tables).forEach((name) => {
+      const table = this.tables[name];
+
+      tables[name] = Object.assign({}, table, {
+        columns: table.columns.map(column => Object.assign({}, column)),
+        indexes: table.indexes.map(index => Object.assign({}, index, { columns: index.columns.slice() })),
+        foreignKeys: table.foreignKeys.map(foreignKey => Object.assign({}, foreignKey)),
+        rows: table.rows.map(row => Object.assign({}, row))
+      });
+    });
+
+    return tables;
+  }
+
+  /** Restore tables from a snapshot, keeping auto increment counters since MySQL doesn't roll them back */
+  restore(tables) {
+    Object.keys(tables).forEach((name) => {
+      if ( this.tables[name] )
+        tables[name].autoIncrement = Math.max(tables[name].autoIncrement, this.tables[name].autoIncrement);
+    });
+
+    this.tables = tables;
+  }
+
+  /** Get a table by name, or throw error if it doesn't exist */
+  table(name) {
+    /** INFORMATION_SCHEMA tables are generated when queried */
+    if ( name.schema && name.schema.toLowerCase() == `information_schema` )
+      return this.informationSchema(name.name.toUpperCase());
+
+    if ( !this.tables[name.name] || ( name.schema && name.schema != this.database ) )
+      throw mysqlError(`ER_NO_SUCH_TABLE`, 1146, `Table '${name.schema || this.database}.${name.name}' doesn't exist`);
+
+    return this.tables[name.name];
+  }
+
+  /** Get a column of a table by name, or throw error if it doesn't exist */
+  column(table, name, clause) {
+    const column = table.columns.find(x => x.name.toLowerCase() == name.toLowerCase());
+
+    if ( !column )
+      throw mysqlError(`ER_BAD_FIELD_ERROR`, 1054, `Unknown column '${name}' in '${clause}'`);
+
+    return column;
+  }
+
+  /** Make sure every column referenced by an expression exists */
+  checkColumns(expression, table, clause) {
+    if ( Array.isArray(expression) )
+      expression.forEach(x => this.checkColumns(x, table, clause));
+    else if ( !expression || typeof expression != `object` || expression.type == `value` )
+      return;
+    else if ( expression.type == `column` )
+      this.column(table || { columns: [] }, expression.name, clause);
+    else
+      Object.keys(expression).forEach(key => this.checkColumns(expression[key], table, clause));
+  }
+
+  /** Evaluate an expression against a row */
+  evaluate(expression, row, context = {}) {
+    switch ( expression.type ) {
+      case `value`:
+        return expression.value instanceof Date || Buffer.isBuffer(expression.value) || expression.value === null || typeof expression.value != `object` ? expression.value : JSON.stringify(expression.value);
+      case `column`: {
+        const name = Object.keys(row).find(x => x.toLowerCase() == expression.name.toLowerCase());
+
+        return name ? row[name] : null;
+      }
+      case `variable`:
+        if ( !Object.prototype.hasOwnProperty.call(this.variables, expression.name) )
+          throw mysqlError(`ER_UNKNOWN_SYSTEM_VARIABLE`, 1193, `Unknown system variable '${expression.name}'`);
+
+        return this.variables[expression.name];
+      case `and`: {
+        const left = truth(this.evaluate(expression.left, row, context));
+
+        if ( left === false )
+          return 0;
+
+        const right = truth(this.evaluate(expression.right, row, context));
+
+        return right === false ? 0 : ( left === null || right === null ? null : 1 );
+      }
+      case `or`: {
+        const left = truth(this.evaluate(expression.left, row, context));
+
+        if ( left === true )
+          return 1;
+
+        const right = truth(this.evaluate(expression.right, row, context));
+
+        return right === true ? 1 : ( left === null || right === null ? null : 0 );
+      }
+      case `not`: {
+        const value = truth(this.evaluate(expression.expression, row, context));
+
+        return value === null ? null : ( value ? 0 : 1 );
+      }
+      case `compare`: {
+        const result = compare(this.evaluate(expression.left, row, context), this.evaluate(expression.right, row, context));
+
+        if ( result === null )
+          return null;
+
+        switch ( expression.operator ) {
+          case `=`: return result == 0 ? 1 : 0;
+          case `!=`: case `<>`: return result != 0 ? 1 : 0;
+          case `<`: return result < 0 ? 1 : 0;
+          case `<=`: return result <= 0 ? 1 : 0;
+          case `>`: return result > 0 ? 1 : 0;
+          default: return result >= 0 ? 1 : 0;
+        }
+      }
+      case `isNull`: {
+        const value = this.evaluate(expression.expression, row, context);
+
+        return ( value === null ) != expression.not ? 1 : 0;
+      }
+      case `in`: {
+        const value = this.evaluate(expression.expression, row, context);
+
+        if ( value === null )
+          return null;
+
+        const results = expression.list.map(x => compare(value, this.evaluate(x, row, context)));
+
+        if ( results.includes(0) )
+          return expression.not ? 0 : 1;
+
+        return results.includes(null) ? null : ( expression.not ? 1 : 0 );
+      }
+      case `like`: {
+        const value = this.evaluate(expression.expression, row, context);
+        const pattern = this.evaluate(expression.pattern, row, context);
+
+        if ( value === null || pattern === null )
+          return null;
+
+        return likeRegex(pattern.toString()).test(value instanceof Date ? formatDate(value) : value.toString()) != expression.not ? 1 : 0;
+      }
+      case `arithmetic`: {
+        const left = this.evaluate(expression.left, row, context);
+        const right = this.evaluate(expression.right, row, context);
+
+        if ( left === null || right === null )
+          return null;
+
+        switch ( expression.operator ) {
+          case `+`: return toNumber(left) + toNumber(right);
+          case `-`: return toNumber(left) - toNumber(right);
+          case `*`: return toNumber(left) * toNumber(right);
+          default: return toNumber(right) == 0 ? null : toNumber(left) / toNumber(right);
+        }
+      }
+      case `case`: {
+        const value = expression.value ? this.evaluate(expression.value, row, context) : null;
+        const match = expression.whens.find(x => expression.value ? compare(value, this.evaluate(x.when, row, context)) === 0 : truth(this.evaluate(x.when, row, context)) === true);
+
+        if ( match )
+          return this.evaluate(match.then, row, context);
+
+        return expression.otherwise ? this.evaluate(expression.otherwise, row, context) : null;
+      }
+      case `cast`:
+        return this.evaluate(expression.expression, row, context);
+      case `function`:
+        return this.evaluateFunction(expression, row, context);
+    }
+  }
+
+  /** Evaluate a function call against a row */
+  evaluateFunction(expression, row, context) {
+    const args = expression.args.map(x => this.evaluate(x, row, context));
+
+    switch ( expression.name ) {
+      case `DATABASE`:
+        return this.database;
+      case `NOW`:
+        return new Date();
+      case `COALESCE`: case `IFNULL`:
+        return args.find(x => x !== null && typeof x != `undefined`) || null;
+      case `LAST_INSERT_ID`:
+        /** With an argument, set the ID reported for this statement and by later calls */
+        if ( args.length > 0 ) {
+          this.lastInsertId = context.insertId = args[0];
+
+          return args[0];
+        }
+
+        return this.lastInsertId;
+      case `JSON_EXTRACT`: {
+        if ( args.some(x => x === null || typeof x == `undefined`) )
+          return null;
+
+        const document = parseJson(args[0], expression.name, 1);
+        const found = args.slice(1).map(path => jsonExtract(document, jsonPath(path))).filter(x => typeof x != `undefined`);
+
+        /** With more than one path, matches are wrapped in an array */
+        if ( args.length == 2 )
+          return found.length > 0 ? JSON.stringify(found[0]) : null;
+
+        return found.length > 0 ? JSON.stringify(found) : null;
+      }
+      case `JSON_UNQUOTE`:
+        if ( args[0] === null || typeof args[0] == `undefined` )
+          return null;
+
+        return `${args[0]}`.startsWith(`"`) ? parseJson(args[0], expression.name, 1) : `${args[0]}`;
+      case `JSON_CONTAINS`: {
+        if ( args.some(x => x === null || typeof x == `undefined`) )
+          return null;
+
+        const target = args.length > 2 ? jsonExtract(parseJson(args[0], expression.name, 1), jsonPath(args[2])) : parseJson(args[0], expression.name, 1);
+
+        /** A path that doesn't exist contains nothing */
+        if ( typeof target == `undefined` )
+          return null;
+
+        return jsonContains(target, parseJson(args[1], expression.name, 2)) ? 1 : 0;
+      }
+      case `VALUES`:
+        /** Value that would have been inserted, in ON DUPLICATE KEY UPDATE */
+        return context.values ? this.evaluate(expression.args[0], context.values, context) : null;
+    }
+
+    throw mysqlError(`ER_SP_DOES_NOT_EXIST`, 1305, `FUNCTION ${this.database}.${expression.name} does not exist`);
+  }
+
+  /** Whether a row matches a where clause */
+  matches(where, row) {
+    return where === null || truth(this.evaluate(where, row)) === true;
+  }
+
+  /** Convert a value to the type stored in a column, or throw error if it can't be */
+  store(column, value) {
+    const type = column.type;
+
+    if ( value === null || typeof value == `undefined` )
+      return null;
+
+    if ( typeof value == `boolean` )
+      value = value ? 1 : 0;
+
+    /** Integers, with range checking */
+    if ( integerBits[type] || type == `year` ) {
+      const number = Buffer.isBuffer(value) ? toNumber(value.toString()) : ( typeof value == `number` ? value : parseFloat(value) );
+
+      if ( isNaN(number) )
+        throw mysqlError(`ER_TRUNCATED_WRONG_VALUE_FOR_FIELD`, 1366, `Incorrect integer value: '${value}' for column '${column.name}' at row 1`);
+
+      const bits = integerBits[type] || 16;
+      const min = column.unsigned ? 0 : -Math.pow(2, bits - 1);
+      const max = column.unsigned ? Math.pow(2, bits) - 1 : Math.pow(2, bits - 1) - 1;
+
+      if ( Math.round(number) < min || Math.round(number) > max )
+        throw mysqlError(`ER_WARN_DATA_OUT_OF_RANGE`, 1264, `Out of range value for column '${column.name}' at row 1`);
+
+      /** Large BIGINTs are kept as strings so they don't lose precision */
+      if ( type == `bigint` && ( typeof value == `bigint` || ( typeof value == `string` && /^-?[0-9]+$/.test(value.trim()) ) ) && !Number.isSafeInteger(Number(value)) )
+        return BigInt(value).toString();
+
+      return Math.round(number);
+    }
+
+    /** Floating point numbers */
+    if ( floatTypes.includes(type) ) {
+      const number = typeof value == `number` ? value : parseFloat(value);
+
+      if ( isNaN(number) )
+        throw mysqlError(`ER_TRUNCATED_WRONG_VALUE_FOR_FIELD`, 1366, `Incorrect double value: '${value}' for column '${column.name}' at row 1`);
+
+      return number;
+    }
+
+    /** Fixed point numbers are returned as strings with the column's number of decimals */
+    if ( decimalTypes.includes(type) ) {
+      const scale = column.args && column.args.length > 1 ? column.args[1] : 0;
+      const text = value.toString().trim();
+
+      if ( isNaN(parseFloat(text)) || !/^-?[0-9]*\.?[0-9]*(e[-+]?[0-9]+)?$/i.test(text) )
+        throw mysqlError(`ER_TRUNCATED_WRONG_VALUE_FOR_FIELD`, 1366, `Incorrect decimal value: '${value}' for column '${column.name}' at row 1`);
+
+      const parts = text.match(/^(-?)([0-9]*)(?:\.([0-9]*))?$/);
+
+      /** Pad plain decimal strings without converting to a number, so precision isn't lost */
+      if ( parts && ( parts[3] || `` ).length <= scale )
+        return `${parts[1]}${parts[2] || `0`}${scale > 0 ? `.${( parts[3] || `` ).padEnd(scale, `0`)}` : ``}`;
+
+      return parseFloat(text).toFixed(scale);
+    }
+
+    /** Dates and times are stored as dates, rounded to the column's precision */
+    if ( dateTypes.includes(type) ) {
+      const date = value instanceof Date ? new Date(value.getTime()) : ( typeof value == `number` ? new Date(value) : parseDate(value.toString()) );
+
+      if ( !date || isNaN(date.getTime()) )
+        throw mysqlError(`ER_TRUNCATED_WRONG_VALUE`, 1292, `Incorrect ${type} value: '${value}' for column '${column.name}' at row 1`);
+
+      if ( type == `date` )
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+      const precision = column.args && column.args.length > 0 ? column.args[0] : 0;
+
+      if ( precision < 3 )
+        date.setTime(Math.round(date.getTime() / Math.pow(10, 3 - precision)) * Math.pow(10, 3 - precision));
+
+      return date;
+    }
+
+    /** BIT values are stored as numbers */
+    if ( type == `bit` )
+      return Buffer.isBuffer(value) ? value.reduce((number, byte) => number * 256 + byte, 0) : toNumber(value);
+
+    /** Binary strings are stored as buffers, with BINARY padded to its length */
+    if ( binaryTypes.includes(type) ) {
+      const buffer = Buffer.isBuffer(value) ? Buffer.from(value) : Buffer.from(value instanceof Date ? formatDate(value) : value.toString());
+      const length = column.args ? column.args[0] : null;
+
+      if ( length !== null && ( type == `binary` || type == `varbinary` ) && buffer.length > length )
+        throw mysqlError(`ER_DATA_TOO_LONG`, 1406, `Data too long for column '${column.name}' at row 1`);
+
+      return type == `binary` && length !== null && buffer.length < length ? Buffer.concat([buffer, Buffer.alloc(length - buffer.length)]) : buffer;
+    }
+
+    /** Strings, where ENUM and SET values must be in the column's value list */
+    if ( stringTypes.includes(type) || type == `json` ) {
+      const text = value instanceof Date ? formatDate(value) : ( typeof value == `object` && !Buffer.isBuffer(value) ? JSON.stringify(value) : value.toString() );
+
+      if ( type == `enum` ) {
+        const match = column.args.find(x => x.toLowerCase() == text.toLowerCase());
+
+        if ( typeof match != `string` )
+          throw mysqlError(`WARN_DATA_TRUNCATED`, 1265, `Data truncated for column '${column.name}' at row 1`);
+
+        return match;
+      } else if ( type == `set` ) {
+        const members = text == `` ? [] : text.split(`,`);
+        const matches = members.map(member => column.args.find(x => x.toLowerCase() == member.toLowerCase()));
+
+        if ( matches.some(x => typeof x != `string` ) )
+          throw mysqlError(`WARN_DATA_TRUNCATED`, 1265, `Data truncated for column '${column.name}' at row 1`);
+
+        return column.args.filter(x => matches.includes(x)).join(`,`);
+      } else if ( type == `json` ) {
+        try {
+          JSON.parse(text);
+        } catch ( err ) {
+          throw mysqlError(`ER_INVALID_JSON_TEXT`, 3140, `Invalid JSON text: "${err.message}" at position 0 in value for column '${column.name}'.`);
+        }
+      }
+
+      if ( ( type == `char` || type == `varchar` ) && column.args && text.length > column.args[0] )
+        throw mysqlError(`ER_DATA_TOO_LONG`, 1406, `Data too long for column '${column.name}' at row 1`);
+
+      return text;
+    }
+
+    return value;
+  }
+
+  /** Convert a stored value to what the `mysql` module would return for it */
+  output(column, value) {
+    if ( value === null || typeof value == `undefined` )
+      return null;
+    else if ( value instanceof Date )
+      return new Date(value.getTime());
+    else if ( Buffer.isBuffer(value) )
+      return Buffer.from(value);
+    else if ( column && column.type == `bit` ) {
+      const length = Math.max(1, Math.ceil(( column.args ? column.args[0] : 1 ) / 8));
+      const buffer = Buffer.alloc(length);
+      let number = value;
+
+      for ( let i = length - 1; i >= 0; i-- ) {
+        buffer[i] = number % 256;
+        number = Math.floor(number / 256);
+      }
+
+      return buffer;
+    }
+
+    return value;
+  }
+
+  /** Get the value a column gets when none is provided, or throw error if it has no default */
+  defaultFor(column, implicit = false) {
+    if ( column.default && typeof column.default == `object` && column.default.currentTimestamp )
+      return this.store(column, new Date());
+    else if ( typeof column.default != `undefined` )
+      return this.store(column, column.default);
+    else if ( column.nullable )
+      return null;
+    else if ( !implicit )
+      throw mysqlError(`ER_NO_DEFAULT_FOR_FIELD`, 1364, `Field '${column.name}' doesn't have a default value`);
+
+    /** Implicit defaults, used when adding columns to existing rows */
+    if ( integerBits[column.type] || floatTypes.includes(column.type) || column.type == `bit` || column.type == `year` )
+      return 0;
+    else if ( decimalTypes.includes(column.type) )
+      return this.store(column, 0);
+    else if ( column.type == `enum` )
+      return column.args[0];
+    else if ( binaryTypes.includes(column.type) )
+      return this.store(column, Buffer.alloc(0));
+    else if ( dateTypes.includes(column.type) )
+      return new Date(0);
+
+    return ``;
+  }
+
+  /** Throw error if a row conflicts with another row on a unique key, or return the conflicting row if `find` is set */
+  checkUnique(table, row, find = false, original = null) {
+    for ( const index of table.indexes.filter(x => x.unique) ) {
+      const conflict = table.rows.find(other => other !== row && other !== original && index.columns.every(name => row[name] !== null && compare(other[name], row[name]) === 0));
+
+      if ( conflict && find )
+        return conflict;
+      else if ( conflict )
+        throw mysqlError(`ER_DUP_ENTRY`, 1062, `Duplicate entry '${index.columns.map(name => row[name] instanceof Date ? formatDate(row[name]) : row[name]).join(`-`)}' for key '${table.name}.${index.name}'`);
+    }
+
+    return null;
+  }
+
+  /** Throw error if a row references a record that doesn't exist */
+  checkForeignKeys(table, row) {
+    table.foreignKeys.forEach((foreignKey) => {
+      if ( foreignKey.columns.some(name => row[name] === null) )
+        return;
+
+      const parent = this.tables[foreignKey.referencedTable];
+
+      if ( !parent || !parent.rows.some(other => foreignKey.referencedColumns.every((name, i) => compare(other[name], row[foreignKey.columns[i]]) === 0)) )
+        throw mysqlError(`ER_NO_REFERENCED_ROW_2`, 1452, `Cannot add or update a child row: a foreign key constraint fails (\`${this.database}\`.\`${table.name}\`, CONSTRAINT \`${foreignKey.name}\` FOREIGN KEY (\`${foreignKey.columns.join(`\`, \``)}\`) REFERENCES \`${foreignKey.referencedTable}\` (\`${foreignKey.referencedColumns.join(`\`, \``)}\`))`);
+    });
+  }
+
+  /** Get the foreign keys of any table that reference a table */
+  referencingForeignKeys(table) {
+    const references = [];
+
+    Object.keys(this.tables).forEach((name) => {
+      this.tables[name].foreignKeys.forEach((foreignKey) => {
+        if ( foreignKey.referencedTable == table.name )
+          references.push({ table: this.tables[name], foreignKey: foreignKey });
+      });
+    });
+
+    return references;
+  }
+
+  /** Apply foreign key actions to rows referencing a row that's being deleted or having its key changed */
+  applyForeignKeyActions(table, row, changes, deleting) {
+    this.referencingForeignKeys(table).forEach((reference) => {
+      const foreignKey = reference.foreignKey;
+
+      /** Updates only affect references if a referenced column changes */
+      if ( changes && foreignKey.referencedColumns.every(name => sameValue(changes[name], row[name])) )
+        return;
+
+      const children = reference.table.rows.filter(child => !deleting.has(child) && foreignKey.columns.every((name, i) => compare(child[name], row[foreignKey.referencedColumns[i]]) === 0));
+
+      if ( children.length == 0 )
+        return;
+
+      const action = changes ? foreignKey.onUpdate : foreignKey.onDelete;
+
+      if ( action == `CASCADE` && changes ) {
+        children.forEach(child => foreignKey.columns.forEach((name, i) => child[name] = changes[foreignKey.referencedColumns[i]]));
+      } else if ( action == `CASCADE` ) {
+        this.deleteRows(reference.table, children, deleting);
+      } else if ( action == `SET NULL` ) {
+        foreignKey.columns.forEach((name) => {
+          if ( !this.column(reference.table, name, `field list`).nullable )
+            throw mysqlError(`ER_BAD_NULL_ERROR`, 1048, `Column '${name}' cannot be null`);
+        });
+
+        children.forEach(child => foreignKey.columns.forEach(name => child[name] = null));
+      } else {
+        throw mysqlError(`ER_ROW_IS_REFERENCED_2`, 1451, `Cannot delete or update a parent row: a foreign key constraint fails (\`${this.database}\`.\`${reference.table.name}\`, CONSTRAINT \`${foreignKey.name}\` FOREIGN KEY (\`${foreignKey.columns.join(`\`, \``)}\`) REFERENCES \`${table.name}\` (\`${foreignKey.referencedColumns.join(`\`, \``)}\`))`);
+      }
+    });
+  }
+
+  /** Delete rows from a table, applying foreign key actions */
+  deleteRows(table, rows, deleting = new Set()) {
+    rows.forEach(row => deleting.add(row));
+    rows.forEach(row => this.applyForeignKeyActions(table, row, null, deleting));
+
+    table.rows = table.rows.filter(row => !deleting.has(row));
+  }
+
+  /** Convert selected rows to the objects returned for SELECT queries */
+  results(selected) {
+    return selected.rows.map((values) => {
+      const row = {};
+
+      selected.names.forEach((name, i) => {
+        row[name] = this.output(selected.columns[i], values[i]);
+      });
+
+      return row;
+    });
+  }
+
+  /** Select rows, returning the column names, the columns they came from, and rows of stored values */
+  selectRows(statement) {
+    const table = statement.table ? this.table(statement.table) : null;
+    const names = [];
+    const columns = [];
+    const items = [];
+
+    /** Expand the select list */
+    statement.columns.forEach((item) => {
+      if ( item.all ) {
+        if ( !table )
+          throw mysqlError(`ER_NO_TABLES_USED`, 1096, `No tables used`);
+
+        table.columns.forEach((column) => {
+          names.push(column.name);
+          columns.push(column);
+          items.push({ type: `column`, name: column.name });
+        });
+      } else {
+        this.checkColumns(item.expression, table, `field list`);
+
+        names.push(item.alias);
+        columns.push(table && item.expression.type == `column` ? this.column(table, item.expression.name, `field list`) : null);
+        items.push(item.expression);
+      }
+    });
+
+    this.checkColumns(statement.where, table, `where clause`);
+    statement.orderBy.forEach(item => this.checkColumns(item.expression, table, `order clause`));
+
+    /** Filter rows */
+    let rows = table ? table.rows.filter(row => this.matches(statement.where, row)) : ( this.matches(statement.where, {}) ? [{}] : [] );
+
+    /** Sort rows, with nulls first when ascending */
+    if ( statement.orderBy.length > 0 ) {
+      rows = rows.slice().sort((a, b) => {
+        for ( const item of statement.orderBy ) {
+          const valueA = this.evaluate(item.expression, a);
+          const valueB = this.evaluate(item.expression, b);
+          let result = valueA === null && valueB === null ? 0 : ( valueA === null ? -1 : ( valueB === null ? 1 : compare(valueA, valueB) ) );
+
+          if ( item.descending )
+            result = -result;
+
+          if ( result != 0 )
+            return result;
+        }
+
+        return 0;
+      });
+    }
+
+    /** Apply offset and limit */
+    rows = rows.slice(statement.offset, statement.limit === null ? undefined : statement.offset + statement.limit);
+
+    return { names: names, columns: columns, rows: rows.map(row => items.map(item => this.evaluate(item, row))) };
+  }
+
+  /** Execute a SELECT statement */
+  select(statement) {
+    return this.results(this.selectRows(statement));
+  }
+
+  /** Execute an INSERT statement */
+  insert(statement) {
+    const table = this.table(statement.table);
+    const columns = statement.columns ? statement.columns.map(name => this.column(table, name, `field list`)) : table.columns;
+    const values = statement.select ? this.selectRows(statement.select).rows.map(row => row.map(value => ({ type: `value`, value: value }))) : statement.rows;
+    const context = {};
+    let affectedRows = 0;
+    let insertId = 0;
+
+    if ( statement.onDuplicate )
+      statement.onDuplicate.forEach(assignment => this.column(table, assignment.column, `field list`));
+
+    values.forEach((expressions, i) => {
+      /** If the number of values doesn't match the number of columns, throw error */
+      if ( expressions.length != columns.length )
+        throw mysqlError(`ER_WRONG_VALUE_COUNT_ON_ROW`, 1136, `Column count doesn't match value count at row ${i + 1}`);
+
+      const provided = {};
+
+      columns.forEach((column, j) => {
+        provided[column.name] = this.store(column, this.evaluate(expressions[j], {}, context));
+      });
+
+      /** Build the row, using defaults for columns that weren't provided */
+      const row = {};
+
+      table.columns.forEach((column) => {
+        if ( column.autoIncrement && ( !Object.keys(provided).includes(column.name) || provided[column.name] === null || provided[column.name] === 0 ) ) {
+          row[column.name] = table.autoIncrement;
+          table.autoIncrement += this.variables.auto_increment_increment;
+
+          if ( !insertId )
+            insertId = row[column.name];
+        } else if ( Object.keys(provided).includes(column.name) ) {
+          row[column.name] = provided[column.name];
+
+          if ( row[column.name] === null && !column.nullable )
+            throw mysqlError(`ER_BAD_NULL_ERROR`, 1048, `Column '${column.name}' cannot be null`);
+
+          /** Explicit auto increment values move the counter past them */
+          if ( column.autoIncrement ) {
+            table.autoIncrement = Math.max(table.autoIncrement, row[column.name] + this.variables.auto_increment_increment);
+
+            if ( !insertId )
+              insertId = row[column.name];
+          }
+        } else {
+          row[column.name] = this.defaultFor(column);
+        }
+      });
+
+      /** If the row conflicts with an existing row and there are assignments for duplicates, update the existing row instead */
+      const conflict = statement.onDuplicate ? this.checkUnique(table, row, true) : null;
+
+      if ( conflict ) {
+        context.values = row;
+
+        /** Like the `mysql` module's default FOUND_ROWS flag, rows count once if unchanged and twice if updated */
+        affectedRows += this.updateRow(table, conflict, statement.onDuplicate, context) ? 2 : 1;
+
+        return;
+      } else if ( statement.ignore && this.checkUnique(table, row, true) ) {
+        return;
+      }
+
+      this.checkUnique(table, row);
+      this.checkForeignKeys(table, row);
+
+      table.rows.push(row);
+      affectedRows++;
+    });
+
+    /** Generated IDs are returned by LAST_INSERT_ID() */
+    if ( insertId && !context.insertId )
+      this.lastInsertId = insertId;
+
+    return { affectedRows: affectedRows, insertId: typeof context.insertId != `undefined` ? context.insertId : insertId, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Apply assignments to a row, returning whether it changed */
+  updateRow(table, row, assignments, context = {}) {
+    const updated = Object.assign({}, row);
+
+    /** Assignments are applied in order, so later ones see the results of earlier ones */
+    assignments.forEach((assignment) => {
+      const column = this.column(table, assignment.column, `field list`);
+      const value = this.store(column, this.evaluate(assignment.expression, Object.assign({}, updated), context));
+
+      if ( value === null && !column.nullable )
+        throw mysqlError(`ER_BAD_NULL_ERROR`, 1048, `Column '${column.name}' cannot be null`);
+
+      updated[column.name] = value;
+    });
+
+    if ( table.columns.every(column => sameValue(updated[column.name], row[column.name])) )
+      return false;
+
+    this.checkUnique(table, updated, false, row);
+    this.checkForeignKeys(table, updated);
+    this.applyForeignKeyActions(table, row, updated, new Set());
+
+    Object.assign(row, updated);
+
+    return true;
+  }
+
+  /** Execute an UPDATE statement */
+  update(statement) {
+    const table = this.table(statement.table);
+
+    statement.assignments.forEach((assignment) => {
+      this.column(table, assignment.column, `field list`);
+      this.checkColumns(assignment.expression, table, `field list`);
+    });
+
+    this.checkColumns(statement.where, table, `where clause`);
+
+    let rows = table.rows.filter(row => this.matches(statement.where, row));
+
+    if ( statement.limit !== null )
+      rows = rows.slice(0, statement.limit);
+
+    const context = {};
+    let changedRows = 0;
+
+    rows.forEach((row) => {
+      if ( this.updateRow(table, row, statement.assignments, context) )
+        changedRows++;
+    });
+
+    return { affectedRows: rows.length, insertId: context.insertId || 0, changedRows: changedRows, warningCount: 0 };
+  }
+
+  /** Execute a DELETE statement */
+  delete(statement) {
+    const table = this.table(statement.table);
+
+    this.checkColumns(statement.where, table, `where clause`);
+
+    let rows = table.rows.filter(row => this.matches(statement.where, row));
+
+    if ( statement.limit !== null )
+      rows = rows.slice(0, statement.limit);
+
+    this.deleteRows(table, rows);
+
+    return { affectedRows: rows.length, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Add an index or foreign key to a table */
+  addKey(table, key) {
+    if ( key.type == `foreignKey` ) {
+      const name = key.name || `${table.name}_ibfk_${table.foreignKeys.length + 1}`;
+
+      if ( table.foreignKeys.some(x => x.name == name) )
+        throw mysqlError(`ER_FK_DUP_NAME`, 1826, `Duplicate foreign key constraint name '${name}'`);
+
+      key.columns.forEach(column => this.column(table, column, `foreign key`));
+
+      /** Referenced tables must exist, except for tables referencing themselves */
+      if ( key.referencedTable != table.name )
+        this.table({ schema: null, name: key.referencedTable });
+
+      const foreignKey = { name: name, columns: key.columns, referencedTable: key.referencedTable, referencedColumns: key.referencedColumns, onDelete: key.onDelete, onUpdate: key.onUpdate };
+
+      table.foreignKeys.push(foreignKey);
+
+      /** Foreign keys need an index starting with their columns, so add one named after the constraint if there isn't one */
+      if ( !table.indexes.some(index => key.columns.every((column, i) => index.columns[i] == column)) )
+        table.indexes.push({ name: name, columns: key.columns.slice(), unique: false, primary: false });
+
+      table.rows.forEach(row => this.checkForeignKeys(table, row));
+
+      return;
+    }
+
+    const name = key.name || key.columns[0];
+
+    if ( table.indexes.some(x => x.name == name) )
+      throw mysqlError(`ER_DUP_KEYNAME`, 1061, `Duplicate key name '${name}'`);
+
+    key.columns.forEach(column => this.column(table, column, `key column`));
+
+    const index = { name: name, columns: key.columns, unique: key.unique, primary: key.primary === true, indexType: key.indexType || `BTREE` };
+
+    /** Primary keys go first, and their columns can't be null */
+    if ( index.primary ) {
+      table.indexes.unshift(index);
+      key.columns.forEach(column => this.column(table, column, `key column`).nullable = false);
+    } else {
+      table.indexes.push(index);
+    }
+
+    if ( index.unique )
+      table.rows.forEach(row => this.checkUnique(table, row));
+  }
+
+  /** Add keys defined along with a column */
+  addColumnKeys(table, column) {
+    if ( column.primary )
+      this.addKey(table, { type: `index`, name: `PRIMARY`, columns: [column.name], unique: true, primary: true });
+
+    if ( column.unique )
+      this.addKey(table, { type: `index`, name: table.indexes.some(x => x.name == column.name) ? `${column.name}_2` : column.name, columns: [column.name], unique: true });
+  }
+
+  /** Execute a CREATE TABLE statement */
+  create(statement) {
+    if ( this.tables[statement.table.name] && statement.ifNotExists )
+      return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 1 };
+    else if ( this.tables[statement.table.name] )
+      throw mysqlError(`ER_TABLE_EXISTS_ERROR`, 1050, `Table '${statement.table.name}' already exists`);
+
+    const table = { name: statement.table.name, columns: statement.columns, indexes: [], foreignKeys: [], rows: [], autoIncrement: 1 };
+
+    statement.columns.forEach((column, i) => {
+      if ( statement.columns.findIndex(x => x.name.toLowerCase() == column.name.toLowerCase()) != i )
+        throw mysqlError(`ER_DUP_FIELDNAME`, 1060, `Duplicate column name '${column.name}'`);
+    });
+
+    statement.columns.forEach(column => this.addColumnKeys(table, column));
+
+    /** Add the table before its keys, so foreign keys can reference it */
+    this.tables[table.name] = table;
+
+    try {
+      statement.keys.forEach(key => this.addKey(table, key));
+    } catch ( err ) {
+      delete this.tables[table.name];
+
+      throw err;
+    }
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Execute an ALTER TABLE statement */
+  alter(statement) {
+    const original = this.snapshot();
+    const table = this.table(statement.table);
+
+    try {
+      statement.alterations.forEach((alteration) => {
+        if ( alteration.type == `addKey` ) {
+          this.addKey(table, alteration.key);
+        } else if ( alteration.type == `addColumn` ) {
+          if ( table.columns.some(x => x.name.toLowerCase() == alteration.column.name.toLowerCase()) )
+            throw mysqlError(`ER_DUP_FIELDNAME`, 1060, `Duplicate column name '${alteration.column.name}'`);
+
+          this.positionColumn(table, alteration.column, alteration);
+
+          table.rows.forEach((row) => {
+            row[alteration.column.name] = alteration.column.autoIncrement ? table.autoIncrement++ : this.defaultFor(alteration.column, true);
+          });
+
+          this.addColumnKeys(table, alteration.column);
+        } else if ( alteration.type == `changeColumn` ) {
+          const column = this.column(table, alteration.name, `field list`);
+          const index = table.columns.indexOf(column);
+
+          /** Without FIRST or AFTER, the column keeps its position */
+          table.columns.splice(index, 1);
+          this.positionColumn(table, alteration.column, alteration.first || alteration.after ? alteration : { index: index });
+
+          /** Convert existing values to the new definition */
+          table.rows.forEach((row) => {
+            const value = this.store(alteration.column, row[column.name]);
+
+            if ( value === null && !alteration.column.nullable )
+              throw mysqlError(`ER_INVALID_USE_OF_NULL`, 1138, `Invalid use of NULL value`);
+
+            delete row[column.name];
+            row[alteration.column.name] = value;
+          });
+
+          /** Rename the column in any keys */
+          table.indexes.concat(table.foreignKeys).forEach(key => key.columns = key.columns.map(name => name == column.name ? alteration.column.name : name));
+
+          this.addColumnKeys(table, alteration.column);
+        } else if ( alteration.type == `dropColumn` ) {
+          const column = this.column(table, alteration.name, `field list`);
+
+          if ( table.foreignKeys.some(x => x.columns.includes(column.name)) )
+            throw mysqlError(`ER_FK_COLUMN_CANNOT_DROP`, 1828, `Cannot drop column '${column.name}': needed in a foreign key constraint`);
+
+          table.columns.splice(table.columns.indexOf(column), 1);
+          table.rows.forEach(row => delete row[column.name]);
+
+          /** Remove the column from any indexes, dropping those left empty */
+          table.indexes.forEach(index => index.columns = index.columns.filter(name => name != column.name));
+          table.indexes = table.indexes.filter(index => index.columns.length > 0);
+        } else if ( alteration.type == `dropIndex` ) {
+          if ( !table.indexes.some(x => x.name == alteration.name) )
+            throw mysqlError(`ER_CANT_DROP_FIELD_OR_KEY`, 1091, `Can't DROP '${alteration.name}'; check that column/key exists`);
+
+          table.indexes = table.indexes.filter(x => x.name != alteration.name);
+        } else if ( alteration.type == `dropForeignKey` ) {
+          if ( !table.foreignKeys.some(x => x.name == alteration.name) )
+            throw mysqlError(`ER_CANT_DROP_FIELD_OR_KEY`, 1091, `Can't DROP '${alteration.name}'; check that column/key exists`);
+
+          table.foreignKeys = table.foreignKeys.filter(x => x.name != alteration.name);
+        }
+      });
+    } catch ( err ) {
+      this.restore(original);
+
+      throw err;
+    }
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Insert a column definition into a table at the position requested by FIRST or AFTER */
+  positionColumn(table, column, position) {
+    if ( position.first ) {
+      table.columns.unshift(column);
+    } else if ( position.after ) {
+      const after = this.column(table, position.after, `field list`);
+
+      table.columns.splice(table.columns.indexOf(after) + 1, 0, column);
+    } else if ( typeof position.index == `number` ) {
+      table.columns.splice(position.index, 0, column);
+    } else {
+      table.columns.push(column);
+    }
+  }
+
+  /** Execute a DROP TABLE statement */
+  drop(statement) {
+    statement.tables.forEach((name) => {
+      if ( !this.tables[name.name] && statement.ifExists )
+        return;
+
+      const table = this.table(name);
+
+      /** Tables referenced by other tables' foreign keys can't be dropped */
+      const reference = this.referencingForeignKeys(table).find(x => x.table !== table && !statement.tables.some(y => y.name == x.table.name));
+
+      if ( reference )
+        throw mysqlError(`ER_ROW_IS_REFERENCED`, 3730, `Cannot drop table '${table.name}' referenced by a foreign key constraint '${reference.foreignKey.name}' on table '${reference.table.name}'.`);
+
+      delete this.tables[table.name];
+    });
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Execute START TRANSACTION, which implicitly commits any transaction in progress */
+  begin() {
+    this.transaction = { snapshot: this.snapshot(), savepoints: [] };
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Execute COMMIT */
+  commit() {
+    this.transaction = null;
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Execute ROLLBACK */
+  rollback() {
+    if ( this.transaction )
+      this.restore(this.transaction.snapshot);
+
+    this.transaction = null;
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Execute SAVEPOINT, replacing any savepoint with the same name */
+  savepoint(statement) {
+    if ( this.transaction ) {
+      this.transaction.savepoints = this.transaction.savepoints.filter(x => x.name != statement.name);
+      this.transaction.savepoints.push({ name: statement.name, snapshot: this.snapshot() });
+    }
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Get the index of a savepoint, or throw error if it doesn't exist */
+  savepointIndex(name) {
+    const index = this.transaction ? this.transaction.savepoints.findIndex(x => x.name == name) : -1;
+
+    if ( index == -1 )
+      throw mysqlError(`ER_SP_DOES_NOT_EXIST`, 1305, `SAVEPOINT ${name} does not exist`);
+
+    return index;
+  }
+
+  /** Execute ROLLBACK TO SAVEPOINT, keeping the savepoint but removing any set after it */
+  rollbackTo(statement) {
+    const index = this.savepointIndex(statement.name);
+    const savepoint = this.transaction.savepoints[index];
+
+    this.restore(savepoint.snapshot);
+
+    /** Keep a fresh copy so the savepoint can be rolled back to again */
+    savepoint.snapshot = this.snapshot();
+    this.transaction.savepoints = this.transaction.savepoints.slice(0, index + 1);
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Execute RELEASE SAVEPOINT, removing the savepoint and any set after it */
+  release(statement) {
+    this.transaction.savepoints = this.transaction.savepoints.slice(0, this.savepointIndex(statement.name));
+
+    return { affectedRows: 0, insertId: 0, changedRows: 0, warningCount: 0 };
+  }
+
+  /** Generate an INFORMATION_SCHEMA table describing the current tables */
+  informationSchema(name) {
+    const tables = Object.keys(this.tables).map(x => this.tables[x]);
+    const rows = [];
+
+    /** If the table isn't supported, throw error */
+    if ( !informationSchemaColumns[name] )
+      throw mysqlError(`ER_UNKNOWN_TABLE`, 1109, `Unknown table '${name}' in information_schema`);
+
+    if ( name == `TABLES` ) {
+      tables.forEach(table => rows.push({ TABLE_SCHEMA: this.database, TABLE_NAME: table.name, TABLE_TYPE: `BASE TABLE`, ENGINE: `InnoDB`, AUTO_INCREMENT: table.columns.some(x => x.autoIncrement) ? table.autoIncrement : null }));
+    } else if ( name == `COLUMNS` ) {
+      tables.forEach((table) => {
+        table.columns.forEach((column, i) => {
+          const string = stringTypes.includes(column.type) && column.type != `time`;
+          const args = column.args ? `(${column.args.map(x => typeof x == `string` ? `'${x.replace(/'/g, `''`)}'` : x).join(`,`)})` : ``;
+          const index = table.indexes.find(x => x.columns[0] == column.name);
+
+          rows.push({
+            TABLE_SCHEMA: this.database,
+            TABLE_NAME: table.name,
+            COLUMN_NAME: column.name,
+            ORDINAL_POSITION: i + 1,
+            COLUMN_DEFAULT: typeof column.default == `undefined` || column.default === null ? null : ( typeof column.default == `object` ? `CURRENT_TIMESTAMP` : column.default.toString() ),
+            IS_NULLABLE: column.nullable ? `YES` : `NO`,
+            DATA_TYPE: column.type,
+            CHARACTER_MAXIMUM_LENGTH: string && column.args && typeof column.args[0] == `number` ? column.args[0] : null,
+            NUMERIC_PRECISION: ( decimalTypes.includes(column.type) || floatTypes.includes(column.type) ) && column.args ? column.args[0] : null,
+            NUMERIC_SCALE: ( decimalTypes.includes(column.type) || floatTypes.includes(column.type) ) && column.args ? ( column.args[1] || 0 ) : null,
+            CHARACTER_SET_NAME: string ? ( column.characterSet || ( column.collate ? column.collate.split(`_`)[0] : `utf8mb4` ) ) : null,
+            COLLATION_NAME: string ? ( column.collate || ( column.characterSet ? `${column.characterSet}_general_ci` : `utf8mb4_0900_ai_ci` ) ) : null,
+            COLUMN_TYPE: `${column.type}${args}${column.unsigned ? ` unsigned` : ``}${column.zerofill ? ` zerofill` : ``}`,
+            COLUMN_KEY: index ? ( index.primary ? `PRI` : ( index.unique && index.columns.length == 1 ? `UNI` : `MUL` ) ) : ``,
+            EXTRA: column.autoIncrement ? `auto_increment` : ``,
+            COLUMN_COMMENT: column.comment
+          });
+        });
+      });
+    } else if ( name == `STATISTICS` ) {
+      tables.forEach((table) => {
+        table.indexes.forEach((index) => {
+          /** Like InnoDB, HASH indexes are built and reported as BTREE */
+          const indexType = index.indexType && index.indexType != `HASH` ? index.indexType : `BTREE`;
+
+          index.columns.forEach((column, i) => {
+            rows.push({ TABLE_SCHEMA: this.database, TABLE_NAME: table.name, NON_UNIQUE: index.unique ? 0 : 1, INDEX_SCHEMA: this.database, INDEX_NAME: index.name, SEQ_IN_INDEX: i + 1, COLUMN_NAME: column, INDEX_TYPE: indexType });
+          });
+        });
+      });
+    } else if ( name == `KEY_COLUMN_USAGE` ) {
+      tables.forEach((table) => {
+        table.indexes.filter(x => x.unique).forEach((index) => {
+          index.columns.forEach((column, i) => {
+            rows.push({ CONSTRAINT_SCHEMA: this.database, CONSTRAINT_NAME: index.name, TABLE_SCHEMA: this.database, TABLE_NAME: table.name, COLUMN_NAME: column, ORDINAL_POSITION: i + 1, REFERENCED_TABLE_SCHEMA: null, REFERENCED_TABLE_NAME: null, REFERENCED_COLUMN_NAME: null });
+          });
+        });
+
+        table.foreignKeys.forEach((foreignKey) => {
+          foreignKey.columns.forEach((column, i) => {
+            rows.push({ CONSTRAINT_SCHEMA: this.database, CONSTRAINT_NAME: foreignKey.name, TABLE_SCHEMA: this.database, TABLE_NAME: table.name, COLUMN_NAME: column, ORDINAL_POSITION: i + 1, REFERENCED_TABLE_SCHEMA: this.database, REFERENCED_TABLE_NAME: foreignKey.referencedTable, REFERENCED_COLUMN_NAME: foreignKey.referencedColumns[i] });
+          });
+        });
+      });
+    } else {
+      tables.forEach((table) => {
+        table.foreignKeys.forEach((foreignKey) => {
+          rows.push({ CONSTRAINT_SCHEMA: this.database, CONSTRAINT_NAME: foreignKey.name, UNIQUE_CONSTRAINT_SCHEMA: this.database, TABLE_NAME: table.name, REFERENCED_TABLE_NAME: foreignKey.referencedTable, UPDATE_RULE: foreignKey.onUpdate, DELETE_RULE: foreignKey.onDelete });
+        });
+      });
+    }
+
+    return { name: name, columns: informationSchemaColumns[name].map(x => ({ name: x, type: null })), indexes: [], foreignKeys: [], rows: rows, virtual: true };
+  }
+}
+
+module.exports = MemoryDatabase;
@@ -0,0 +1,862 @@
+const assert = require(`assert`);
+const ezobjects = require(`../index`);
+const { test } = require(`node:test`);
+
+/**
+ * Configure a table-linked EZ Object, tested against the in-memory database so no MySQL server is needed.
+ */
+const configPerson = {
+  className: `Person`,
+  tableName: `people`,
+  properties: [
+    { name: `id`, type: `int` },
+    { name: `name`, type: `varchar`, length: 40 },
+    { name: `age`, type: `int` },
+    { name: `nickname`, type: `varchar`, length: 20, allowNull: true },
+    { name: `tags`, type: `array`, arrayOf: { type: `varchar`, length: 20 } }
+  ]
+};
+
+const Person = ezobjects.createClass(configPerson);
+
+test(`creates, inserts, loads, updates, and deletes records in the in-memory database`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configPerson, db);
+
+  const person = new Person({ name: `Ada`, age: 36, tags: [`math`, `poetry`] });
+
+  await person.insert(db);
+
+  assert.equal(person.id(), 1);
+  assert.equal(person.isDirty(), false);
+
+  const loaded = await new Person().load(person.id(), db);
+
+  assert.equal(loaded.name(), `Ada`);
+  assert.equal(loaded.age(), 36);
+  assert.deepEqual(loaded.tags(), [`math`, `poetry`]);
+
+  loaded.age(37);
+
+  assert.deepEqual(loaded.changedProperties(), [`age`]);
+
+  await loaded.update(db);
+
+  assert.equal((await new Person().load(person.id(), db)).age(), 37);
+
+  await loaded.delete(db);
+
+  assert.equal(await new Person().load(person.id(), db), null);
+  assert.deepEqual(await db.query(`SELECT id FROM people`), []);
+});
+
+test(`find and where match operators, lists, and nulls, and order, limit, and offset the results`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configPerson, db);
+
+  for ( const [name, age, nickname] of [[`Ada`, 36, `Countess`], [`Grace`, 85, null], [`Alan`, 41, null], [`Edsger`, 72, `EWD`]] )
+    await new Person({ name: name, age: age, nickname: nickname }).insert(db);
+
+  const names = people => people.map(x => x.name());
+
+  assert.deepEqual(names(await Person.find(db, { where: { age: { operator: `>=`, value: 41 } }, orderBy: `age DESC` })), [`Grace`, `Edsger`, `Alan`]);
+  assert.deepEqual(names(await Person.find(db, { where: { name: { operator: `LIKE`, value: `A%` } }, orderBy: `name` })), [`Ada`, `Alan`]);
+  assert.deepEqual(names(await Person.find(db, { where: { name: [`Grace`, `Edsger`] }, orderBy: [`name ASC`] })), [`Edsger`, `Grace`]);
+  assert.deepEqual(names(await Person.find(db, { orderBy: `age`, limit: 2, offset: 1 })), [`Alan`, `Edsger`]);
+  assert.deepEqual(names(await Person.where(db, { nickname: null, age: { operator: `<`, value: 50 } })), [`Alan`]);
+
+  await assert.rejects(() => Person.find(db, { where: { missing: 1 } }), /missing/);
+  await assert.rejects(() => Person.find(db, { orderBy: `age; DROP TABLE people` }));
+});
+
+/**
+ * Configure a revision controlled EZ Object.
+ */
+const configDocument = {
+  className: `Document`,
+  tableName: `documents`,
+  revisionControlled: true,
+  properties: [
+    { name: `id`, type: `int` },
+    { name: `title`, type: `varchar`, length: 20 }
+  ],
+  indexes: [
+    { name: `byTitle`, columns: [`title`], type: `HASH` }
+  ]
+};
+
+const Document = ezobjects.createClass(configDocument);
+
+test(`migrateTable leaves HASH indexes alone, since InnoDB reports them as BTREE`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configDocument, db);
+
+  const statistics = await db.query(`SELECT INDEX_TYPE FROM INFORMATION_SCHEMA.STATISTICS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`, [`documents`, `byTitle`]);
+
+  assert.deepEqual(statistics.map(row => row.INDEX_TYPE), [`BTREE`]);
+  assert.deepEqual(await ezobjects.migrateTable(configDocument, db), []);
+});
+
+test(`migrateTable modifies revision table columns along with the table`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configDocument, db);
+
+  const config = { className: `DocumentMigrated`, tableName: `documents`, revisionControlled: true, properties: [ { name: `id`, type: `int` }, { name: `title`, type: `varchar`, length: 40 } ], indexes: configDocument.indexes };
+
+  assert.deepEqual(await ezobjects.migrateTable(config, db), [
+    `ALTER TABLE documents MODIFY COLUMN title VARCHAR(40) NOT NULL`,
+    `ALTER TABLE documents_revisions MODIFY COLUMN title VARCHAR(40) NOT NULL`
+  ]);
+
+  assert.deepEqual(await ezobjects.migrateTable(config, db), []);
+
+  const dropped = { className: `DocumentDropped`, tableName: `documents`, revisionControlled: true, properties: [ { name: `id`, type: `int` } ] };
+
+  assert.deepEqual(await ezobjects.migrateTable(dropped, db, { dryRun: true }), []);
+  assert.deepEqual(await ezobjects.migrateTable(dropped, db, { dryRun: true, drop: true }), [
+    `ALTER TABLE documents DROP INDEX byTitle`,
+    `ALTER TABLE documents DROP COLUMN title`,
+    `ALTER TABLE documents_revisions DROP COLUMN title`
+  ]);
+});
+
+test(`reverting to a revision leaves the object clean`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configDocument, db);
+
+  const document = await new Document({ title: `First` }).insert(db);
+
+  await document.title(`Second`).update(db, [], { revision: ezobjects.constants.editOptions.NEW_REVISION });
+
+  const revisions = await document.revisions(db);
+
+  await document.revert(revisions[0].revisionId, db);
+
+  assert.equal(document.title(), `First`);
+  assert.equal(document.isDirty(), false);
+  assert.deepEqual(document.changedProperties(), []);
+  assert.equal((await document.revisions(db)).length, 2);
+});
+
+test(`a new revision isn't kept if the update fails`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Article`, tableName: `articles`, revisionControlled: true, properties: [ { name: `id`, type: `int` }, { name: `slug`, type: `varchar`, length: 20, unique: true } ] };
+  const Article = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+  await new Article({ slug: `taken` }).insert(db);
+
+  const article = await new Article({ slug: `mine` }).insert(db);
+
+  await assert.rejects(() => article.slug(`taken`).update(db, [], { revision: ezobjects.constants.editOptions.NEW_REVISION }), { code: `ER_DUP_ENTRY` });
+
+  assert.deepEqual(await article.revisions(db), []);
+});
+
+test(`transactions commit, roll back, and roll back nested work to a savepoint`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configPerson, db);
+
+  await ezobjects.transaction(db, async (tx) => {
+    await new Person({ name: `Committed` }).insert(tx);
+  });
+
+  await assert.rejects(() => ezobjects.transaction(db, async (tx) => {
+    await new Person({ name: `Rolled back` }).insert(tx);
+
+    throw new Error(`Abort`);
+  }), /Abort/);
+
+  const result = await ezobjects.transaction(db, async (tx) => {
+    await new Person({ name: `Outer` }).insert(tx);
+
+    await assert.rejects(() => ezobjects.transaction(tx, async (nested) => {
+      await new Person({ name: `Nested` }).insert(nested);
+
+      throw new Error(`Abort nested`);
+    }), /Abort nested/);
+
+    await ezobjects.transaction(tx, async (nested) => {
+      await new Person({ name: `Released` }).insert(nested);
+    });
+
+    return `done`;
+  });
+
+  assert.equal(result, `done`);
+  assert.deepEqual((await Person.find(db, { orderBy: `id` })).map(x => x.name()), [`Committed`, `Outer`, `Released`]);
+});
+
+test(`transactions can't be used once they have ended`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  let ended;
+
+  await ezobjects.createTable(configPerson, db);
+
+  await ezobjects.transaction(db, async (tx) => {
+    ended = tx;
+  });
+
+  await assert.rejects(() => new Person({ name: `Late` }).insert(ended), /already been committed or rolled back/);
+
+  await assert.rejects(() => ezobjects.transaction(db, async (tx) => {
+    ended = tx;
+
+    throw new Error(`Abort`);
+  }), /Abort/);
+
+  await assert.rejects(() => ended.query(`SELECT id FROM people`), /already been committed or rolled back/);
+});
+
+test(`transactions on a pool take a connection and release it, even if rolled back`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const log = [];
+
+  /** A `mysql-await` style pool whose connections share the in-memory database */
+  const pool = {
+    awaitQuery: async (query, params) => await db.query(query, params),
+    awaitGetConnection: async () => {
+      log.push(`get`);
+
+      return { awaitQuery: async (query, params) => await db.query(query, params), release: () => log.push(`release`) };
+    }
+  };
+
+  assert.equal(ezobjects.getAdapter(pool).name, `mysql-await pool`);
+
+  await ezobjects.createTable(configPerson, pool);
+  await ezobjects.transaction(pool, async tx => await new Person({ name: `Pooled` }).insert(tx));
+  await assert.rejects(() => ezobjects.transaction(pool, async () => {
+    throw new Error(`Abort`);
+  }), /Abort/);
+
+  assert.deepEqual(log, [`get`, `release`, `get`, `release`]);
+  assert.equal((await Person.find(pool)).length, 1);
+});
+
+test(`a requested revision is kept even if nothing has changed`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configDocument, db);
+
+  const document = await new Document({ title: `First` }).insert(db);
+
+  await document.update(db, [], { revision: ezobjects.constants.editOptions.NEW_REVISION });
+
+  assert.equal((await document.revisions(db)).length, 1);
+});
+
+/**
+ * Configure EZ Objects that reference each other.
+ */
+const configWorker = {
+  className: `Worker`,
+  tableName: `workers`,
+  properties: [
+    { name: `id`, type: `int` },
+    { name: `name`, type: `varchar`, length: 20 }
+  ]
+};
+
+const configManager = {
+  className: `Manager`,
+  tableName: `managers`,
+  properties: [
+    { name: `id`, type: `int` },
+    { name: `assistant`, type: `Worker` },
+    { name: `workers`, type: `array`, arrayOf: { type: `Worker` } },
+    { name: `team`, type: `array`, arrayOf: { type: `Worker` }, joinTable: true }
+  ]
+};
+
+const Worker = ezobjects.createClass(configWorker);
+const Manager = ezobjects.createClass(configManager);
+
+test(`join tables are saved by insert and update`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configWorker, db);
+  await ezobjects.createTable(configManager, db);
+
+  const first = await new Worker({ name: `First` }).insert(db);
+  const second = await new Worker({ name: `Second` }).insert(db);
+  const manager = await new Manager({ team: [first, second] }).insert(db);
+
+  assert.deepEqual(await db.query(`SELECT parentId, position, constructorName, childId FROM managers_team ORDER BY position`), [
+    { parentId: manager.id(), position: 0, constructorName: `Worker`, childId: first.id() },
+    { parentId: manager.id(), position: 1, constructorName: `Worker`, childId: second.id() }
+  ]);
+
+  await manager.team([second]).update(db);
+
+  assert.deepEqual((await new Manager().load(manager.id(), db)).team().map(x => x.name()), [`Second`]);
+
+  await manager.delete(db);
+
+  assert.deepEqual(await db.query(`SELECT childId FROM managers_team`), []);
+});
+
+test(`references to records that no longer exist are loaded as null`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await ezobjects.createTable(configWorker, db);
+  await ezobjects.createTable(configManager, db);
+
+  const kept = await new Worker({ name: `Kept` }).insert(db);
+  const gone = await new Worker({ name: `Gone` }).insert(db);
+  const manager = await new Manager({ assistant: gone, workers: [kept, gone], team: [gone, kept] }).insert(db);
+
+  await gone.delete(db);
+
+  const loaded = await new Manager().load(manager.id(), db);
+
+  assert.equal(loaded.assistant(), null);
+  assert.deepEqual(loaded.workers().map(x => x && x.name()), [`Kept`, null]);
+  assert.deepEqual(loaded.team().map(x => x && x.name()), [null, `Kept`]);
+  assert.equal(loaded.isDirty(), false);
+
+  const found = await Manager.find(db);
+
+  assert.equal(found[0].assistant(), null);
+});
+
+test(`foreign keys store only the referenced ID and are enforced by the database`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Desk`, tableName: `desks`, properties: [ { name: `id`, type: `int` }, { name: `owner`, type: `Worker`, foreignKey: { onDelete: `CASCADE` } }, { name: `spare`, type: `Worker`, foreignKey: true, allowNull: true } ] };
+  const Desk = ezobjects.createClass(config);
+
+  await ezobjects.createTable(configWorker, db);
+  await ezobjects.createTable(config, db);
+
+  const owner = await new Worker({ name: `Owner` }).insert(db);
+  const spare = await new Worker({ name: `Spare` }).insert(db);
+  const desk = await new Desk({ owner: owner, spare: spare }).insert(db);
+
+  assert.deepEqual(await db.query(`SELECT owner, spare FROM desks`), [{ owner: owner.id(), spare: spare.id() }]);
+  assert.deepEqual(await db.query(`SELECT CONSTRAINT_NAME, REFERENCED_TABLE_NAME FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL ORDER BY CONSTRAINT_NAME`, [`desks`]), [
+    { CONSTRAINT_NAME: `fk_desks_owner`, REFERENCED_TABLE_NAME: `workers` },
+    { CONSTRAINT_NAME: `fk_desks_spare`, REFERENCED_TABLE_NAME: `workers` }
+  ]);
+
+  assert.equal((await new Desk().load(desk.id(), db)).owner().name(), `Owner`);
+  assert.deepEqual((await Desk.where(db, { spare: spare.id() })).map(x => x.id()), [desk.id()]);
+
+  await assert.rejects(() => spare.delete(db), { code: `ER_ROW_IS_REFERENCED_2` });
+
+  await owner.delete(db);
+
+  assert.deepEqual(await db.query(`SELECT id FROM desks`), []);
+});
+
+test(`afterUpdate hooks run even if nothing has changed`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const calls = [];
+  const hooks = { beforeUpdate: () => calls.push(`before`), afterUpdate: () => calls.push(`after`) };
+  const config = { className: `Hooked`, tableName: `hooked`, hooks: hooks, properties: [ { name: `id`, type: `int` }, { name: `name`, type: `varchar`, length: 20 } ] };
+  const Hooked = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const object = await new Hooked({ name: `Same` }).insert(db);
+
+  await object.update(db);
+
+  assert.deepEqual(calls, [`before`, `after`]);
+});
+
+test(`timestamps are set by insert, and updatedAt by each update that changes something`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Stamped`, tableName: `stamped`, timestamps: true, properties: [ { name: `id`, type: `int` }, { name: `name`, type: `varchar`, length: 20 } ] };
+  const Stamped = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const object = await new Stamped({ name: `First` }).insert(db);
+
+  assert.ok(object.createdAt() instanceof Date);
+  assert.equal(object.updatedAt().getTime(), object.createdAt().getTime());
+  assert.throws(() => object.createdAt(new Date()), /read-only/);
+
+  /** Move the record's times into the past rather than waiting for the clock */
+  await db.query(`UPDATE stamped SET createdAt = ?, updatedAt = ? WHERE id = ?`, [`2020-01-01 00:00:00`, `2020-01-01 00:00:00`, object.id()]);
+
+  const loaded = await new Stamped().load(object.id(), db);
+  const past = loaded.createdAt().getTime();
+
+  await loaded.update(db);
+
+  assert.equal(loaded.updatedAt().getTime(), past);
+
+  await loaded.name(`Second`).update(db);
+
+  const reloaded = await new Stamped().load(object.id(), db);
+
+  assert.equal(reloaded.createdAt().getTime(), past);
+  assert.ok(reloaded.updatedAt().getTime() > past);
+  assert.equal(reloaded.updatedAt().getTime(), loaded.updatedAt().getTime());
+});
+
+/**
+ * Configure EZ Objects that reference soft deleted records.
+ */
+const configTemp = {
+  className: `Temp`,
+  tableName: `temps`,
+  softDelete: true,
+  properties: [
+    { name: `id`, type: `int` },
+    { name: `name`, type: `varchar`, length: 20 }
+  ]
+};
+
+const configAgency = {
+  className: `Agency`,
+  tableName: `agencies`,
+  properties: [
+    { name: `id`, type: `int` },
+    { name: `temp`, type: `Temp` },
+    { name: `temps`, type: `array`, arrayOf: { type: `Temp` } },
+    { name: `roster`, type: `array`, arrayOf: { type: `Temp` }, joinTable: true }
+  ]
+};
+
+const Temp = ezobjects.createClass(configTemp);
+const Agency = ezobjects.createClass(configAgency);
+
+test(`soft deleting keeps the original deletion time and references to deleted records load as null`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const options = { inverse: false, includeDeleted: true };
+
+  await ezobjects.createTable(configTemp, db);
+  await ezobjects.createTable(configAgency, db);
+
+  const kept = await new Temp({ name: `Kept` }).insert(db);
+  const gone = await new Temp({ name: `Gone` }).insert(db);
+  const agency = await new Agency({ temp: gone, temps: [kept, gone], roster: [gone, kept] }).insert(db);
+  const stale = await new Temp().load(gone.id(), db);
+
+  await gone.delete(db);
+
+  /** Move the deletion time into the past rather than waiting for the clock */
+  await db.query(`UPDATE temps SET deletedAt = ? WHERE id = ?`, [`2020-01-01 00:00:00`, gone.id()]);
+
+  const deletedAt = (await new Temp().load(gone.id(), db, [], options)).deletedAt().getTime();
+
+  await stale.delete(db);
+  await kept.delete(db);
+
+  assert.equal((await new Temp().load(gone.id(), db, [], options)).deletedAt().getTime(), deletedAt);
+  assert.equal(stale.deletedAt(), null);
+  assert.notEqual(kept.deletedAt(), null);
+
+  await kept.restore(db);
+
+  const loaded = await new Agency().load(agency.id(), db);
+
+  assert.equal(loaded.temp(), null);
+  assert.deepEqual(loaded.temps().map(x => x && x.name()), [`Kept`, null]);
+  assert.deepEqual(loaded.roster().map(x => x && x.name()), [null, `Kept`]);
+
+  const included = await new Agency().load(agency.id(), db, [], options);
+
+  assert.equal(included.temp().name(), `Gone`);
+});
+
+test(`updates fail with OptimisticLockError once the record's version has changed, without keeping a revision`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Locked`, tableName: `locked`, versionColumn: true, revisionControlled: true, properties: [ { name: `id`, type: `int` }, { name: `name`, type: `varchar`, length: 20 } ] };
+  const Locked = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const object = await new Locked({ name: `First` }).insert(db);
+  const other = await new Locked().load(object.id(), db);
+
+  await other.name(`Other`).update(db);
+
+  assert.equal(other.version(), 2);
+
+  await assert.rejects(() => object.name(`Mine`).update(db, [], { revision: ezobjects.constants.editOptions.NEW_REVISION }), ezobjects.OptimisticLockError);
+
+  assert.equal(object.version(), 1);
+  assert.deepEqual(await object.revisions(db), []);
+  assert.equal((await new Locked().load(object.id(), db)).name(), `Other`);
+});
+
+test(`upsert runs the update hooks when it updates an existing record`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const calls = [];
+  const hooks = { beforeInsert: () => calls.push(`beforeInsert`), afterInsert: () => calls.push(`afterInsert`), beforeUpdate: () => calls.push(`beforeUpdate`), afterUpdate: () => calls.push(`afterUpdate`) };
+  const config = { className: `Upserted`, tableName: `upserted`, hooks: hooks, timestamps: true, otherSearchProperty: `code`, properties: [ { name: `id`, type: `int` }, { name: `code`, type: `varchar`, length: 10, unique: true }, { name: `email`, type: `varchar`, length: 40, unique: true }, { name: `name`, type: `varchar`, length: 20 } ] };
+  const Upserted = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const first = await new Upserted({ code: `ada`, email: `ada@example.com`, name: `Ada` }).upsert(db);
+  const second = await new Upserted({ code: `ada`, email: `ada@example.com`, name: `Ada Lovelace` }).upsert(db);
+
+  assert.deepEqual(calls, [`beforeInsert`, `afterInsert`, `beforeUpdate`, `afterUpdate`]);
+  assert.equal(second.id(), first.id());
+  assert.equal(second.createdAt().getTime(), first.createdAt().getTime());
+  assert.equal((await new Upserted().load(first.id(), db)).name(), `Ada Lovelace`);
+
+  /** A unique property that isn't a conflict key also makes MySQL update the existing record */
+  calls.length = 0;
+
+  await db.query(`UPDATE upserted SET createdAt = ? WHERE id = ?`, [`2020-01-01 00:00:00`, first.id()]);
+
+  const third = await new Upserted({ code: `lovelace`, email: `ada@example.com`, name: `Augusta` }).upsert(db);
+
+  assert.deepEqual(calls, [`beforeUpdate`, `afterUpdate`]);
+  assert.equal(third.id(), first.id());
+  assert.equal(third.createdAt().getTime(), new Date(2020, 0, 1).getTime());
+  assert.equal((await new Upserted().load(first.id(), db)).name(), `Augusta`);
+});
+
+test(`insertMany assigns IDs using the auto increment increment`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  db.variables.auto_increment_increment = 2;
+
+  await ezobjects.createTable(configPerson, db);
+
+  const people = await Person.insertMany(db, [new Person({ name: `Ada` }), new Person({ name: `Grace` }), new Person({ name: `Alan` })]);
+
+  assert.deepEqual(people.map(x => x.id()), [1, 3, 5]);
+  assert.deepEqual(await Promise.all(people.map(async x => (await new Person().load(x.id(), db)).name())), [`Ada`, `Grace`, `Alan`]);
+});
+
+test(`updateMany leaves objects unchanged when a later chunk fails its version check`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Versioned`, tableName: `versioned`, versionColumn: true, properties: [ { name: `id`, type: `int` }, { name: `name`, type: `varchar`, length: 20 } ] };
+  const Versioned = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const objects = await Versioned.insertMany(db, [new Versioned({ name: `One` }), new Versioned({ name: `Two` })]);
+  const other = await new Versioned().load(objects[1].id(), db);
+
+  await other.name(`Other`).update(db);
+
+  objects.forEach(x => x.name(`${x.name()}!`));
+
+  await assert.rejects(() => Versioned.updateMany(db, objects, { chunkSize: 1 }), ezobjects.OptimisticLockError);
+
+  assert.deepEqual(objects.map(x => x.version()), [1, 1]);
+  assert.deepEqual(objects.map(x => x.isDirty()), [true, true]);
+  assert.equal((await new Versioned().load(objects[0].id(), db)).name(), `One`);
+});
+
+test(`updateMany pairs the update hooks, even if nothing has changed`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const calls = [];
+  const hooks = { beforeUpdate: x => calls.push(`before ${x.name()}`), afterUpdate: x => calls.push(`after ${x.name()}`) };
+  const config = { className: `HookedMany`, tableName: `hooked_many`, hooks: hooks, properties: [ { name: `id`, type: `int` }, { name: `name`, type: `varchar`, length: 20 } ] };
+  const HookedMany = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const objects = await HookedMany.insertMany(db, [new HookedMany({ name: `Same` }), new HookedMany({ name: `Old` })]);
+
+  objects[1].name(`New`);
+
+  await HookedMany.updateMany(db, objects);
+
+  assert.deepEqual(calls, [`before Same`, `before New`, `after New`, `after Same`]);
+  assert.deepEqual((await HookedMany.find(db, { orderBy: `id` })).map(x => x.name()), [`Same`, `New`]);
+});
+
+test(`deleteMany keeps the original deletion time of records already deleted`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const options = { inverse: false, includeDeleted: true };
+
+  await ezobjects.createTable(configTemp, db);
+
+  const kept = await new Temp({ name: `Kept` }).insert(db);
+  const gone = await new Temp({ name: `Gone` }).insert(db);
+  const stale = await new Temp().load(gone.id(), db);
+
+  await gone.delete(db);
+
+  /** Move the deletion time into the past rather than waiting for the clock */
+  await db.query(`UPDATE temps SET deletedAt = ? WHERE id = ?`, [`2020-01-01 00:00:00`, gone.id()]);
+
+  await Temp.deleteMany(db, [kept, stale]);
+
+  assert.equal((await new Temp().load(gone.id(), db, [], options)).deletedAt().getFullYear(), 2020);
+  assert.equal(stale.deletedAt(), null);
+  assert.notEqual(kept.deletedAt(), null);
+});
+
+test(`introspectTable builds a configuration that loads the table's records and matches it`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await db.query(`CREATE TABLE legacy_accounts (id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY, email VARCHAR(120) NOT NULL UNIQUE KEY, active TINYINT(1) NOT NULL, status VARCHAR(10) NOT NULL, balance DECIMAL(10, 2) NULL COMMENT 'in dollars', INDEX byStatus USING BTREE (status, active))`);
+  await db.query(`INSERT INTO legacy_accounts (email, active, status, balance) VALUES (?, ?, ?, ?)`, [`ada@example.com`, 1, `closed`, `12.50`]);
+
+  const config = await ezobjects.introspectTable(db, `legacy_accounts`);
+
+  assert.equal(config.className, `LegacyAccounts`);
+  assert.deepEqual(config.properties.map(property => [property.name, property.type]), [[`id`, `int`], [`email`, `varchar`], [`active`, `boolean`], [`status`, `varchar`], [`balance`, `decimal`]]);
+  assert.deepEqual(config.indexes.map(index => [index.name, index.columns]), [[`byStatus`, [`status`, `active`]]]);
+
+  const LegacyAccounts = ezobjects.createClass(config);
+  const account = await new LegacyAccounts().load(1, db);
+
+  assert.equal(account.email(), `ada@example.com`);
+  assert.equal(account.active(), true);
+  assert.equal(account.status(), `closed`);
+  assert.equal(account.balance(), 12.5);
+  assert.deepEqual(await ezobjects.migrateTable(config, db, { dryRun: true, drop: true }), []);
+});
+
+test(`json properties round trip and can be found with whereJson`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Profile`, tableName: `profiles`, properties: [ { name: `id`, type: `int` }, { name: `settings`, type: `json` }, { name: `tags`, type: `array`, arrayOf: { type: `varchar`, length: 20 }, json: true } ] };
+  const Profile = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const blue = await new Profile({ settings: { theme: { color: `blue` }, seen: new Date(`2021-03-14T06:30:00.000Z`) }, tags: [`a`, `b`] }).insert(db);
+  const green = await new Profile({ settings: { theme: { color: `green` } }, tags: [`c`] }).insert(db);
+  const loaded = await new Profile().load(blue.id(), db);
+
+  assert.equal(loaded.settings().theme.color, `blue`);
+  assert.ok(loaded.settings().seen instanceof Date);
+  assert.deepEqual(loaded.tags(), [`a`, `b`]);
+
+  assert.deepEqual((await Profile.whereJson(db, `settings.theme.color`, `blue`)).map(x => x.id()), [blue.id()]);
+  assert.deepEqual((await Profile.whereJson(db, `settings.theme`, { color: `green` })).map(x => x.id()), [green.id()]);
+  assert.deepEqual((await Profile.whereJson(db, `tags`, `c`)).map(x => x.id()), [green.id()]);
+  await assert.rejects(() => Profile.whereJson(db, `name.first`, `Ada`), /name/);
+});
+
+test(`enum properties only accept their values and round trip`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Ticket`, tableName: `tickets`, properties: [ { name: `id`, type: `int` }, { name: `status`, type: `enum`, values: [`open`, `closed`] }, { name: `labels`, type: `array`, arrayOf: { type: `enum`, values: [`bug`, `feature`] } } ] };
+  const Ticket = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  assert.deepEqual(Ticket.enumValues, { status: [`open`, `closed`], labels: [`bug`, `feature`] });
+  assert.equal(new Ticket().status(), `open`);
+  assert.throws(() => new Ticket().status(`pending`), TypeError);
+  assert.throws(() => new Ticket().labels([`bug`, `question`]), TypeError);
+
+  const ticket = await new Ticket({ status: `closed`, labels: [`feature`, `bug`] }).insert(db);
+  const loaded = await new Ticket().load(ticket.id(), db);
+
+  assert.equal(loaded.status(), `closed`);
+  assert.deepEqual(loaded.labels(), [`feature`, `bug`]);
+  await assert.rejects(() => db.query(`UPDATE tickets SET status = ? WHERE id = ?`, [`pending`, ticket.id()]));
+});
+
+test(`introspectTable builds enum properties from ENUM columns`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  await db.query(`CREATE TABLE legacy_tickets (id INT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY, status ENUM('open','closed') NOT NULL)`);
+
+  const config = await ezobjects.introspectTable(db, `legacy_tickets`);
+
+  assert.deepEqual(config.properties.map(property => [property.name, property.type]), [[`id`, `int`], [`status`, `enum`]]);
+  assert.deepEqual(config.properties[1].values, [`open`, `closed`]);
+  assert.deepEqual(await ezobjects.migrateTable(config, db, { dryRun: true, drop: true }), []);
+});
+
+test(`UUID primary keys are generated on insert and round trip in binary and char storage`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const configBinary = { className: `Tag`, tableName: `tags`, primaryKey: `uuidv7`, properties: [ { name: `label`, type: `varchar`, length: 20 } ] };
+  const configChar = { className: `Post`, tableName: `posts`, primaryKey: { strategy: `uuidv4`, storage: `char` }, properties: [ { name: `title`, type: `varchar`, length: 20 }, { name: `tag`, type: `Tag`, foreignKey: true }, { name: `tags`, type: `array`, arrayOf: { type: `Tag` }, joinTable: true } ] };
+  const Tag = ezobjects.createClass(configBinary);
+  const Post = ezobjects.createClass(configChar);
+  const pattern = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+  await ezobjects.createTable(configBinary, db);
+  await ezobjects.createTable(configChar, db);
+
+  const tag = new Tag({ label: `News` });
+
+  assert.equal(tag.id(), null);
+
+  await tag.insert(db);
+
+  const post = await new Post({ title: `Hello`, tag: tag, tags: [tag] }).insert(db);
+
+  assert.match(tag.id(), pattern);
+  assert.equal(tag.id()[14], `7`);
+  assert.match(post.id(), pattern);
+  assert.equal(post.id()[14], `4`);
+
+  const rows = await db.query(`SELECT id, tag FROM posts`);
+
+  assert.ok(Buffer.isBuffer((await db.query(`SELECT id FROM tags`))[0].id));
+  assert.equal(rows[0].id, post.id());
+  assert.ok(Buffer.isBuffer(rows[0].tag));
+
+  const loaded = await new Post().load(post.id(), db);
+
+  assert.equal(loaded.tag().label(), `News`);
+  assert.equal(loaded.tags()[0].id(), tag.id());
+  assert.deepEqual((await Tag.where(db, { id: tag.id() })).map(x => x.label()), [`News`]);
+  assert.throws(() => loaded.tag().id(`not-a-uuid`), TypeError);
+});
+
+test(`exact bigint and decimal properties round trip without losing precision`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Ledger`, tableName: `ledgers`, properties: [ { name: `id`, type: `int` }, { name: `total`, type: `bigint`, exact: true }, { name: `price`, type: `decimal`, length: 12, decimals: 2, exact: true }, { name: `totals`, type: `array`, arrayOf: { type: `bigint`, exact: true } } ] };
+  const Ledger = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const ledger = await new Ledger({ total: 9007199254740993n, price: `1234.5`, totals: [`-9223372036854775808`, 1] }).insert(db);
+
+  assert.equal(ledger.price(), `1234.50`);
+  assert.throws(() => ledger.price(`0.125`), TypeError);
+  assert.throws(() => ledger.total(2n ** 63n), TypeError);
+
+  const loaded = await new Ledger().load(ledger.id(), db);
+
+  assert.equal(loaded.total(), 9007199254740993n);
+  assert.equal(loaded.price(), `1234.50`);
+  assert.deepEqual(loaded.totals(), [-9223372036854775808n, 1n]);
+  assert.equal(JSON.parse(JSON.stringify(loaded))._total, `9007199254740993`);
+});
+
+test(`dates in another timezone round trip across daylight saving time changes`, async (t) => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Meeting`, tableName: `meetings`, properties: [ { name: `id`, type: `int` }, { name: `startsAt`, type: `datetime`, timezone: `America/New_York` } ] };
+  const Meeting = ezobjects.createClass(config);
+  const wallClock = async id => (await db.query(`SELECT startsAt FROM meetings WHERE id = ?`, [id]))[0].startsAt;
+  const timezone = process.env.TZ;
+
+  /** Stored times are returned as local dates, like the mysql module does, so use a local timezone without daylight saving time */
+  process.env.TZ = `UTC`;
+  t.after(() => {
+    if ( typeof timezone == `undefined` )
+      delete process.env.TZ;
+    else
+      process.env.TZ = timezone;
+  });
+
+  await ezobjects.createTable(config, db);
+
+  /** Either side of the hour skipped on 2021-03-14, and the hour repeated on 2021-11-07 */
+  for ( const [time, stored] of [[`2021-03-14T06:30:00.000Z`, [1, 30]], [`2021-03-14T07:30:00.000Z`, [3, 30]], [`2021-11-07T05:30:00.000Z`, [1, 30]], [`2021-11-07T07:30:00.000Z`, [2, 30]]] ) {
+    const meeting = await new Meeting({ startsAt: new Date(time) }).insert(db);
+    const row = await wallClock(meeting.id());
+
+    assert.deepEqual([row.getHours(), row.getMinutes()], stored);
+    assert.equal((await new Meeting().load(meeting.id(), db)).startsAt().toISOString(), time);
+  }
+
+  /** Wall clock times that don't exist, or exist twice, load as the time before the change */
+  await db.query(`INSERT INTO meetings (startsAt) VALUES (?), (?)`, [`2021-03-14 02:30:00`, `2021-11-07 01:30:00`]);
+
+  const [skipped, repeated] = (await Meeting.find(db, { orderBy: `id DESC`, limit: 2 })).reverse();
+
+  assert.equal(skipped.startsAt().toISOString(), `2021-03-14T06:30:00.000Z`);
+  assert.equal(repeated.startsAt().toISOString(), `2021-11-07T05:30:00.000Z`);
+});
+
+test(`date-only dates round trip as the same day`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Birthday`, tableName: `birthdays`, properties: [ { name: `id`, type: `int` }, { name: `day`, type: `date`, dateOnly: true, timezone: `Pacific/Auckland` }, { name: `days`, type: `array`, arrayOf: { type: `date`, dateOnly: true } } ] };
+  const Birthday = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const birthday = await new Birthday({ day: new Date(`2021-03-14T12:00:00.000Z`), days: [`2000-02-29`] }).insert(db);
+
+  assert.equal(birthday.day(), `2021-03-15`);
+  assert.throws(() => birthday.day(`2021-02-30`), TypeError);
+
+  const loaded = await new Birthday().load(birthday.id(), db);
+
+  assert.equal(loaded.day(), `2021-03-15`);
+  assert.deepEqual(loaded.days(), [`2000-02-29`]);
+  assert.equal(loaded.isDirty(), false);
+});
+
+test(`registered types are used for properties and arrays, and round trip`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+
+  ezobjects.registerType({
+    type: `email`,
+    jsType: `string`,
+    mysqlType: `varchar`,
+    default: ``,
+    hasLength: true,
+    lengthRequired: true,
+    setTransform: (x, property) => {
+      if ( typeof x != `string` || !x.match(/^[^@\s]*@[^@\s]+$|^$/) )
+        throw new TypeError(`${property.className}.${property.name}(): Invalid email address '${x}'.`);
+
+      return x.toLowerCase();
+    }
+  });
+
+  assert.throws(() => ezobjects.registerType({ type: `EMAIL`, jsType: `string`, mysqlType: `varchar` }), /already exists/);
+
+  const config = { className: `Contact`, tableName: `contacts`, properties: [ { name: `id`, type: `int` }, { name: `email`, type: `email`, length: 80 }, { name: `others`, type: `array`, arrayOf: { type: `email`, length: 80 } } ] };
+  const Contact = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  const contact = await new Contact({ email: `Ada@Example.com`, others: [`Grace@Example.com`] }).insert(db);
+
+  assert.equal(contact.email(), `ada@example.com`);
+  assert.throws(() => contact.email(`nobody`), TypeError);
+  assert.throws(() => contact.others([`nobody`]), TypeError);
+
+  const loaded = await new Contact().load(contact.id(), db);
+
+  assert.equal(loaded.email(), `ada@example.com`);
+  assert.deepEqual(loaded.others(), [`grace@example.com`]);
+  assert.deepEqual(await ezobjects.migrateTable(config, db), []);
+});
+
+test(`validateOnSave rejects invalid objects without saving them`, async () => {
+  const db = new ezobjects.MemoryDatabase();
+  const config = { className: `Signup`, tableName: `signups`, validateOnSave: true, properties: [ { name: `id`, type: `int` }, { name: `name`, type: `varchar`, length: 20, required: true }, { name: `age`, type: `int`, min: 13 } ] };
+  const Signup = ezobjects.createClass(config);
+
+  await ezobjects.createTable(config, db);
+
+  await assert.rejects(() => new Signup({ age: 12 }).insert(db), (err) => {
+    assert.ok(err instanceof ezobjects.ValidationError);
+    assert.deepEqual(err.errors, { name: [`name is required`], age: [`age must be at least 13`] });
+
+    return true;
+  });
+
+  assert.deepEqual(await db.query(`SELECT id FROM signups`), []);
+  assert.equal((await new Signup({ name: `Ada`, age: 13 }).insert(db)).id(), 1);
+});
+
+test(`JSON Schema rules of array properties apply to their elements`, async () => {
+  const config = { className: `Measured`, properties: [
+    { name: `id`, type: `int` },
+    { name: `total`, type: `bigint`, unsigned: true, exact: true },
+    { name: `amount`, type: `decimal`, length: 10, decimals: 2, unsigned: true, exact: true },
+    { name: `offset`, type: `bigint`, exact: true },
+    { name: `scores`, type: `array`, arrayOf: { type: `int` }, min: 1, max: 10, minLength: 1 },
+    { name: `codes`, type: `array`, arrayOf: { type: `varchar`, length: 4 }, pattern: `^[A-Z]+$` }
+  ] };
+  const Measured = ezobjects.createClass(config);
+  const schema = ezobjects.toJSONSchema(config);
+
+  assert.equal(schema.properties.total.pattern, `^[0-9]+$`);
+  assert.equal(schema.properties.amount.pattern, `^[0-9]+(\\.[0-9]+)?$`);
+  assert.equal(schema.properties.offset.pattern, `^-?[0-9]+$`);
+  assert.deepEqual(schema.properties.scores, { type: `array`, items: { type: `integer`, minimum: 1, maximum: 10 }, minItems: 1 });
+  assert.deepEqual(schema.properties.codes, { type: `array`, items: { type: `string`, maxLength: 4, pattern: `^[A-Z]+$` } });
+
+  assert.deepEqual(await new Measured({ scores: [1, 10], codes: [`AB`] }).validate(), {});
+  assert.deepEqual(Object.keys(await new Measured({ scores: [0, 11], codes: [`ab`] }).validate()), [`scores`, `codes`]);
+});